@@ -0,0 +1,109 @@
+require('dotenv').config();
+const express = require('express');
+const { assertLatexSafe, LatexSecurityError } = require('./utils/latex-security');
+const { initCompilePool } = require('./utils/compile-pool');
+const { detectEngines, getEngineCapabilities } = require('./utils/latex-engines');
+const { createLocalBackend } = require('./utils/compile-backends');
+
+// Self-hosted compile service: compiles with this machine's engine chain and
+// speaks the protocol of the URL compile backends (see utils/compile-backends).
+// Run it next to a TeX install with `npm run compile-service` and list its URL
+// in the main backend's COMPILE_BACKENDS.
+
+const app = express();
+const PORT = process.env.COMPILE_SERVICE_PORT || 3100;
+const MAX_UPLOAD = '2mb';
+const local = createLocalBackend();
+
+/**
+ * Split a multipart/form-data body into { name, filename, data } parts.
+ */
+function parseMultipart(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    if (!match) return [];
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    const parts = [];
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const headerStart = start + delimiter.length;
+        if (body.slice(headerStart, headerStart + 2).toString() === '--') break; // closing delimiter
+        const end = body.indexOf(delimiter, headerStart);
+        if (end === -1) break;
+        const part = body.slice(headerStart + 2, end - 2); // drop the CRLFs around the part
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.slice(0, headerEnd).toString('utf8');
+            const disposition = /content-disposition:[^\r\n]*/i.exec(headers)?.[0] || '';
+            parts.push({
+                name: /\bname="([^"]*)"/i.exec(disposition)?.[1],
+                filename: /\bfilename="([^"]*)"/i.exec(disposition)?.[1],
+                data: part.slice(headerEnd + 4),
+            });
+        }
+        start = end;
+    }
+    return parts;
+}
+
+// Optional bearer token, shared with the backend as COMPILE_SERVICE_TOKEN
+app.use((req, res, next) => {
+    const token = process.env.COMPILE_SERVICE_TOKEN;
+    if (token && req.get('authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({ error: 'Invalid or missing compile service token' });
+    }
+    next();
+});
+
+app.get('/health', async (req, res) => {
+    const { healthy, error } = await local.checkHealth();
+    res.status(healthy ? 200 : 503).json({ status: healthy ? 'ok' : 'unavailable', error, engines: getEngineCapabilities() });
+});
+
+app.post('/compile', express.raw({ type: 'multipart/form-data', limit: MAX_UPLOAD }), async (req, res) => {
+    const file = Buffer.isBuffer(req.body) ? parseMultipart(req.body, req.get('content-type')).find((p) => p.name === 'file') : null;
+    if (!file) {
+        return res.status(400).json({ error: 'Expected multipart/form-data with the LaTeX document in field "file"' });
+    }
+    const latex = file.data.toString('utf8');
+
+    try {
+        assertLatexSafe(latex);
+    } catch (err) {
+        if (err instanceof LatexSecurityError) {
+            return res.status(422).json({ error: err.message, violations: err.violations, engineFailure: null });
+        }
+        throw err;
+    }
+
+    // Stop the compiler when the caller gives up
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    try {
+        const { pdfBuffer, engine } = await local.compile(latex, { signal: controller.signal });
+        res.setHeader('X-Compile-Engine', engine);
+        res.type('application/pdf').send(pdfBuffer);
+    } catch (err) {
+        if (err?.name === 'AbortError') return;
+        if (err.unhealthy) {
+            return res.status(503).json({ error: err.message });
+        }
+        const [message, log = ''] = err.message.split('\nLaTeX log tail:\n');
+        res.status(422).json({ error: message, log, engineFailure: err.engineFailure || null });
+    }
+});
+
+Promise.all([
+    initCompilePool().catch((err) => console.error('❌ Failed to start compile pool:', err)),
+    detectEngines().catch((err) => console.error('❌ Failed to detect LaTeX engines:', err)),
+])
+    .finally(() => {
+        app.listen(PORT, '0.0.0.0', () => {
+            console.log(`✅ LaTeX compile service running on port ${PORT}`);
+            console.log(`📄 Compile endpoint: POST /compile (multipart, field "file")`);
+            console.log(`🔐 Token: ${process.env.COMPILE_SERVICE_TOKEN ? 'required' : 'not required (set COMPILE_SERVICE_TOKEN)'}`);
+            console.log(`🏥 Health check: /health`);
+        });
+    });
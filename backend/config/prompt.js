@@ -1,10 +1,75 @@
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_PAGE_LIMIT, describePageLimit } = require('../utils/page-limit');
+const { getTemplate, DEFAULT_TEMPLATE } = require('./templates');
 
-// Load system prompt from text file (single source of truth)
-const RESUME_SYSTEM_PROMPT = fs.readFileSync(
+// Load system prompt from text file (single source of truth). The preamble
+// and formatting rules are filled in from the selected template.
+const PROMPT_TEMPLATE = fs.readFileSync(
     path.join(__dirname, 'resume-system-prompt.txt'),
     'utf-8'
 );
 
-module.exports = { RESUME_SYSTEM_PROMPT };
+function renderBasePrompt(template) {
+    return PROMPT_TEMPLATE
+        .replace('{{TEMPLATE_PREAMBLE}}', () => template.preamble)
+        .replace('{{TEMPLATE_FORMATTING_RULES}}', () => template.formattingRules);
+}
+
+const RESUME_SYSTEM_PROMPT = renderBasePrompt(getTemplate(DEFAULT_TEMPLATE));
+
+/**
+ * The base prompt is written for the default 2-page budget. For any other
+ * budget, append an override section instead of maintaining prompt copies.
+ */
+function buildPageBudgetSection(pageLimit) {
+    if (pageLimit == null) {
+        return `PAGE BUDGET OVERRIDE (takes precedence over every page-count instruction above):
+- There is NO page limit for this resume. Ignore all "2 pages" / "2-page fit" rules above.
+- Include every relevant role, project, publication, and award from the master resume.
+- Do not drop relevant content to save space; still remove content that is irrelevant to the job.
+- Keep the same template, spacing, and section structure.`;
+    }
+    const budget = describePageLimit(pageLimit);
+    return `PAGE BUDGET OVERRIDE (takes precedence over every page-count instruction above):
+- The resume must be exactly ${budget}. Read every "2 pages" / "2-page fit" rule above as "${budget}".
+- Fill the last page to at least 80%, and never spill onto page ${pageLimit + 1}.
+${pageLimit === 1
+        ? '- For a 1-page resume keep only the most relevant roles and projects, with 2-4 bullets each.'
+        : `- Scale the amount of content to fill ${budget} using only material from the master resume.`}`;
+}
+
+/**
+ * In "json" output mode the content strategy above still applies, but the
+ * model returns a JSON resume that the server renders with its own template.
+ */
+const JSON_OUTPUT_SECTION = `OUTPUT FORMAT OVERRIDE (takes precedence over every LaTeX and output instruction above):
+- Do NOT write LaTeX. Output ONLY one JSON object following the JSON Resume schema (https://jsonresume.org/schema), with no markdown fences or commentary.
+- The server renders the JSON with the mandatory template, so ignore the preamble, commands and spacing rules above; keep the section selection, ordering, wording and location rules.
+- Supported fields:
+  basics: name (required), label, email, phone, url, summary, location { city, region }, profiles [{ network, username, url }]
+  work: [{ name (company, required), position (required), location, startDate, endDate, highlights: [string] }]
+  education: [{ institution (required), area, studyType, location, startDate, endDate, score }]
+  projects: [{ name (required), description (short type label shown on the right), startDate, endDate, highlights: [string], keywords: [string] }]
+  skills: [{ name (category, required), keywords: [string] }]
+  awards: [{ title (required), date, awarder, summary }]
+  certificates: [{ name (required), date, issuer }]
+  publications: [{ name (required), publisher, releaseDate, summary }]
+- Dates are ISO 8601: "2021", "2021-06" or "2021-06-15". Omit endDate for current roles.
+- Write plain text only. Wrap the terms you would have highlighted with \\keyword{} in **double asterisks** instead.
+- Order arrays in the order they should appear on the page. Omit sections that should not appear.`;
+
+/**
+ * Build the generation system prompt for a page budget (number, or null for
+ * unlimited), output format ("latex" or "json") and template (registry entry).
+ */
+function buildSystemPrompt({ pageLimit = DEFAULT_PAGE_LIMIT, outputFormat = 'latex', template } = {}) {
+    const base = template && template.id !== DEFAULT_TEMPLATE ? renderBasePrompt(template) : RESUME_SYSTEM_PROMPT;
+    const sections = [];
+    if (pageLimit !== DEFAULT_PAGE_LIMIT) sections.push(buildPageBudgetSection(pageLimit));
+    if (outputFormat === 'json') sections.push(JSON_OUTPUT_SECTION);
+    if (sections.length === 0) return base;
+    return `${base.trimEnd()}\n\n${sections.join('\n\n')}\n`;
+}
+
+module.exports = { RESUME_SYSTEM_PROMPT, buildSystemPrompt };
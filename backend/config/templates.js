@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+
+// ── Resume template registry ────────────────────────────────────────
+// Single source of truth for the LaTeX preamble. The generation prompt, the
+// JSON renderer and the compile guard all read the selected template from
+// here. Every template defines the same custom commands (\resumeItem,
+// \resumeSubheading, \projectHeading, \keyword) and color names, so the body
+// structure in the prompt works unchanged with any of them.
+
+const DEFAULT_TEMPLATE = 'classic';
+const PREVIEW_DIR = path.join(__dirname, 'template-previews');
+
+// Body commands every template accepts, on top of the commands its own
+// preamble defines. Anything else is unwrapped by the compile guard.
+const BASE_ALLOWED_MACROS = [
+    'section', 'item', 'begin', 'end', 'textbf', 'textit', 'emph', 'underline', 'textcolor',
+    'href', 'url', 'LARGE', 'Large', 'large', 'normalsize', 'small', 'footnotesize',
+    'quad', 'qquad', 'hfill', 'vspace', 'hspace', 'newline', 'linebreak', 'noindent', 'par',
+    'smallskip', 'medskip', 'bigskip', 'centering', 'textbar', 'textbullet', 'ldots',
+    'textless', 'textgreater', 'textbackslash', 'textasciitilde', 'textasciicircum',
+    'textendash', 'textemdash', 'textwidth', 'extracolsep', 'fill', 'hline', 'textsuperscript',
+    'textsubscript', 'textdegree', 'textregistered', 'texttrademark', 'LaTeX', 'TeX',
+    'textsc', 'rule', 'linewidth',
+    // Math-mode symbols that show up in metrics, e.g. $\sim$10k, 2$\times$
+    'sim', 'times', 'approx', 'cdot', 'pm', 'ge', 'geq', 'le', 'leq', 'to', 'rightarrow',
+    'uparrow', 'downarrow', 'mu', 'vert',
+    // Font step of the layout tuner
+    'fontsize', 'selectfont',
+];
+
+const TEMPLATES = {
+    classic: {
+        name: 'Classic',
+        description: 'Serif, midnight-blue section headings with rules and highlighted keywords.',
+        parameters: {
+            fontSize: 10,
+            fontFamily: 'serif',
+            margins: { left: '0.45in', right: '0.45in', top: '0.4in', bottom: '0.4in' },
+            colors: { link: '0,0,139', keyword: '0,51,102', accent: '25,25,112' },
+            sectionSpacing: { before: '10pt', after: '6pt' },
+            itemsep: '1.5pt',
+        },
+    },
+    modern: {
+        name: 'Modern',
+        description: 'Sans-serif at 11pt with teal accents and roomier margins.',
+        parameters: {
+            fontSize: 11,
+            fontFamily: 'sans',
+            margins: { left: '0.5in', right: '0.5in', top: '0.45in', bottom: '0.45in' },
+            colors: { link: '0,105,120', keyword: '0,90,100', accent: '0,105,120' },
+            sectionSpacing: { before: '10pt', after: '5pt' },
+            itemsep: '1.5pt',
+        },
+    },
+    compact: {
+        name: 'Compact',
+        description: 'Monochrome serif with tight margins and spacing; fits the most content per page.',
+        parameters: {
+            fontSize: 10,
+            fontFamily: 'serif',
+            margins: { left: '0.4in', right: '0.4in', top: '0.35in', bottom: '0.35in' },
+            colors: { link: '0,0,0', keyword: '0,0,0', accent: '0,0,0' },
+            sectionSpacing: { before: '7pt', after: '4pt' },
+            itemsep: '1pt',
+        },
+    },
+};
+
+/**
+ * Build the LaTeX preamble (up to, not including, \begin{document}) for a
+ * set of template parameters.
+ */
+function buildPreamble(params) {
+    const { margins, colors, sectionSpacing } = params;
+    const classOptions = params.fontSize === 10 ? 'letterpaper' : `${params.fontSize}pt,letterpaper`;
+    const fontLines = params.fontFamily === 'sans'
+        ? ['', '% Font', '\\renewcommand{\\familydefault}{\\sfdefault}']
+        : [];
+    return [
+        `\\documentclass[${classOptions}]{article}`,
+        '',
+        '% Packages',
+        `\\usepackage[left=${margins.left},right=${margins.right},top=${margins.top},bottom=${margins.bottom}]{geometry}`,
+        '\\usepackage{enumitem}',
+        '\\usepackage{hyperref}',
+        '\\usepackage{titlesec}',
+        '\\usepackage{xcolor}',
+        ...fontLines,
+        '',
+        '% Colors',
+        `\\definecolor{linkblue}{RGB}{${colors.link}}`,
+        `\\definecolor{keywordcolor}{RGB}{${colors.keyword}}`,
+        `\\definecolor{accentcolor}{RGB}{${colors.accent}}`,
+        '',
+        '% Hyperlink setup',
+        '\\hypersetup{',
+        'colorlinks=true,',
+        'linkcolor=linkblue,',
+        'urlcolor=linkblue,',
+        'pdftitle={Resume}',
+        '}',
+        '',
+        '% Remove page numbers',
+        '\\pagestyle{empty}',
+        '',
+        '% Section formatting - CRITICAL: \\MakeUppercase MUST be in arg #4, NOT arg #1',
+        '% Putting it in arg #1 causes \\color{accentcolor} to become \\color{ACCENTCOLOR} which is undefined',
+        '\\titleformat{\\section}',
+        '{\\large\\bfseries\\color{accentcolor}}',
+        '{}{0em}',
+        '{\\MakeUppercase}',
+        '[\\titlerule]',
+        `\\titlespacing*{\\section}{0pt}{${sectionSpacing.before}}{${sectionSpacing.after}}`,
+        '',
+        '% Custom commands',
+        '\\newcommand{\\resumeItem}[1]{\\item{#1}}',
+        '\\newcommand{\\resumeSubheading}[4]{',
+        '\\vspace{0pt}\\item[]',
+        '\\begin{tabular*}{\\textwidth}[t]{l@{\\extracolsep{\\fill}}r}',
+        '\\textbf{#1} & \\textbf{#2} \\\\',
+        '\\textit{#3} & \\textit{#4} \\\\',
+        '\\end{tabular*}\\vspace{0pt}',
+        '}',
+        '\\newcommand{\\projectHeading}[2]{',
+        '\\vspace{0pt}\\item[]',
+        '\\begin{tabular*}{\\textwidth}[t]{l@{\\extracolsep{\\fill}}r}',
+        '\\textbf{#1} & \\textit{#2} \\\\',
+        '\\end{tabular*}\\vspace{0pt}',
+        '}',
+        '% Keyword highlighting command',
+        '\\newcommand{\\keyword}[1]{\\textcolor{keywordcolor}{\\textbf{#1}}}',
+        '',
+        '% List settings',
+        `\\setlist[itemize]{leftmargin=0.15in, label={--}, nosep, topsep=2pt, itemsep=${params.itemsep}, parsep=0pt}`,
+        '',
+    ].join('\n');
+}
+
+/**
+ * Formatting rules for the prompt, describing the template's own settings.
+ */
+function buildFormattingRules(params) {
+    const { margins, sectionSpacing } = params;
+    return [
+        `Font size: ${params.fontSize}pt${params.fontFamily === 'sans' ? ' sans-serif' : ''} (set by the template preamble; do NOT change the \\documentclass line)`,
+        `Margins: ${margins.left} left/right, ${margins.top} top/bottom (do NOT change)`,
+        `Item spacing: ${params.itemsep} between bullets (adjust ONLY if needed for page fit)`,
+        `Section spacing: ${sectionSpacing.before} before, ${sectionSpacing.after} after section headers`,
+        'Section headers: colored with accentcolor as defined in the preamble',
+    ].join('\n');
+}
+
+function buildTemplate(id, spec) {
+    const preamble = buildPreamble(spec.parameters);
+    const packages = [...preamble.matchAll(/\\usepackage(?:\[[^\]]*\])?\{([^}]+)\}/g)]
+        .flatMap((m) => m[1].split(',').map((p) => p.trim()));
+    const definedMacros = [...preamble.matchAll(/\\newcommand\{\\([a-zA-Z]+)\}/g)].map((m) => m[1]);
+    return {
+        id,
+        name: spec.name,
+        description: spec.description,
+        parameters: spec.parameters,
+        preamble,
+        formattingRules: buildFormattingRules(spec.parameters),
+        packages,
+        allowedMacros: [...new Set([...BASE_ALLOWED_MACROS, ...definedMacros])],
+        previewFile: path.join(PREVIEW_DIR, `${id}.svg`),
+    };
+}
+
+const REGISTRY = Object.fromEntries(
+    Object.entries(TEMPLATES).map(([id, spec]) => [id, buildTemplate(id, spec)])
+);
+
+/**
+ * Resolve the template from the request, falling back to RESUME_TEMPLATE
+ * (default "classic"). Returns { template } or { error }.
+ */
+function parseTemplate(value) {
+    const requested = value === undefined || value === null || value === ''
+        ? (process.env.RESUME_TEMPLATE || DEFAULT_TEMPLATE)
+        : value;
+    const id = String(requested).trim().toLowerCase();
+    if (!REGISTRY[id]) {
+        return { error: `template must be one of: ${Object.keys(REGISTRY).join(', ')}.` };
+    }
+    return { template: REGISTRY[id] };
+}
+
+function getTemplate(id) {
+    return REGISTRY[id] || null;
+}
+
+/**
+ * Public description of every template for GET /api/templates.
+ */
+function listTemplates() {
+    const defaultId = parseTemplate().template?.id || DEFAULT_TEMPLATE;
+    return Object.values(REGISTRY).map((template) => ({
+        id: template.id,
+        name: template.name,
+        description: template.description,
+        default: template.id === defaultId,
+        parameters: template.parameters,
+        allowedMacros: template.allowedMacros,
+        previewUrl: fs.existsSync(template.previewFile) ? `/api/templates/${template.id}/preview` : null,
+    }));
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    parseTemplate,
+    getTemplate,
+    listTemplates,
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getCacheStats, listCacheEntries, deleteCacheEntry, purgeCache } = require('../utils/resume-cache');
+const { getCompileCacheStats, purgeCompileCache } = require('../utils/compile-cache');
+const { issueClientToken, revokeClientToken, listClients, parseRateLimits } = require('../utils/client-tokens');
+const { listUploadedFiles, collectGarbage } = require('../utils/files-api');
+
+const router = express.Router();
+
+// Constant-time comparison of the bearer token against ADMIN_TOKEN
+function isAdminToken(token) {
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(token), digest(process.env.ADMIN_TOKEN));
+}
+
+/**
+ * Admin endpoints need `Authorization: Bearer <ADMIN_TOKEN>`; without
+ * ADMIN_TOKEN configured they are disabled.
+ */
+router.use('/admin', (req, res, next) => {
+    if (!process.env.ADMIN_TOKEN) {
+        return res.status(404).json({ success: false, error: 'Admin API is disabled (set ADMIN_TOKEN)' });
+    }
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    if (!match || !isAdminToken(match[1].trim())) {
+        return res.status(401).json({ success: false, error: 'Invalid or missing admin token' });
+    }
+    next();
+});
+
+/**
+ * GET /api/admin/cache
+ * Cache size, limits, hit rate and entries (most recently used first)
+ */
+router.get('/admin/cache', async (req, res) => {
+    try {
+        res.json({ success: true, stats: await getCacheStats(), entries: await listCacheEntries() });
+    } catch (error) {
+        console.error('❌ Error in GET /admin/cache:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to read cache' });
+    }
+});
+
+/**
+ * DELETE /api/admin/cache
+ * Remove every cached resume
+ */
+router.delete('/admin/cache', async (req, res) => {
+    try {
+        const removed = await purgeCache();
+        console.log(`🧹 Resume cache purged (${removed} entries)`);
+        res.json({ success: true, removed });
+    } catch (error) {
+        console.error('❌ Error in DELETE /admin/cache:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to purge cache' });
+    }
+});
+
+/**
+ * DELETE /api/admin/cache/:key
+ * Remove one cached resume
+ */
+router.delete('/admin/cache/:key', async (req, res) => {
+    try {
+        if (!(await deleteCacheEntry(req.params.key))) {
+            return res.status(404).json({ success: false, error: 'Cache entry not found' });
+        }
+        res.json({ success: true, removed: 1 });
+    } catch (error) {
+        console.error('❌ Error in DELETE /admin/cache/:key:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to delete cache entry' });
+    }
+});
+
+/**
+ * GET /api/admin/compile-cache
+ * Compile cache size, limits and hit rate
+ */
+router.get('/admin/compile-cache', (req, res) => {
+    res.json({ success: true, stats: getCompileCacheStats() });
+});
+
+/**
+ * DELETE /api/admin/compile-cache
+ * Remove every cached compile result (e.g. after changing the TeX install)
+ */
+router.delete('/admin/compile-cache', (req, res) => {
+    const removed = purgeCompileCache();
+    console.log(`🧹 Compile cache purged (${removed} entries)`);
+    res.json({ success: true, removed });
+});
+
+/**
+ * GET /api/admin/clients
+ * Issued client tokens (hashes are never returned)
+ */
+router.get('/admin/clients', async (req, res) => {
+    try {
+        res.json({ success: true, clients: await listClients() });
+    } catch (error) {
+        console.error('❌ Error in GET /admin/clients:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to list clients' });
+    }
+});
+
+/**
+ * POST /api/admin/clients
+ * Issue a client token: { name, rateLimits?: { requestsPerMinute, generationsPerHour } }.
+ * The token is only returned in this response.
+ */
+router.post('/admin/clients', async (req, res) => {
+    const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+    if (!name || name.length > 100) {
+        return res.status(400).json({ success: false, error: 'name is required (max 100 characters).' });
+    }
+    const { rateLimits, error: rateLimitError } = parseRateLimits(req.body?.rateLimits);
+    if (rateLimitError) {
+        return res.status(400).json({ success: false, error: rateLimitError });
+    }
+
+    try {
+        const { client, token } = await issueClientToken({ name, rateLimits });
+        console.log(`🔑 Issued client token ${client.id} (${client.name})`);
+        res.status(201).json({ success: true, client, token });
+    } catch (error) {
+        console.error('❌ Error in POST /admin/clients:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to issue token' });
+    }
+});
+
+/**
+ * DELETE /api/admin/clients/:id
+ * Revoke a client token
+ */
+router.delete('/admin/clients/:id', async (req, res) => {
+    try {
+        const client = await revokeClientToken(req.params.id);
+        if (!client) {
+            return res.status(404).json({ success: false, error: 'Client not found' });
+        }
+        console.log(`🔒 Revoked client token ${client.id} (${client.name})`);
+        res.json({ success: true, client });
+    } catch (error) {
+        console.error('❌ Error in DELETE /admin/clients/:id:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to revoke token' });
+    }
+});
+
+/**
+ * GET /api/admin/files
+ * Files uploaded to the Anthropic Files API and their registry keys
+ */
+router.get('/admin/files', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await listUploadedFiles()) });
+    } catch (error) {
+        console.error('❌ Error in GET /admin/files:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to list uploaded files' });
+    }
+});
+
+/**
+ * POST /api/admin/files/gc
+ * Delete superseded and idle uploads now instead of waiting for the hourly pass
+ */
+router.post('/admin/files/gc', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await collectGarbage()) });
+    } catch (error) {
+        console.error('❌ Error in POST /admin/files/gc:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to clean up uploaded files' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const { validateGenerationInput } = require('../utils/resume-pipeline');
+const { getClientId } = require('../utils/budget');
+const { limitGenerations } = require('../utils/client-auth');
+const { resolveProfileInput, getProfileOwner } = require('../utils/profiles');
+const { createJob, getJob, cancelJob, getArtifactPath, serializeJob, JOB_STATUS } = require('../utils/job-queue');
+
+const router = express.Router();
+
+// Jobs are only visible to the client that created them; to anyone else a
+// job looks the same as an unknown id
+function getOwnJob(req) {
+    const job = getJob(req.params.id);
+    return job && job.clientId === getClientId(req) ? job : null;
+}
+
+/**
+ * POST /api/jobs
+ * Queue a resume generation job and return its id immediately. A profileId
+ * without profileVersion is pinned to the profile's current version.
+ */
+router.post('/jobs', limitGenerations, async (req, res) => {
+    try {
+        const resolved = await resolveProfileInput(req.body, getProfileOwner(req));
+        if (resolved.error) {
+            return res.status(resolved.status).json({ success: false, error: resolved.error });
+        }
+        const { jobDescription, masterResume, pageLimit, fabricationPolicy, outputFormat, template, profile } = resolved.input;
+        const validationError = validateGenerationInput({ jobDescription, masterResume, pageLimit, fabricationPolicy, outputFormat, template });
+        if (validationError) {
+            return res.status(400).json({ success: false, error: validationError });
+        }
+
+        const job = await createJob({ jobDescription, masterResume, pageLimit, fabricationPolicy, outputFormat, template, profile, clientId: getClientId(req) });
+        console.log(`📥 Queued resume generation job ${job.id}`);
+        res.status(202)
+            .location(`/api/jobs/${job.id}`)
+            .json({ success: true, jobId: job.id, job: serializeJob(job) });
+    } catch (error) {
+        console.error('❌ Error in POST /jobs:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to queue job' });
+    }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job status, stage history and artifact links (only for the client that
+ * queued the job, like every route below)
+ */
+router.get('/jobs/:id', (req, res) => {
+    const job = getOwnJob(req);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job: serializeJob(job) });
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running job. A running job's LLM call is aborted and
+ * its compiler killed; the response comes once it has stopped. Only the
+ * client that queued the job can cancel it.
+ */
+router.delete('/jobs/:id', async (req, res) => {
+    try {
+        const job = getOwnJob(req) && await cancelJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+        if (job.status !== JOB_STATUS.CANCELLED) {
+            return res.status(409).json({ success: false, status: job.status, error: 'Job has already finished' });
+        }
+        res.json({ success: true, job: serializeJob(job) });
+    } catch (error) {
+        console.error('❌ Error in DELETE /jobs/:id:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to cancel job' });
+    }
+});
+
+/**
+ * GET /api/jobs/:id/result
+ * The generated PDF once the job has succeeded
+ */
+router.get('/jobs/:id/result', (req, res) => {
+    const job = getOwnJob(req);
+    if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    if (job.status !== JOB_STATUS.SUCCEEDED) {
+        return res.status(409).json({
+            success: false,
+            status: job.status,
+            error: job.status === JOB_STATUS.FAILED || job.status === JOB_STATUS.CANCELLED ? job.error : 'Job has not finished yet',
+        });
+    }
+
+    const pdfPath = getArtifactPath(job, 'pdf');
+    if (!pdfPath) {
+        return res.status(422).json({
+            success: false,
+            compilationFailed: true,
+            error: job.message || 'LaTeX compilation failed.',
+            latexUrl: `/api/jobs/${job.id}/latex`,
+        });
+    }
+    res.setHeader('Content-Disposition', 'attachment; filename="resume.pdf"');
+    res.type('application/pdf').sendFile(pdfPath);
+});
+
+/**
+ * GET /api/jobs/:id/latex
+ * The final LaTeX source produced by the job
+ */
+router.get('/jobs/:id/latex', (req, res) => {
+    const job = getOwnJob(req);
+    const texPath = getArtifactPath(job, 'latex');
+    if (!texPath) {
+        return res.status(404).json({ success: false, error: 'LaTeX source not available' });
+    }
+    res.setHeader('Content-Disposition', 'attachment; filename="resume.tex"');
+    res.type('application/x-tex').sendFile(texPath);
+});
+
+/**
+ * GET /api/jobs/:id/json
+ * The validated JSON resume (only for jobs run with outputFormat "json")
+ */
+router.get('/jobs/:id/json', (req, res) => {
+    const job = getOwnJob(req);
+    const jsonPath = getArtifactPath(job, 'json');
+    if (!jsonPath) {
+        return res.status(404).json({ success: false, error: 'JSON resume not available' });
+    }
+    res.setHeader('Content-Disposition', 'attachment; filename="resume.json"');
+    res.type('application/json').sendFile(jsonPath);
+});
+
+module.exports = router;
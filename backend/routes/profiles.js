@@ -0,0 +1,127 @@
+const express = require('express');
+const {
+    getProfileOwner,
+    parseProfileName,
+    parseProfileResume,
+    parseProfileVersion,
+    listProfiles,
+    createProfile,
+    getProfileVersion,
+    updateProfile,
+    deleteProfile,
+} = require('../utils/profiles');
+
+const router = express.Router();
+
+// Optional free-text note describing a version
+function parseNote(value) {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, 200) : null;
+}
+
+/**
+ * GET /api/profiles
+ * The client's master resume profiles (without version history)
+ */
+router.get('/profiles', async (req, res) => {
+    try {
+        res.json({ success: true, profiles: await listProfiles(getProfileOwner(req)) });
+    } catch (error) {
+        console.error('❌ Error in GET /profiles:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to list profiles' });
+    }
+});
+
+/**
+ * POST /api/profiles
+ * Create a profile: { name, masterResume, note? }. The content becomes version 1.
+ */
+router.post('/profiles', async (req, res) => {
+    const { name, error: nameError } = parseProfileName(req.body?.name);
+    const { masterResume, error: resumeError } = parseProfileResume(req.body?.masterResume);
+    if (nameError || resumeError) {
+        return res.status(400).json({ success: false, error: nameError || resumeError });
+    }
+
+    try {
+        const profile = await createProfile(getProfileOwner(req), { name, masterResume, note: parseNote(req.body?.note) });
+        console.log(`👤 Created profile ${profile.id} (${profile.name})`);
+        res.status(201)
+            .location(`/api/profiles/${profile.id}`)
+            .json({ success: true, profile });
+    } catch (error) {
+        console.error('❌ Error in POST /profiles:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to create profile' });
+    }
+});
+
+/**
+ * GET /api/profiles/:id?version=N
+ * Profile with version history and the master resume of one version (default: current)
+ */
+router.get('/profiles/:id', async (req, res) => {
+    const { version, error: versionError } = parseProfileVersion(req.query.version);
+    if (versionError) {
+        return res.status(400).json({ success: false, error: versionError.replace('profileVersion', 'version') });
+    }
+
+    try {
+        const resolved = await getProfileVersion(getProfileOwner(req), req.params.id, version);
+        if (!resolved) {
+            return res.status(404).json({ success: false, error: version ? 'Profile version not found' : 'Profile not found' });
+        }
+        res.json({ success: true, ...resolved });
+    } catch (error) {
+        console.error('❌ Error in GET /profiles/:id:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to read profile' });
+    }
+});
+
+/**
+ * PUT /api/profiles/:id
+ * Rename and/or save new content: { name?, masterResume?, note? }. Changed
+ * content adds a version and makes it current; older versions are kept.
+ */
+router.put('/profiles/:id', async (req, res) => {
+    const body = req.body || {};
+    if (body.name === undefined && body.masterResume === undefined) {
+        return res.status(400).json({ success: false, error: 'Provide name and/or masterResume.' });
+    }
+    const { name, error: nameError } = body.name === undefined ? {} : parseProfileName(body.name);
+    const { masterResume, error: resumeError } = body.masterResume === undefined ? {} : parseProfileResume(body.masterResume);
+    if (nameError || resumeError) {
+        return res.status(400).json({ success: false, error: nameError || resumeError });
+    }
+
+    try {
+        const result = await updateProfile(getProfileOwner(req), req.params.id, { name, masterResume, note: parseNote(body.note) });
+        if (!result) {
+            return res.status(404).json({ success: false, error: 'Profile not found' });
+        }
+        if (result.versionCreated) {
+            console.log(`👤 Profile ${result.profile.id} now at version ${result.profile.currentVersion}`);
+        }
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ Error in PUT /profiles/:id:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to update profile' });
+    }
+});
+
+/**
+ * DELETE /api/profiles/:id
+ * Delete a profile and its version history
+ */
+router.delete('/profiles/:id', async (req, res) => {
+    try {
+        if (!(await deleteProfile(getProfileOwner(req), req.params.id))) {
+            return res.status(404).json({ success: false, error: 'Profile not found' });
+        }
+        console.log(`🗑️  Deleted profile ${req.params.id}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('❌ Error in DELETE /profiles/:id:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to delete profile' });
+    }
+});
+
+module.exports = router;
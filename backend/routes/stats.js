@@ -0,0 +1,40 @@
+const express = require('express');
+const { getLedgerStats } = require('../utils/cost-ledger');
+const { getBudgetStatus } = require('../utils/budget');
+const { getClientName } = require('../utils/client-tokens');
+const { getCompileCacheStats } = require('../utils/compile-cache');
+
+const router = express.Router();
+
+function parseCount(value, fallback, max) {
+    if (value === undefined) return fallback;
+    const count = Number(value);
+    return Number.isInteger(count) && count >= 1 && count <= max ? count : null;
+}
+
+/**
+ * GET /api/stats?days=30&months=12
+ * LLM spend from the cost ledger: daily and monthly totals (UTC), average
+ * cost per resume, refinement rate, totals per model, stage and client,
+ * spend against the configured caps, and compile cache hits since startup
+ */
+router.get('/stats', async (req, res) => {
+    const days = parseCount(req.query.days, 30, 366);
+    const months = parseCount(req.query.months, 12, 120);
+    if (days === null || months === null) {
+        return res.status(400).json({ success: false, error: 'days must be 1-366 and months 1-120.' });
+    }
+
+    try {
+        const stats = await getLedgerStats({ days, months });
+        for (const [clientId, totals] of Object.entries(stats.byClient)) {
+            if (clientId.startsWith('client:')) totals.name = getClientName(clientId.slice('client:'.length));
+        }
+        res.json({ success: true, ...stats, budgets: await getBudgetStatus(), compileCache: getCompileCacheStats() });
+    } catch (error) {
+        console.error('❌ Error in GET /stats:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to read cost ledger' });
+    }
+});
+
+module.exports = router;
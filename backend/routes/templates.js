@@ -0,0 +1,31 @@
+const express = require('express');
+const { listTemplates, getTemplate } = require('../config/templates');
+
+const router = express.Router();
+
+/**
+ * GET /api/templates
+ * Available resume templates with their parameters and preview links
+ */
+router.get('/templates', (req, res) => {
+    res.json({ success: true, templates: listTemplates() });
+});
+
+/**
+ * GET /api/templates/:id/preview
+ * Preview thumbnail (SVG) of a template
+ */
+router.get('/templates/:id/preview', (req, res) => {
+    const template = getTemplate(String(req.params.id).toLowerCase());
+    if (!template) {
+        return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    res.setHeader('Cache-Control', 'public, max-age=86400');
+    res.type('image/svg+xml').sendFile(template.previewFile, (err) => {
+        if (err && !res.headersSent) {
+            res.status(404).json({ success: false, error: 'Preview not available' });
+        }
+    });
+});
+
+module.exports = router;
@@ -3,27 +3,57 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const resumeRouter = require('./routes/resume');
+const jobsRouter = require('./routes/jobs');
+const templatesRouter = require('./routes/templates');
+const adminRouter = require('./routes/admin');
+const statsRouter = require('./routes/stats');
+const profilesRouter = require('./routes/profiles');
+const { initJobQueue } = require('./utils/job-queue');
+const { initResumeCache } = require('./utils/resume-cache');
+const { initClientTokens } = require('./utils/client-tokens');
+const { initFilesApi } = require('./utils/files-api');
+const { initCompilePool, getCompilePoolStatus } = require('./utils/compile-pool');
+const { detectEngines, getEngineCapabilities } = require('./utils/latex-engines');
+const { initCompileBackends, getCompileBackendStatus } = require('./utils/compile-backends');
+const { getCompileCacheStats } = require('./utils/compile-cache');
+const { requireClientToken, isClientAuthEnabled } = require('./utils/client-auth');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Behind a reverse proxy (Railway, nginx), trust X-Forwarded-For so req.ip is
+// the real client; per-client spend caps key on it
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors({
-    origin: '*', // Allow Chrome extension to access
-    methods: ['GET', 'POST'],
-    allowedHeaders: ['Content-Type', 'X-Request-Id'],
+    // Any origin by default (the extension's origin depends on its install id);
+    // requests are authorized by client token, not by origin
+    origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map((o) => o.trim()) : '*',
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'X-Request-Id', 'Authorization'],
+    exposedHeaders: ['Location', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Resume-Page-Count', 'X-Resume-Engine', 'X-Resume-Layout-Adjustments', 'X-Resume-Last-Page-Fill', 'X-Resume-Expanded', 'X-Resume-Fabrication-Warnings', 'X-Resume-Ats-Report'],
 }));
 app.use(express.json({ limit: '10mb' })); // Allow large resume content
 
 // Serve static frontend files
 app.use(express.static(path.join(__dirname, 'frontend')));
 
-// API Routes
+// API Routes. The admin API has its own token; everything else needs a client token.
+app.use('/api', adminRouter);
+app.use('/api', requireClientToken);
 app.use('/api', resumeRouter);
+app.use('/api', jobsRouter);
+app.use('/api', templatesRouter);
+app.use('/api', statsRouter);
+app.use('/api', profilesRouter);
 
 // Health check
 app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    res.json({ status: 'ok', timestamp: new Date().toISOString(), compilePool: getCompilePoolStatus(), latexEngines: getEngineCapabilities(), compileBackends: getCompileBackendStatus(), compileCache: getCompileCacheStats() });
 });
 
 // Serve frontend for all other routes (SPA fallback)
@@ -36,9 +66,29 @@ app.use((req, res) => {
 });
 
 // Start server - bind to 0.0.0.0 for Docker compatibility
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`✅ Resume Generator Backend running on port ${PORT}`);
-    console.log(`📋 API endpoint: /api/generate-resume`);
-    console.log(`🏥 Health check: /health`);
-    console.log(`🌐 Frontend: /`);
-});
+Promise.all([
+    initJobQueue().catch((err) => console.error('❌ Failed to restore job queue:', err)),
+    initResumeCache().catch((err) => console.error('❌ Failed to load resume cache:', err)),
+    initClientTokens().catch((err) => console.error('❌ Failed to load client tokens:', err)),
+    initFilesApi().catch((err) => console.error('❌ Failed to load Files API registry:', err)),
+    initCompilePool().catch((err) => console.error('❌ Failed to start compile pool:', err)),
+    // The local backend's health depends on which engines were found
+    detectEngines()
+        .catch((err) => console.error('❌ Failed to detect LaTeX engines:', err))
+        .then(() => initCompileBackends())
+        .catch((err) => console.error('❌ Failed to check compile backends:', err)),
+])
+    .finally(() => {
+        app.listen(PORT, '0.0.0.0', () => {
+            console.log(`✅ Resume Generator Backend running on port ${PORT}`);
+            console.log(`📋 API endpoint: /api/generate-resume`);
+            console.log(`🧾 Job API: /api/jobs`);
+            console.log(`🎨 Templates: /api/templates`);
+            console.log(`📊 Cost stats: /api/stats`);
+            console.log(`👤 Resume profiles: /api/profiles`);
+            console.log(`🔐 Client auth: ${isClientAuthEnabled() ? 'required (issue tokens via POST /api/admin/clients)' : 'DISABLED (CLIENT_AUTH=false)'}`);
+            console.log(`🗄️  Cache admin: /api/admin/cache, /api/admin/compile-cache, /api/admin/files${process.env.ADMIN_TOKEN ? '' : ' (disabled, set ADMIN_TOKEN)'}`);
+            console.log(`🏥 Health check: /health`);
+            console.log(`🌐 Frontend: /`);
+        });
+    });
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scanLatex, assertLatexSafe, LatexSecurityError } = require('../utils/latex-security');
+const { getTemplate } = require('../config/templates');
+
+// Regression checks for the scan that keeps model-written LaTeX from reading
+// server files or running commands (see utils/latex-security)
+
+const template = getTemplate('classic');
+
+function documentWith(body, preambleExtra = '') {
+    return `${template.preamble}${preambleExtra}\n\\begin{document}\n${body}\n\\end{document}\n`;
+}
+
+function commands(latex, tpl) {
+    return scanLatex(latex, tpl).map((v) => v.command);
+}
+
+test('accepts the template preamble with an ordinary body', () => {
+    const latex = documentWith('\\section{Skills}\n\\textbf{Go}, Rust --- 50\\% faster builds');
+    assert.deepEqual(scanLatex(latex, template), []);
+    assert.doesNotThrow(() => assertLatexSafe(latex, template));
+});
+
+test('rejects file and shell primitives with or without a template', () => {
+    for (const [snippet, command] of [
+        ['\\input{/etc/passwd}', '\\input'],
+        ['\\include{secrets}', '\\include'],
+        ['\\immediate\\write18{cat /etc/passwd}', '\\write'],
+        ['\\csname input\\endcsname{/etc/passwd}', '\\csname'],
+    ]) {
+        assert.ok(commands(documentWith(snippet), template).includes(command), snippet);
+        assert.ok(commands(`\\begin{document}${snippet}\\end{document}`).includes(command), `${snippet} (no template)`);
+    }
+});
+
+test('rejects ^^ character escapes', () => {
+    assert.deepEqual(commands('\\begin{document}^^5cinput{/etc/passwd}\\end{document}'), ['^^']);
+});
+
+test('only strips comments that start with an unescaped %', () => {
+    // \% is a literal percent sign, so the rest of the line is still scanned
+    assert.ok(commands(documentWith('50\\% \\input{/etc/passwd}'), template).includes('\\input'));
+    // \\% is a line break and then a comment; the scan keeps it, which is only stricter
+    assert.ok(commands(documentWith('Line\\\\% \\input{/etc/passwd}'), template).includes('\\input'));
+    assert.deepEqual(scanLatex(documentWith('% \\input{/etc/passwd}'), template), []);
+});
+
+test('reads \\\\input as a line break followed by text', () => {
+    assert.deepEqual(scanLatex(documentWith('Lines\\\\input and output'), template), []);
+    assert.ok(commands(documentWith('Lines\\\\\\input{/etc/passwd}'), template).includes('\\input'));
+});
+
+test('rejects packages the template does not load and other document classes', () => {
+    assert.ok(commands(documentWith('Text', '\\usepackage{shellesc}'), template).includes('package shellesc'));
+    assert.ok(commands(documentWith('Text', '\\usepackage{xcolor,catchfile}'), template).includes('package catchfile'));
+    assert.ok(commands(documentWith('Text', '\\RequirePackage{verbatim}'), template).includes('package verbatim'));
+    const otherClass = documentWith('Text').replace('\\documentclass[letterpaper]{article}', '\\documentclass{standalone}');
+    assert.ok(commands(otherClass, template).includes('\\documentclass{standalone}'));
+});
+
+test('rejects body commands outside the template allowlist', () => {
+    assert.ok(commands(documentWith('\\colorbox{gray}{Go}'), template).includes('\\colorbox'));
+    assert.throws(() => assertLatexSafe(documentWith('\\input{/etc/passwd}'), template), LatexSecurityError);
+});
@@ -0,0 +1,198 @@
+// ── ATS parseability check ──────────────────────────────────────────
+// Reads the compiled PDF's text layer the way a simple ATS parser would and
+// reports whether contact details, section headings, dates and job keywords
+// come through intact and in a sensible reading order.
+
+const { extractPdfText } = require('./pdf-layout');
+const { latexToText } = require('./fabrication-guard');
+
+// Headings ATS parsers look for, grouped by the section they identify
+const SECTION_HEADINGS = {
+    experience: /^(professional |work |relevant )?experience$|^employment( history)?$|^work history$/,
+    education: /^education$|^academic background$/,
+    skills: /^(technical |core )?skills$|^technologies$|^skills (and|&) (tools|technologies)$/,
+    projects: /^(selected |personal |technical )?projects$/,
+    summary: /^(professional )?summary$|^profile$|^objective$/,
+};
+const REQUIRED_SECTIONS = ['experience', 'education', 'skills'];
+
+const ICON_FONT_PATTERN = /fontawesome|academicons|marvosym|dingbat|wasy|ifsym|zapf/i;
+const PRIVATE_USE_PATTERN = /[\uE000-\uF8FF]/;
+
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_POINT = `(?:${MONTH}\\s*\\d{4}|\\d{1,2}/\\d{4}|\\d{4})`;
+const DATE_RANGE = new RegExp(`${DATE_POINT}\\s*(?:-|–|—|to)\\s*(?:${DATE_POINT}|present|current|now)`, 'gi');
+// Forms many parsers choke on: 2-digit years and seasons
+const AMBIGUOUS_DATE = /(?:\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s*'\d{2}\b|\b(?:spring|summer|fall|autumn|winter)\s+\d{4}\b)/gi;
+
+// Upward jumps larger than this (points) mean text is extracted out of order
+const READING_ORDER_JUMP = 36;
+
+// Tool and technology names worth checking in the job description
+const TECH_TERMS = [
+    'python', 'java', 'javascript', 'typescript', 'react', 'angular', 'vue', 'node.js', 'express', 'django',
+    'flask', 'fastapi', 'spring', 'docker', 'kubernetes', 'aws', 'azure', 'gcp', 'terraform', 'ansible',
+    'jenkins', 'ci/cd', 'git', 'sql', 'nosql', 'postgresql', 'mysql', 'mongodb', 'redis', 'elasticsearch',
+    'kafka', 'rabbitmq', 'graphql', 'rest', 'microservices', 'machine learning', 'deep learning', 'nlp',
+    'computer vision', 'pytorch', 'tensorflow', 'pandas', 'numpy', 'scikit-learn', 'spark', 'hadoop',
+    'databricks', 'snowflake', 'airflow', 'linux', 'bash', 'c++', 'c#', 'rust', 'go', 'golang', 'kotlin',
+    'swift', 'scala', 'html', 'css', 'tailwind', 'webpack', 'next.js', 'redux', 'jest', 'cypress',
+    'selenium', 'playwright', 'firebase', 'langchain', 'llm', 'rag', 'oauth', 'prometheus', 'grafana',
+    'datadog', 's3', 'ec2', 'lambda', 'dynamodb', 'sagemaker',
+];
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function containsTerm(text, term) {
+    return new RegExp(`(^|[^a-z0-9+#])${escapeRegExp(term)}(?![a-z0-9+#])`, 'i').test(text);
+}
+
+// Spacing-insensitive comparison so "Node. js" still counts as "node.js"
+function compact(text) {
+    return text.toLowerCase().replace(/\s+/g, '');
+}
+
+function extractJobKeywords(jobDescription) {
+    const text = String(jobDescription || '').toLowerCase();
+    return TECH_TERMS.filter((term) => containsTerm(text, term));
+}
+
+function check(passed, details) {
+    return { passed, ...details };
+}
+
+function checkTextLayer(allText) {
+    const replacement = (allText.match(/\uFFFD/g) || []).length;
+    const ratio = allText.length > 0 ? replacement / allText.length : 1;
+    return check(allText.length > 200 && ratio < 0.01, {
+        characters: allText.length,
+        unreadableCharacters: replacement,
+    });
+}
+
+function checkReadingOrder(pages) {
+    const jumps = [];
+    pages.forEach((page, pageIndex) => {
+        for (let i = 1; i < page.lines.length; i += 1) {
+            const prev = page.lines[i - 1];
+            const line = page.lines[i];
+            if (line.y - prev.y > READING_ORDER_JUMP) {
+                jumps.push({ page: pageIndex + 1, after: prev.text.slice(0, 60), before: line.text.slice(0, 60) });
+            }
+        }
+    });
+    return check(jumps.length === 0, { outOfOrder: jumps.slice(0, 5) });
+}
+
+function checkContact(pages) {
+    const first = pages[0] || { lines: [] };
+    // Contact details live in the header: the top ~15% of page one
+    const headerLines = first.lines.filter((line) => line.y > first.height * 0.85);
+    const headerText = headerLines.map((l) => l.text).join('\n');
+    const pageText = first.lines.map((l) => l.text).join('\n');
+
+    const email = pageText.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/);
+    const phone = pageText.match(/(\+?\d{1,2}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}/);
+    const iconFonts = [...new Set(headerLines.flatMap((l) => l.fonts).filter((f) => ICON_FONT_PATTERN.test(f)))];
+    const iconGlyphs = PRIVATE_USE_PATTERN.test(headerText) || /\uFFFD/.test(headerText);
+
+    return check(!!email && iconFonts.length === 0 && !iconGlyphs, {
+        email: email ? email[0] : null,
+        phone: phone ? phone[0].trim() : null,
+        linkedin: /linkedin\.com\/[\w/-]+/i.test(pageText),
+        github: /github\.com\/[\w-]+/i.test(pageText),
+        iconFonts,
+        iconGlyphs,
+    });
+}
+
+function checkSections(pages) {
+    const found = {};
+    for (const page of pages) {
+        for (const line of page.lines) {
+            const text = line.text.toLowerCase().replace(/[:|]+$/, '').trim();
+            if (text.length > 40) continue;
+            for (const [section, pattern] of Object.entries(SECTION_HEADINGS)) {
+                if (!found[section] && pattern.test(text)) found[section] = line.text;
+            }
+        }
+    }
+    const missing = REQUIRED_SECTIONS.filter((s) => !found[s]);
+    return check(missing.length === 0, { found, missing });
+}
+
+function checkDates(allText) {
+    const ranges = allText.match(DATE_RANGE) || [];
+    const ambiguous = allText.match(AMBIGUOUS_DATE) || [];
+    return check(ranges.length > 0 && ambiguous.length === 0, {
+        parsed: ranges.length,
+        examples: ranges.slice(0, 3),
+        unparseable: [...new Set(ambiguous)],
+    });
+}
+
+function checkKeywords(allText, latex, jobDescription) {
+    const keywords = extractJobKeywords(jobDescription);
+    const sourceText = latexToText(latex).toLowerCase();
+    const pdfText = allText.toLowerCase();
+    const pdfCompact = compact(allText);
+
+    const extracted = [];
+    const lost = [];
+    const missing = [];
+    for (const keyword of keywords) {
+        if (containsTerm(pdfText, keyword) || pdfCompact.includes(compact(keyword))) extracted.push(keyword);
+        else if (containsTerm(sourceText, keyword)) lost.push(keyword);
+        else missing.push(keyword);
+    }
+    return check(lost.length === 0, { total: keywords.length, extracted, lost, missing });
+}
+
+/**
+ * Analyze how an ATS would read the compiled resume.
+ *
+ * @param {Buffer} pdfBuffer - Compiled resume
+ * @param {object} options
+ * @param {string} options.latex - LaTeX source the PDF was compiled from
+ * @param {string} options.jobDescription - Used for the keyword survival check
+ * @returns {Promise<{ passed: boolean, score: number, checks: object, issues: string[] }>}
+ *   score is the fraction of checks passed (0–1)
+ */
+async function analyzeAtsParseability(pdfBuffer, { latex, jobDescription }) {
+    const pages = await extractPdfText(pdfBuffer);
+    const allText = pages.map((p) => p.lines.map((l) => l.text).join('\n')).join('\n');
+
+    const checks = {
+        textLayer: checkTextLayer(allText),
+        readingOrder: checkReadingOrder(pages),
+        contact: checkContact(pages),
+        sections: checkSections(pages),
+        dates: checkDates(allText),
+        keywords: checkKeywords(allText, latex || '', jobDescription),
+    };
+
+    const issues = [];
+    if (!checks.textLayer.passed) issues.push(`Text layer is missing or garbled (${checks.textLayer.unreadableCharacters} unreadable characters).`);
+    if (!checks.readingOrder.passed) issues.push('Text is extracted out of reading order (multi-column or floating content).');
+    if (!checks.contact.email) issues.push('No email address found in the extracted text.');
+    if (checks.contact.iconFonts.length > 0 || checks.contact.iconGlyphs) issues.push('Contact header uses icon glyphs that ATS parsers cannot read.');
+    if (checks.sections.missing.length > 0) issues.push(`Section headings not detected: ${checks.sections.missing.join(', ')}.`);
+    if (checks.dates.parsed === 0) issues.push('No parseable date ranges found.');
+    if (checks.dates.unparseable.length > 0) issues.push(`Ambiguous dates: ${checks.dates.unparseable.join(', ')}.`);
+    if (checks.keywords.lost.length > 0) issues.push(`Job keywords lost in extraction: ${checks.keywords.lost.join(', ')}.`);
+
+    const results = Object.values(checks);
+    const passedCount = results.filter((c) => c.passed).length;
+    return {
+        passed: passedCount === results.length,
+        score: Math.round((passedCount / results.length) * 100) / 100,
+        checks,
+        issues,
+    };
+}
+
+module.exports = {
+    analyzeAtsParseability,
+};
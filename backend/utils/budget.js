@@ -0,0 +1,122 @@
+const { calculateCost } = require('./llm-providers');
+const { getCurrentSpend } = require('./cost-ledger');
+
+// ── Spend caps ──────────────────────────────────────────────────────
+// Checked before every LLM call against the cost ledger plus a worst-case
+// estimate of the call (prompt tokens from its length, output at maxTokens).
+// Backend-wide caps answer 402; the per-client cap answers 429 so a single
+// extension install cannot use up the shared budget.
+
+const BUDGETS = [
+    { scope: 'daily', env: 'BUDGET_DAILY_USD', label: 'Daily spend limit', spendKey: 'daily', status: 402 },
+    { scope: 'monthly', env: 'BUDGET_MONTHLY_USD', label: 'Monthly spend limit', spendKey: 'monthly', status: 402 },
+    { scope: 'client_daily', env: 'BUDGET_CLIENT_DAILY_USD', label: 'Daily spend limit for this client', spendKey: 'clientDaily', status: 429 },
+];
+
+// Rough tokenizer-free estimate; errs high for English prose
+const CHARS_PER_TOKEN = 3.5;
+
+function getLimit(budget) {
+    const value = parseFloat(process.env[budget.env] || '');
+    return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+function textLength(content) {
+    if (typeof content === 'string') return content.length;
+    if (Array.isArray(content)) return content.reduce((sum, part) => sum + textLength(part?.text ?? ''), 0);
+    return 0;
+}
+
+/**
+ * Worst-case cost of an LLM call: estimated prompt tokens plus maxTokens of output.
+ *
+ * @param {object} stageConfig - From getStageConfig
+ * @param {object} request - { system, messages, maxTokens } as passed to callLLM
+ */
+function estimateCallCost(stageConfig, { system, messages = [], maxTokens = 4096 }) {
+    const chars = textLength(system) + messages.reduce((sum, message) => sum + textLength(message.content), 0);
+    const usage = { inputTokens: Math.ceil(chars / CHARS_PER_TOKEN), outputTokens: maxTokens };
+    return calculateCost(usage, stageConfig.model, stageConfig.provider.name).totalCost;
+}
+
+// Start of the next UTC day or month, when a cap's spend resets
+function nextReset(scope) {
+    const now = new Date();
+    const reset = scope === 'monthly'
+        ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+        : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return new Date(reset);
+}
+
+/**
+ * Check an upcoming call against the configured caps.
+ *
+ * @param {object} options
+ * @param {string|null} options.clientId - Client the call is made for (per-client cap)
+ * @param {number} options.estimatedCost - From estimateCallCost
+ * @returns {Promise<null | { message: string, status: number, details: object }>}
+ *   null when the call fits every cap
+ */
+async function checkBudget({ clientId = null, estimatedCost = 0 } = {}) {
+    const active = BUDGETS.filter((budget) => getLimit(budget) !== null);
+    if (active.length === 0) return null;
+
+    const spent = await getCurrentSpend(clientId);
+    for (const budget of active) {
+        const limit = getLimit(budget);
+        const used = spent[budget.spendKey];
+        if (used === null || used + estimatedCost <= limit) continue;
+
+        const resetsAt = nextReset(budget.scope);
+        return {
+            message: `${budget.label} reached: $${used.toFixed(2)} of $${limit.toFixed(2)} used, and this step needs up to $${estimatedCost.toFixed(2)}. Try again after ${resetsAt.toISOString().replace('T', ' ').slice(0, 16)} UTC.`,
+            status: budget.status,
+            details: {
+                budget: {
+                    scope: budget.scope,
+                    limitUsd: limit,
+                    spentUsd: Math.round(used * 1e6) / 1e6,
+                    estimatedUsd: Math.round(estimatedCost * 1e6) / 1e6,
+                    resetsAt: resetsAt.toISOString(),
+                },
+                retryAfterSeconds: Math.ceil((resetsAt.getTime() - Date.now()) / 1000),
+            },
+        };
+    }
+    return null;
+}
+
+/**
+ * Client identity for the per-client cap and ledger attribution: the
+ * authenticated client token, or the caller's IP address when client auth is
+ * disabled (set TRUST_PROXY when running behind a reverse proxy).
+ */
+function getClientId(req) {
+    if (req.apiClient) return `client:${req.apiClient.id}`;
+    return req.ip ? `ip:${req.ip}` : null;
+}
+
+/**
+ * Configured caps with current spend, for GET /api/stats.
+ */
+async function getBudgetStatus() {
+    const spent = await getCurrentSpend();
+    return BUDGETS.map((budget) => {
+        const limit = getLimit(budget);
+        const used = budget.spendKey === 'clientDaily' ? null : spent[budget.spendKey];
+        return {
+            scope: budget.scope,
+            limitUsd: limit,
+            spentUsd: used === null ? null : Math.round(used * 1e6) / 1e6,
+            remainingUsd: limit === null || used === null ? null : Math.max(0, Math.round((limit - used) * 1e6) / 1e6),
+            resetsAt: nextReset(budget.scope).toISOString(),
+        };
+    });
+}
+
+module.exports = {
+    estimateCallCost,
+    checkBudget,
+    getBudgetStatus,
+    getClientId,
+};
@@ -0,0 +1,72 @@
+// ── Cancellation of in-flight generations ───────────────────────────
+// One AbortController per running request id. The pipeline hands its signal
+// to every LLM call (aborting the fetch) and every compile (killing the
+// pdflatex child), and checks it between stages that take no signal.
+
+const controllers = new Map();
+
+/**
+ * Raised by checkCancelled() once a request has been cancelled.
+ */
+class CancelledError extends Error {
+    constructor(message = 'Generation cancelled.') {
+        super(message);
+        this.name = 'CancelledError';
+    }
+}
+
+/**
+ * Register a request as cancellable. Returns its abort signal (undefined
+ * without a request id).
+ */
+function registerRequest(requestId) {
+    if (!requestId) return undefined;
+    const controller = new AbortController();
+    controllers.set(requestId, controller);
+    return controller.signal;
+}
+
+function unregisterRequest(requestId) {
+    controllers.delete(requestId);
+}
+
+function getCancelSignal(requestId) {
+    return (requestId && controllers.get(requestId)?.signal) || undefined;
+}
+
+function isCancelled(requestId) {
+    return !!getCancelSignal(requestId)?.aborted;
+}
+
+/**
+ * Throw CancelledError if the request has been cancelled.
+ */
+function checkCancelled(requestId) {
+    if (isCancelled(requestId)) throw new CancelledError();
+}
+
+function isRequestActive(requestId) {
+    return !!requestId && controllers.has(requestId);
+}
+
+/**
+ * Cancel an in-flight request. Returns false when it is not running
+ * (unknown, finished or already cancelled).
+ */
+function cancelRequest(requestId) {
+    const controller = requestId && controllers.get(requestId);
+    if (!controller || controller.signal.aborted) return false;
+    controller.abort(new CancelledError());
+    return true;
+}
+
+module.exports = {
+    CancelledError,
+    registerRequest,
+    unregisterRequest,
+    getCancelSignal,
+    isCancelled,
+    checkCancelled,
+    isRequestActive,
+    cancelRequest,
+};
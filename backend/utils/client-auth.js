@@ -0,0 +1,117 @@
+const { authenticateClientToken } = require('./client-tokens');
+
+// ── Client authentication and rate limiting ─────────────────────────
+// Every /api route except the admin API needs a client token, sent as
+// `Authorization: Bearer <token>` or, where headers cannot be set
+// (EventSource, <img>), as `?token=`. Each client then gets two sliding-window
+// limits: all API requests per minute and generations per hour. Clients can
+// carry their own limits; otherwise the RATE_LIMIT_* defaults apply.
+
+const LIMITS = {
+    requestsPerMinute: { windowMs: 60 * 1000, env: 'RATE_LIMIT_REQUESTS_PER_MINUTE', fallback: 120 },
+    generationsPerHour: { windowMs: 60 * 60 * 1000, env: 'RATE_LIMIT_GENERATIONS_PER_HOUR', fallback: 20 },
+};
+
+const windows = new Map(); // `${limitName}:${clientKey}` → request timestamps
+
+function isClientAuthEnabled() {
+    return (process.env.CLIENT_AUTH || 'true').toLowerCase() !== 'false';
+}
+
+function getLimit(limitName, client) {
+    const override = client?.rateLimits?.[limitName];
+    if (override) return override;
+    const { env, fallback } = LIMITS[limitName];
+    const value = parseInt(process.env[env] || String(fallback), 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+// Per-client key for limits; falls back to the IP when auth is disabled
+function clientKey(req) {
+    return req.apiClient ? `client:${req.apiClient.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Count one request against a limit. Sets X-RateLimit-* headers and answers
+ * 429 (with Retry-After) when the window is full. Returns true if allowed.
+ */
+function consume(req, res, limitName) {
+    const { windowMs } = LIMITS[limitName];
+    const limit = getLimit(limitName, req.apiClient);
+    const key = `${limitName}:${clientKey(req)}`;
+    const now = Date.now();
+    const hits = (windows.get(key) || []).filter((at) => now - at < windowMs);
+
+    const resetAt = hits.length > 0 ? hits[0] + windowMs : now + windowMs;
+    res.setHeader('X-RateLimit-Limit', String(limit));
+    res.setHeader('X-RateLimit-Reset', String(Math.ceil(resetAt / 1000)));
+    if (hits.length >= limit) {
+        windows.set(key, hits);
+        const retryAfterSeconds = Math.max(1, Math.ceil((resetAt - now) / 1000));
+        res.setHeader('X-RateLimit-Remaining', '0');
+        res.setHeader('Retry-After', String(retryAfterSeconds));
+        res.status(429).json({
+            success: false,
+            error: limitName === 'generationsPerHour'
+                ? `Rate limit reached: ${limit} resume generations per hour. Try again in ${Math.ceil(retryAfterSeconds / 60)} min.`
+                : `Rate limit reached: ${limit} requests per minute. Try again in ${retryAfterSeconds}s.`,
+            rateLimit: { limit: limitName, max: limit, resetAt: new Date(resetAt).toISOString() },
+            retryAfterSeconds,
+        });
+        return false;
+    }
+    hits.push(now);
+    windows.set(key, hits);
+    res.setHeader('X-RateLimit-Remaining', String(limit - hits.length));
+    return true;
+}
+
+// Drop windows that have fully expired so idle clients don't accumulate
+setInterval(() => {
+    const now = Date.now();
+    for (const [key, hits] of windows.entries()) {
+        const { windowMs } = LIMITS[key.split(':')[0]];
+        if (hits.length === 0 || now - hits[hits.length - 1] >= windowMs) windows.delete(key);
+    }
+}, 5 * 60 * 1000).unref();
+
+function getPresentedToken(req) {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+    return typeof req.query?.token === 'string' ? req.query.token : null;
+}
+
+/**
+ * Express middleware: authenticate the client token, attach req.apiClient
+ * ({ id, name, rateLimits, ... }) and apply the per-minute request limit.
+ */
+async function requireClientToken(req, res, next) {
+    try {
+        if (isClientAuthEnabled()) {
+            const client = await authenticateClientToken(getPresentedToken(req));
+            if (!client) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Missing or invalid client token. Set the API token in the extension options.',
+                });
+            }
+            req.apiClient = client;
+        }
+        if (consume(req, res, 'requestsPerMinute')) next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Express middleware for generation endpoints: per-hour generation limit.
+ */
+function limitGenerations(req, res, next) {
+    if (consume(req, res, 'generationsPerHour')) next();
+}
+
+module.exports = {
+    requireClientToken,
+    limitGenerations,
+    isClientAuthEnabled,
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { dataPath, readJson, writeJsonAtomic } = require('./storage');
+
+// ── Client tokens ───────────────────────────────────────────────────
+// Tokens are issued through the admin API and shown once. Only their sha256
+// hash is stored (DATA_DIR/auth/clients.json), next to the client's name,
+// optional rate-limit overrides and last-use time.
+
+const CLIENTS_FILE = dataPath('auth', 'clients.json');
+const TOKEN_PREFIX = 'rmk_';
+const CLIENT_ID_PATTERN = /^[a-f0-9]{16}$/;
+const RATE_LIMIT_KEYS = ['requestsPerMinute', 'generationsPerHour'];
+
+const clients = new Map(); // id → stored record
+const clientsByHash = new Map(); // tokenHash → id
+let loadPromise = null;
+let persistTimer = null;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function index(record) {
+    clients.set(record.id, record);
+    clientsByHash.set(record.tokenHash, record.id);
+}
+
+/**
+ * Load issued tokens from disk. Runs once; later calls return the same promise.
+ */
+function initClientTokens() {
+    if (!loadPromise) {
+        loadPromise = (async () => {
+            const stored = await readJson(CLIENTS_FILE, { clients: [] });
+            for (const record of stored.clients || []) index(record);
+            const active = [...clients.values()].filter((c) => !c.revokedAt).length;
+            console.log(`🔑 Client tokens: ${active} active`);
+        })();
+    }
+    return loadPromise;
+}
+
+async function persist() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    await writeJsonAtomic(CLIENTS_FILE, { clients: [...clients.values()] });
+}
+
+// lastUsedAt changes on every request; batch those writes
+function schedulePersist() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(() => {
+        persist().catch((err) => console.warn('⚠️  Could not save client tokens:', err.message));
+    }, 10000);
+    persistTimer.unref?.();
+}
+
+// Stored record without the hash
+function toPublic(record) {
+    const { tokenHash, ...rest } = record;
+    return rest;
+}
+
+/**
+ * Validate rate-limit overrides from the admin API.
+ * Returns { rateLimits } or { error }.
+ */
+function parseRateLimits(value) {
+    if (value === undefined || value === null) return { rateLimits: {} };
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        return { error: `rateLimits must be an object with ${RATE_LIMIT_KEYS.join(' and/or ')}.` };
+    }
+    const rateLimits = {};
+    for (const [key, limit] of Object.entries(value)) {
+        if (!RATE_LIMIT_KEYS.includes(key)) {
+            return { error: `Unknown rate limit "${key}". Expected ${RATE_LIMIT_KEYS.join(' or ')}.` };
+        }
+        if (!Number.isInteger(limit) || limit < 1) {
+            return { error: `rateLimits.${key} must be a positive integer.` };
+        }
+        rateLimits[key] = limit;
+    }
+    return { rateLimits };
+}
+
+/**
+ * Issue a token for a new client. The plain token is only returned here.
+ *
+ * @returns {Promise<{ client: object, token: string }>}
+ */
+async function issueClientToken({ name, rateLimits = {} }) {
+    await initClientTokens();
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+        id: crypto.randomBytes(8).toString('hex'),
+        name,
+        tokenHash: hashToken(token),
+        tokenHint: `${token.slice(0, TOKEN_PREFIX.length + 4)}…`,
+        rateLimits,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        requests: 0,
+        revokedAt: null,
+    };
+    index(record);
+    await persist();
+    return { client: toPublic(record), token };
+}
+
+/**
+ * Revoke a client's token. Returns the client, or null when unknown.
+ */
+async function revokeClientToken(id) {
+    await initClientTokens();
+    const record = CLIENT_ID_PATTERN.test(id) ? clients.get(id) : null;
+    if (!record) return null;
+    record.revokedAt = record.revokedAt || new Date().toISOString();
+    await persist();
+    return toPublic(record);
+}
+
+/**
+ * Resolve a presented token to its (non-revoked) client and record the use.
+ *
+ * @returns {Promise<object|null>} public client record
+ */
+async function authenticateClientToken(token) {
+    await initClientTokens();
+    if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+    const record = clients.get(clientsByHash.get(hashToken(token)));
+    if (!record || record.revokedAt) return null;
+    record.lastUsedAt = new Date().toISOString();
+    record.requests = (record.requests || 0) + 1;
+    schedulePersist();
+    return toPublic(record);
+}
+
+async function listClients() {
+    await initClientTokens();
+    return [...clients.values()].map(toPublic);
+}
+
+function getClientName(id) {
+    return clients.get(id)?.name || null;
+}
+
+module.exports = {
+    initClientTokens,
+    issueClientToken,
+    revokeClientToken,
+    authenticateClientToken,
+    listClients,
+    getClientName,
+    parseRateLimits,
+};
@@ -0,0 +1,446 @@
+const fetch = require('node-fetch');
+const FormData = require('form-data');
+const fs = require('fs').promises;
+const path = require('path');
+const { runCompiler, createCompileDir, removeCompileDir } = require('./compile-pool');
+const { getEngineChain, getEngineArgs, getEngineName, classifyEngineFailure } = require('./latex-engines');
+
+// ── Compile backends ────────────────────────────────────────────────
+// A compile backend turns a LaTeX document into a PDF. Each one is
+//   { name, maxChars, compile(latex, { signal, onQueue }), checkHealth() }
+// where compile resolves with { pdfBuffer, engine, log } and checkHealth with
+// { healthy, error }. COMPILE_BACKENDS lists the backends in the order they
+// are tried (default "latexonline,local", or "local" with LATEX_COMPILER=local):
+//   local         the local engine chain, run through the compile pool
+//   latexonline   latexonline.cc; the document goes in a GET query string,
+//                 so only documents up to 6000 characters
+//   <http(s) URL> a compile service speaking the protocol below, such as
+//                 compile-service.js
+//
+// Compile service protocol (optional bearer token COMPILE_SERVICE_TOKEN):
+//   POST <url>/compile  multipart/form-data with the document in field "file"
+//     200  application/pdf, X-Compile-Engine names the engine
+//     422  { error, log, engineFailure } when the document does not compile
+//     anything else is a service failure
+//   GET <url>/health    200 when the service can compile
+//
+// Backends are health-checked at startup and every
+// COMPILE_HEALTH_INTERVAL_MS, and a service failure (network error, timeout,
+// 5xx) marks one unhealthy at once. Unhealthy backends are skipped until a
+// check passes again, unless none is healthy. A failure moves on to the next
+// backend when another may succeed: a service failure, a document too large
+// for the backend, or an engine-specific LaTeX error.
+
+const LATEXONLINE_URL = 'https://latexonline.cc';
+const LATEXONLINE_MAX_CHARS = 6000;
+const HEALTH_TIMEOUT_MS = 5000;
+
+const health = new Map(); // backend name -> { healthy, checkedAt, error }
+let healthTimer = null;
+
+function getIntSetting(env, fallback) {
+    const value = parseInt(process.env[env] || String(fallback), 10);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Error for a failed compile. fallback names why another backend might
+ * succeed (null when it would fail the same way); unhealthy marks a service
+ * failure rather than a problem with the document. latexLog is set when the
+ * compiler ran to the end and rejected the document, so the failure can be
+ * cached (see compile-cache).
+ */
+function compileError(message, { fallback = null, unhealthy = false, latexLog = null } = {}) {
+    return Object.assign(new Error(message), { fallback, unhealthy, latexLog });
+}
+
+/**
+ * Abort signal that fires on the caller's signal or after timeoutMs.
+ */
+function withTimeout(signal, timeoutMs) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    return {
+        signal: controller.signal,
+        timedOut: () => controller.signal.aborted && !signal?.aborted,
+        done: () => {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
+        },
+    };
+}
+
+// ── local: engine chain ─────────────────────────────────────────────
+
+async function readLogTail(dir) {
+    try {
+        const logText = await fs.readFile(path.join(dir, 'main.log'), 'utf8');
+        return logText.trim().split(/\r?\n/).slice(-40).join('\n');
+    } catch (_) {
+        return '';
+    }
+}
+
+/**
+ * One local compile in a fresh build directory; resolves with the PDF and the
+ * log tail. Errors carry engineFailure (see classifyEngineFailure) when
+ * another engine might succeed, and latexLog when the compiler rejected the
+ * document rather than being stopped.
+ */
+async function compileWithEngine(engine, latexSource, { signal, onQueue }) {
+    const tmpDir = await createCompileDir();
+    const texPath = path.join(tmpDir, 'main.tex');
+    const pdfPath = path.join(tmpDir, 'main.pdf');
+
+    try {
+        await fs.writeFile(texPath, latexSource, 'utf8');
+        console.log(`  → Compiling locally with ${engine}...`);
+
+        // Waits for a free slot in the compile pool, which applies the timeout
+        // and resource limits. No shell escape, and kpathsea may only open
+        // files below the build directory (no absolute paths, .. or dotfiles)
+        // besides the TeX tree.
+        await runCompiler(engine, getEngineArgs(engine, 'main.tex'), {
+            cwd: tmpDir,
+            env: { ...process.env, shell_escape: 'f', openin_any: 'p', openout_any: 'p' },
+            maxBuffer: 10 * 1024 * 1024,
+            signal, // abort leaves the queue or kills the compiler process
+            onQueue,
+        });
+
+        const pdfBuffer = await fs.readFile(pdfPath);
+        console.log(`  ✅ Local LaTeX compilation successful (${getEngineName(engine)})`);
+        return { pdfBuffer, log: await readLogTail(tmpDir) };
+    } catch (err) {
+        if (err?.name === 'AbortError') throw err;
+        const msg = err?.message || String(err);
+        const logSnippet = await readLogTail(tmpDir);
+
+        if (logSnippet) {
+            console.error('  LaTeX log tail:\n' + logSnippet);
+        }
+
+        const engineFailure = classifyEngineFailure(err, logSnippet);
+        let error;
+        if (err && err.code === 'ENOENT') {
+            error = new Error(`Local LaTeX compilation failed: ${engine} not found. Install a TeX distribution or configure a remote backend in COMPILE_BACKENDS.`);
+        } else {
+            const details = logSnippet ? `\nLaTeX log tail:\n${logSnippet}` : '';
+            error = new Error(`Local LaTeX compilation failed: ${msg}${details}`);
+        }
+        error.engineFailure = engineFailure;
+        // Exited on its own (not timed out or killed by a limit): the document failed
+        if (logSnippet && !err.killed && !err.signal) error.latexLog = logSnippet;
+        throw error;
+    } finally {
+        await removeCompileDir(tmpDir);
+    }
+}
+
+/**
+ * Compile with each engine of the chain in turn, moving on only when a
+ * failure is engine-specific.
+ * @returns {Promise<{ pdfBuffer: Buffer, engine: string, log: string }>}
+ */
+async function compileLatexLocally(latexSource, { signal, onQueue } = {}) {
+    const engines = getEngineChain();
+    if (engines.length === 0) {
+        throw compileError('Local LaTeX compilation failed: no LaTeX engine found. Install a TeX distribution or configure a remote backend in COMPILE_BACKENDS.', { fallback: 'no engine installed', unhealthy: true });
+    }
+
+    // Save a debug copy of the LaTeX source for inspection on failure
+    const debugDir = path.join(__dirname, '..', 'output');
+    try {
+        await fs.mkdir(debugDir, { recursive: true });
+        await fs.writeFile(path.join(debugDir, 'last-latex-attempt.tex'), latexSource, 'utf8');
+    } catch (_) { }
+
+    for (let i = 0; i < engines.length; i += 1) {
+        try {
+            const { pdfBuffer, log } = await compileWithEngine(engines[i], latexSource, { signal, onQueue });
+            return { pdfBuffer, engine: getEngineName(engines[i]), log };
+        } catch (err) {
+            if (err?.name === 'AbortError') throw err;
+            if (!err.engineFailure || i === engines.length - 1) {
+                err.fallback = err.engineFailure || null;
+                throw err;
+            }
+            console.warn(`  ↪️  ${getEngineName(engines[i])} failed (${err.engineFailure}), trying ${getEngineName(engines[i + 1])}...`);
+        }
+    }
+    throw new Error('Unexpected error in compileLatexLocally');
+}
+
+function createLocalBackend() {
+    return {
+        name: 'local',
+        maxChars: null,
+        compile: compileLatexLocally,
+        async checkHealth() {
+            return getEngineChain().length > 0
+                ? { healthy: true, error: null }
+                : { healthy: false, error: 'No LaTeX engine installed' };
+        },
+    };
+}
+
+// ── latexonline.cc ──────────────────────────────────────────────────
+
+function createLatexOnlineBackend() {
+    return {
+        name: 'latexonline',
+        maxChars: LATEXONLINE_MAX_CHARS,
+        async compile(latexSource, { signal } = {}) {
+            console.log('  → Sending request to latexonline.cc...');
+            let response;
+            try {
+                response = await fetch(`${LATEXONLINE_URL}/compile?text=${encodeURIComponent(latexSource)}`, {
+                    method: 'GET',
+                    signal,
+                });
+            } catch (err) {
+                if (err?.name === 'AbortError') throw err;
+                throw compileError(`latexonline.cc unreachable: ${err.message}`, { fallback: 'unreachable', unhealthy: true });
+            }
+
+            if (response.ok) {
+                console.log('  ✅ LaTeX compilation successful (latexonline.cc)');
+                return { pdfBuffer: await response.buffer(), engine: 'latexonline.cc', log: null };
+            }
+
+            const errorText = await response.text();
+            console.error('  ❌ LaTeX compilation failed:', response.status);
+            console.error('  Error details:', errorText.substring(0, 200));
+            const message = `LaTeX compilation failed: ${response.status} - ${errorText}`;
+            if (response.status === 414) throw compileError(message, { fallback: 'document too long' });
+            if (response.status >= 500) throw compileError(message, { fallback: `service error ${response.status}`, unhealthy: true });
+            throw compileError(message, { fallback: classifyEngineFailure(null, errorText), latexLog: errorText });
+        },
+        async checkHealth() {
+            return checkUrl(LATEXONLINE_URL, (status) => status < 500);
+        },
+    };
+}
+
+// ── compile services (multipart protocol) ───────────────────────────
+
+function serviceHeaders() {
+    const token = process.env.COMPILE_SERVICE_TOKEN;
+    return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+function createServiceBackend(url) {
+    const base = url.replace(/\/+$/, '');
+    const host = new URL(base).host;
+    return {
+        name: base,
+        maxChars: null,
+        async compile(latexSource, { signal } = {}) {
+            console.log(`  → Uploading LaTeX to compile service ${host}...`);
+            const form = new FormData();
+            form.append('file', Buffer.from(latexSource, 'utf8'), {
+                filename: 'main.tex',
+                contentType: 'application/x-tex',
+            });
+
+            const timeoutMs = getIntSetting('COMPILE_SERVICE_TIMEOUT_MS', 60000);
+            const request = withTimeout(signal, timeoutMs);
+            let response;
+            let body;
+            try {
+                response = await fetch(`${base}/compile`, {
+                    method: 'POST',
+                    headers: { ...serviceHeaders(), ...form.getHeaders() },
+                    body: form,
+                    signal: request.signal,
+                });
+                body = await response.buffer();
+            } catch (err) {
+                if (signal?.aborted) throw err;
+                const reason = request.timedOut() ? `timed out after ${timeoutMs}ms` : err.message;
+                throw compileError(`Compile service ${host} failed: ${reason}`, { fallback: 'unreachable', unhealthy: true });
+            } finally {
+                request.done();
+            }
+
+            if (response.ok) {
+                const engine = response.headers.get('x-compile-engine') || 'unknown';
+                console.log(`  ✅ LaTeX compilation successful (${engine} on ${host})`);
+                return { pdfBuffer: body, engine: `${engine}@${host}`, log: null };
+            }
+
+            if (response.status === 422) {
+                let data = {};
+                try {
+                    data = JSON.parse(body.toString('utf8'));
+                } catch (_) { }
+                const details = data.log ? `\nLaTeX log tail:\n${data.log}` : '';
+                throw compileError(`Remote LaTeX compilation failed (${host}): ${data.error || 'compile error'}${details}`, {
+                    fallback: data.engineFailure || classifyEngineFailure(null, data.log),
+                    latexLog: data.log || null,
+                });
+            }
+
+            const message = `Compile service ${host} failed: ${response.status} - ${body.toString('utf8').substring(0, 200)}`;
+            if (response.status === 413) throw compileError(message, { fallback: 'document too large' });
+            throw compileError(message, { fallback: `service error ${response.status}`, unhealthy: true });
+        },
+        async checkHealth() {
+            return checkUrl(`${base}/health`, (status) => status >= 200 && status < 300, serviceHeaders());
+        },
+    };
+}
+
+async function checkUrl(url, isHealthy, headers = {}) {
+    const request = withTimeout(null, HEALTH_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, { method: 'GET', headers, signal: request.signal });
+        return isHealthy(response.status)
+            ? { healthy: true, error: null }
+            : { healthy: false, error: `HTTP ${response.status}` };
+    } catch (err) {
+        return { healthy: false, error: request.timedOut() ? `timed out after ${HEALTH_TIMEOUT_MS}ms` : err.message };
+    } finally {
+        request.done();
+    }
+}
+
+// ── routing ─────────────────────────────────────────────────────────
+
+function createBackend(spec) {
+    if (spec === 'local') return createLocalBackend();
+    if (spec === 'latexonline') return createLatexOnlineBackend();
+    if (/^https?:\/\//i.test(spec)) return createServiceBackend(spec);
+    console.warn(`⚠️  Unknown compile backend "${spec}" in COMPILE_BACKENDS, ignoring`);
+    return null;
+}
+
+/**
+ * Configured backends in the order they are tried.
+ */
+function getCompileBackends() {
+    const fallback = (process.env.LATEX_COMPILER || '').toLowerCase() === 'local' ? 'local' : 'latexonline,local';
+    const specs = (process.env.COMPILE_BACKENDS || fallback).split(',').map((s) => s.trim()).filter(Boolean);
+    return [...new Set(specs)].map(createBackend).filter(Boolean);
+}
+
+function isHealthy(name) {
+    return health.get(name)?.healthy !== false; // not yet checked counts as healthy
+}
+
+function setHealth(name, healthy, error = null) {
+    const previous = health.get(name);
+    health.set(name, { healthy, checkedAt: new Date().toISOString(), error });
+    if (previous && previous.healthy !== healthy) {
+        if (healthy) console.log(`💚 Compile backend ${name} is healthy again`);
+        else console.warn(`💔 Compile backend ${name} is unhealthy: ${error}`);
+    }
+}
+
+/**
+ * Compile on the first suitable backend, moving on to the next when a
+ * failure is not the document's fault or is engine-specific.
+ *
+ * @returns {Promise<{ pdfBuffer: Buffer, engine: string, log: string|null }>}
+ */
+async function compileWithBackends(latexSource, { signal, onQueue } = {}) {
+    const backends = getCompileBackends();
+    const fits = backends.filter((backend) => !backend.maxChars || latexSource.length <= backend.maxChars);
+    if (fits.length < backends.length) {
+        const skipped = backends.filter((backend) => !fits.includes(backend)).map((backend) => backend.name);
+        console.log(`  → Skipping ${skipped.join(', ')} (document too large)`);
+    }
+    if (fits.length === 0) {
+        throw new Error(`LaTeX compilation failed: no compile backend accepts a ${latexSource.length}-character document (configured: ${backends.map((b) => b.name).join(', ') || 'none'}).`);
+    }
+
+    // Route around unhealthy backends, but try them anyway if nothing else is left
+    let candidates = fits.filter((backend) => isHealthy(backend.name));
+    if (candidates.length === 0) {
+        console.warn('  ⚠️  All compile backends are unhealthy; trying them anyway');
+        candidates = fits;
+    } else if (candidates.length < fits.length) {
+        const skipped = fits.filter((backend) => !candidates.includes(backend)).map((backend) => backend.name);
+        console.log(`  → Skipping unhealthy ${skipped.join(', ')}`);
+    }
+
+    for (let i = 0; i < candidates.length; i += 1) {
+        const backend = candidates[i];
+        try {
+            const result = await backend.compile(latexSource, { signal, onQueue });
+            if (!isHealthy(backend.name)) setHealth(backend.name, true);
+            return result;
+        } catch (err) {
+            if (err?.name === 'AbortError') throw err;
+            if (err.unhealthy) setHealth(backend.name, false, err.message.split('\n')[0]);
+            if (!err.fallback || i === candidates.length - 1) throw err;
+            console.warn(`  ⚠️  ${backend.name} failed (${err.fallback}). Trying ${candidates[i + 1].name}...`);
+        }
+    }
+    throw new Error('Unexpected error in compileWithBackends');
+}
+
+/**
+ * What a compile runs on: the configured backends and local engine chain.
+ * Compile results are only reused for the same target (see compile-cache).
+ */
+function getCompileTarget() {
+    return JSON.stringify([getCompileBackends().map((backend) => backend.name), getEngineChain()]);
+}
+
+/**
+ * Health-check every configured backend.
+ */
+async function checkCompileBackends() {
+    const backends = getCompileBackends();
+    await Promise.all(backends.map(async (backend) => {
+        let result;
+        try {
+            result = await backend.checkHealth();
+        } catch (err) {
+            result = { healthy: false, error: err.message };
+        }
+        setHealth(backend.name, result.healthy, result.error);
+    }));
+    return getCompileBackendStatus();
+}
+
+/**
+ * Check the backends now and every COMPILE_HEALTH_INTERVAL_MS. Call after
+ * detectEngines() so the local backend knows which engines exist.
+ */
+async function initCompileBackends() {
+    const status = await checkCompileBackends();
+    if (!healthTimer) {
+        healthTimer = setInterval(() => {
+            checkCompileBackends().catch((err) => console.warn('⚠️  Compile backend health check failed:', err.message));
+        }, getIntSetting('COMPILE_HEALTH_INTERVAL_MS', 60000));
+        healthTimer.unref();
+    }
+    console.log(`🏗️  Compile backends: ${status.map((b) => `${b.name} ${b.healthy ? '✓' : `✗ (${b.error})`}`).join(' → ')}`);
+}
+
+/**
+ * Configured backends with their last health check, for /health.
+ */
+function getCompileBackendStatus() {
+    return getCompileBackends().map((backend) => ({
+        name: backend.name,
+        healthy: isHealthy(backend.name),
+        checkedAt: health.get(backend.name)?.checkedAt || null,
+        error: health.get(backend.name)?.error || null,
+        maxChars: backend.maxChars,
+    }));
+}
+
+module.exports = {
+    compileWithBackends,
+    compileLatexLocally,
+    createLocalBackend,
+    getCompileTarget,
+    checkCompileBackends,
+    initCompileBackends,
+    getCompileBackendStatus,
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// ── Compile result cache ────────────────────────────────────────────
+// Content-addressed, in memory: the key is a hash of the (sanitized) LaTeX
+// source and the compile target (backends and engine chain), the value the
+// PDF, its page count and the compile log. Documents that fail to compile
+// are cached too, with their log, so a repeat goes straight to the
+// auto-fixer. Only failures of the document itself are stored, never
+// timeouts, resource limits or unreachable services. Entries expire after
+// COMPILE_CACHE_TTL_MS; the least recently used ones are evicted whenever the
+// total size exceeds COMPILE_CACHE_MAX_BYTES (0 turns the cache off).
+
+// Bump when compiling changes in a way that makes old results stale
+const CACHE_VERSION = 1;
+
+const entries = new Map(); // key → entry, least recently used first
+const counters = { hits: 0, misses: 0, failureHits: 0, evictions: 0, savedMs: 0 };
+let totalBytes = 0;
+
+function getMaxBytes() {
+    const value = parseInt(process.env.COMPILE_CACHE_MAX_BYTES || String(50 * 1024 * 1024), 10);
+    return Number.isFinite(value) && value >= 0 ? value : 50 * 1024 * 1024;
+}
+
+function getTtlMs() {
+    return parseInt(process.env.COMPILE_CACHE_TTL_MS || String(24 * 3600000), 10); // 1 day default
+}
+
+function isEnabled() {
+    return getMaxBytes() > 0;
+}
+
+/**
+ * Cache key for a compile of latex on target.
+ *
+ * @param {string} latex - Source as it is sent to the compiler
+ * @param {string} target - Compile target, from getCompileTarget()
+ * @returns {string} sha256 hex digest
+ */
+function buildCompileKey(latex, target) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([CACHE_VERSION, target, latex]))
+        .digest('hex');
+}
+
+function drop(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    totalBytes -= entry.bytes;
+}
+
+/**
+ * Look up a compile result and mark it as recently used.
+ *
+ * @returns {{ pdfBuffer: Buffer, pageCount: number, engine: string, log: string|null } | { error: string, log: string|null } | null}
+ */
+function getCachedCompile(key) {
+    if (!isEnabled()) return null;
+    const entry = entries.get(key);
+    if (!entry || Date.now() - entry.createdAt > getTtlMs()) {
+        drop(key);
+        counters.misses += 1;
+        return null;
+    }
+    counters.hits += 1;
+    if (entry.result.error) counters.failureHits += 1;
+    counters.savedMs += entry.durationMs;
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.result;
+}
+
+/**
+ * Store a compile result ({ pdfBuffer, pageCount, engine, log } or
+ * { error, log }), then evict least recently used entries until the cache
+ * fits its byte budget.
+ *
+ * @param {string} key - From buildCompileKey
+ * @param {object} result
+ * @param {number} durationMs - How long the compile took (reported as time saved on hits)
+ */
+function storeCompile(key, result, durationMs) {
+    const maxBytes = getMaxBytes();
+    const bytes = (result.pdfBuffer?.length || 0) + Buffer.byteLength(result.log || '') + Buffer.byteLength(result.error || '');
+    if (!isEnabled() || bytes > maxBytes) return;
+
+    drop(key);
+    entries.set(key, { result, bytes, durationMs, createdAt: Date.now() });
+    totalBytes += bytes;
+    for (const oldest of entries.keys()) {
+        if (totalBytes <= maxBytes) break;
+        drop(oldest);
+        counters.evictions += 1;
+    }
+}
+
+/**
+ * Size, limits and hit/miss counters since startup.
+ */
+function getCompileCacheStats() {
+    const lookups = counters.hits + counters.misses;
+    return {
+        entries: entries.size,
+        bytes: totalBytes,
+        maxBytes: getMaxBytes(),
+        ttlMs: getTtlMs(),
+        hits: counters.hits,
+        failureHits: counters.failureHits,
+        misses: counters.misses,
+        hitRate: lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 1000 : null,
+        evictions: counters.evictions,
+        savedMs: counters.savedMs,
+    };
+}
+
+/**
+ * Remove every cached compile result. Returns the number of entries removed.
+ */
+function purgeCompileCache() {
+    const removed = entries.size;
+    entries.clear();
+    totalBytes = 0;
+    return removed;
+}
+
+module.exports = {
+    buildCompileKey,
+    getCachedCompile,
+    storeCompile,
+    getCompileCacheStats,
+    purgeCompileCache,
+};
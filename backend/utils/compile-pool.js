@@ -0,0 +1,222 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// ── Local compile pool ──────────────────────────────────────────────
+// At most COMPILE_CONCURRENCY compiler processes run at once; further
+// compiles wait in FIFO order and are told how many are ahead of them. Each
+// process gets a wall-clock timeout and, outside Windows, CPU-time and
+// address-space limits (ulimit -t / -v). Build directories share a prefix
+// under the OS temp dir, so ones left behind by a crash are swept up at
+// startup and every ORPHAN_SWEEP_INTERVAL_MS.
+
+const COMPILE_DIR_PREFIX = 'resume-tex-';
+const ORPHAN_MAX_AGE_MS = 10 * 60 * 1000;
+const ORPHAN_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const SETTINGS = {
+    concurrency: { env: 'COMPILE_CONCURRENCY', fallback: 2, min: 1 },
+    timeoutMs: { env: 'COMPILE_TIMEOUT_MS', fallback: 30000, min: 1 },
+    memoryLimitMb: { env: 'COMPILE_MEMORY_LIMIT_MB', fallback: 1024, min: 0 }, // 0 = no limit
+    cpuLimitSeconds: { env: 'COMPILE_CPU_LIMIT_SECONDS', fallback: 20, min: 0 }, // 0 = no limit
+};
+
+let activeCompiles = 0;
+const waiting = []; // { resolve, reject, onQueue, signal, onAbort, lastAhead }
+const activeDirs = new Set();
+let sweepTimer = null;
+
+function getSetting(name) {
+    const { env, fallback, min } = SETTINGS[name];
+    const value = parseInt(process.env[env] || String(fallback), 10);
+    return Number.isFinite(value) && value >= min ? value : fallback;
+}
+
+function abortError() {
+    return Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+}
+
+// Tell every waiting compile how many are queued ahead of it, when that changes
+function reportPositions() {
+    const concurrency = getSetting('concurrency');
+    waiting.forEach((waiter, ahead) => {
+        if (waiter.lastAhead === ahead || !waiter.onQueue) return;
+        waiter.lastAhead = ahead;
+        try {
+            waiter.onQueue({ ahead, active: activeCompiles, concurrency });
+        } catch (err) {
+            console.error('⚠️  Compile queue listener failed:', err.message);
+        }
+    });
+}
+
+function pump() {
+    while (activeCompiles < getSetting('concurrency') && waiting.length > 0) {
+        const waiter = waiting.shift();
+        waiter.signal?.removeEventListener('abort', waiter.onAbort);
+        activeCompiles += 1;
+        let released = false;
+        waiter.resolve(() => {
+            if (released) return;
+            released = true;
+            activeCompiles -= 1;
+            pump();
+        });
+    }
+    reportPositions();
+}
+
+/**
+ * Wait for a free compiler slot. Resolves with a release function; rejects
+ * with an AbortError if the signal fires while still queued.
+ */
+function acquireSlot({ signal, onQueue } = {}) {
+    if (signal?.aborted) return Promise.reject(abortError());
+    return new Promise((resolve, reject) => {
+        const waiter = { resolve, reject, onQueue, signal, onAbort: null, lastAhead: null };
+        if (signal) {
+            waiter.onAbort = () => {
+                const index = waiting.indexOf(waiter);
+                if (index === -1) return;
+                waiting.splice(index, 1);
+                reject(abortError());
+                reportPositions();
+            };
+            signal.addEventListener('abort', waiter.onAbort, { once: true });
+        }
+        waiting.push(waiter);
+        pump();
+    });
+}
+
+// Run the compiler under sh with ulimit applied; exec keeps the pid, so the
+// timeout and abort signal still reach the compiler itself
+function withResourceLimits(file, args) {
+    const memoryLimitMb = getSetting('memoryLimitMb');
+    const cpuLimitSeconds = getSetting('cpuLimitSeconds');
+    const limits = [];
+    if (memoryLimitMb > 0) limits.push(`ulimit -v ${memoryLimitMb * 1024}`);
+    if (cpuLimitSeconds > 0) limits.push(`ulimit -t ${cpuLimitSeconds}`);
+    if (process.platform === 'win32' || limits.length === 0) return { file, args };
+    return { file: '/bin/sh', args: ['-c', `${limits.join(' && ')} && exec "$0" "$@"`, file, ...args] };
+}
+
+function describeLimits() {
+    const memoryLimitMb = getSetting('memoryLimitMb');
+    const cpuLimitSeconds = getSetting('cpuLimitSeconds');
+    return `${memoryLimitMb ? `${memoryLimitMb} MB` : 'no memory limit'}, ${cpuLimitSeconds ? `${cpuLimitSeconds}s CPU` : 'no CPU limit'}`;
+}
+
+/**
+ * Run a compiler process through the pool.
+ *
+ * @param {string} file - Compiler executable (e.g. pdflatex)
+ * @param {string[]} args
+ * @param {object} [options] - execFile options (cwd, env, maxBuffer, ...)
+ * @param {AbortSignal} [options.signal] - Leaves the queue, or kills the running compiler
+ * @param {function} [options.onQueue] - Called with { ahead, active, concurrency } while waiting
+ * @returns {Promise<{ stdout: string, stderr: string }>}
+ */
+async function runCompiler(file, args, { signal, onQueue, ...execOptions } = {}) {
+    const release = await acquireSlot({ signal, onQueue });
+    const timeoutMs = getSetting('timeoutMs');
+    const command = withResourceLimits(file, args);
+    try {
+        return await execFileAsync(command.file, command.args, { timeout: timeoutMs, ...execOptions, signal });
+    } catch (err) {
+        if (err?.name === 'AbortError') throw err;
+        if (err?.code === 127 && command.file !== file) {
+            // sh could not find the compiler; report it like a direct spawn would
+            err.code = 'ENOENT';
+        } else if (err?.signal === 'SIGXCPU' || (err?.signal === 'SIGKILL' && !err.killed)) {
+            // Killed by the kernel rather than by us: the CPU limit, or out of memory
+            err.message = `Compiler was stopped by its resource limits (${describeLimits()}). ${err.message}`;
+        } else if (err?.killed) {
+            err.message = `Compiler timed out after ${timeoutMs}ms. ${err.message}`;
+        }
+        throw err;
+    } finally {
+        release();
+    }
+}
+
+/**
+ * Create a build directory for one compile; remove it with removeCompileDir.
+ */
+async function createCompileDir() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), COMPILE_DIR_PREFIX));
+    activeDirs.add(dir);
+    return dir;
+}
+
+async function removeCompileDir(dir) {
+    activeDirs.delete(dir);
+    try {
+        await fs.rm(dir, { recursive: true, force: true });
+    } catch (_) { }
+}
+
+/**
+ * Remove build directories no compile in this process is using and that
+ * have not been touched for maxAgeMs (left behind by a crash or kill -9).
+ *
+ * @returns {Promise<number>} Number of directories removed
+ */
+async function cleanupOrphanedCompileDirs({ maxAgeMs = ORPHAN_MAX_AGE_MS } = {}) {
+    const tmpDir = os.tmpdir();
+    let removed = 0;
+    for (const name of await fs.readdir(tmpDir)) {
+        if (!name.startsWith(COMPILE_DIR_PREFIX)) continue;
+        const dir = path.join(tmpDir, name);
+        if (activeDirs.has(dir)) continue;
+        try {
+            const stats = await fs.stat(dir);
+            if (!stats.isDirectory() || Date.now() - stats.mtimeMs < maxAgeMs) continue;
+            await fs.rm(dir, { recursive: true, force: true });
+            removed += 1;
+        } catch (_) { } // removed concurrently, or not ours to remove
+    }
+    return removed;
+}
+
+async function sweepOrphanedCompileDirs() {
+    try {
+        const removed = await cleanupOrphanedCompileDirs();
+        if (removed > 0) console.log(`🧹 Removed ${removed} orphaned compile dir(s)`);
+    } catch (err) {
+        console.warn('⚠️  Could not clean up compile dirs:', err.message);
+    }
+}
+
+/**
+ * Sweep orphaned build directories now and periodically.
+ */
+async function initCompilePool() {
+    await sweepOrphanedCompileDirs();
+    if (!sweepTimer) {
+        sweepTimer = setInterval(sweepOrphanedCompileDirs, ORPHAN_SWEEP_INTERVAL_MS);
+        sweepTimer.unref();
+    }
+    console.log(`🧮 Compile pool: ${getSetting('concurrency')} concurrent, ${describeLimits()}`);
+}
+
+function getCompilePoolStatus() {
+    return {
+        concurrency: getSetting('concurrency'),
+        active: activeCompiles,
+        queued: waiting.length,
+    };
+}
+
+module.exports = {
+    runCompiler,
+    createCompileDir,
+    removeCompileDir,
+    cleanupOrphanedCompileDirs,
+    initCompilePool,
+    getCompilePoolStatus,
+};
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const readline = require('readline');
+const path = require('path');
+const { dataPath, ensureDir } = require('./storage');
+
+// ── Persistent cost ledger ──────────────────────────────────────────
+// Append-only JSONL under DATA_DIR/ledger. Record types:
+//   { type: 'llm_call', ... }      one per LLM call (model, stage, tokens, cost);
+//                                  partial: true for a streamed attempt that failed partway
+//   { type: 'llm_retry', ... }     a failed attempt that is being retried
+//   { type: 'llm_fallback', ... }  a switch to the stage's fallback model
+//   { type: 'resume', ... }        one per finished request (outcome, cost, refined)
+// Costs are summed from llm_call records, so calls made by requests that
+// later failed are still counted.
+
+const LEDGER_FILE = dataPath('ledger', 'cost-ledger.jsonl');
+
+let writeChain = Promise.resolve();
+
+// Client behind each in-flight request, so LLM calls can be attributed
+const requestClients = new Map();
+
+// Today's and this month's spend (UTC), overall and per client, for budget
+// checks. Built from the ledger on first use, then kept current by append().
+const spend = { day: null, month: null, daily: 0, monthly: 0, clientDaily: new Map() };
+let spendLoaded = false;
+let spendPromise = null;
+
+function rollSpendPeriods() {
+    const today = new Date().toISOString().slice(0, 10);
+    if (spend.day === today) return;
+    if (spend.month !== today.slice(0, 7)) {
+        spend.month = today.slice(0, 7);
+        spend.monthly = 0;
+    }
+    spend.day = today;
+    spend.daily = 0;
+    spend.clientDaily.clear();
+}
+
+function addSpend(record) {
+    if (record.type !== 'llm_call' || !record.cost) return;
+    rollSpendPeriods();
+    const day = String(record.timestamp).slice(0, 10);
+    if (day.slice(0, 7) === spend.month) spend.monthly += record.cost;
+    if (day !== spend.day) return;
+    spend.daily += record.cost;
+    if (record.clientId) {
+        spend.clientDaily.set(record.clientId, (spend.clientDaily.get(record.clientId) || 0) + record.cost);
+    }
+}
+
+function append(record) {
+    const entry = { timestamp: new Date().toISOString(), ...record };
+    writeChain = writeChain
+        .then(() => ensureDir(path.dirname(LEDGER_FILE)))
+        .then(() => fs.promises.appendFile(LEDGER_FILE, `${JSON.stringify(entry)}\n`, 'utf8'))
+        .then(() => {
+            if (spendLoaded) addSpend(entry);
+        })
+        .catch((err) => console.warn('⚠️  Could not write cost ledger:', err.message));
+    return writeChain;
+}
+
+// Call onRecord for every parseable ledger line
+async function readLedger(onRecord) {
+    if (!fs.existsSync(LEDGER_FILE)) return;
+    const lines = readline.createInterface({ input: fs.createReadStream(LEDGER_FILE, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+            record = JSON.parse(line);
+        } catch (err) {
+            continue; // partially written line
+        }
+        onRecord(record);
+    }
+}
+
+/**
+ * Attribute a request's LLM calls to a client (IP or token id) until
+ * clearRequestClient is called.
+ */
+function setRequestClient(requestId, clientId) {
+    if (requestId && clientId) requestClients.set(requestId, clientId);
+}
+
+function getRequestClient(requestId) {
+    return (requestId && requestClients.get(requestId)) || null;
+}
+
+function clearRequestClient(requestId) {
+    requestClients.delete(requestId);
+}
+
+/**
+ * Record one LLM call (a call record from describeLlmCall).
+ */
+function recordLlmCall(requestId, call) {
+    return append({ type: 'llm_call', requestId: requestId || null, clientId: getRequestClient(requestId), ...call });
+}
+
+/**
+ * Record a retry or model fallback (an onEvent event from callLLM).
+ */
+function recordLlmEvent(requestId, event) {
+    return append({ ...event, type: `llm_${event.type}`, requestId: requestId || null, clientId: getRequestClient(requestId) });
+}
+
+/**
+ * Record the outcome of a generation request.
+ *
+ * @param {string|null} requestId
+ * @param {object} summary - { outcome: 'succeeded' | 'compilation_failed' | 'failed' | 'cancelled', cost, fromCache, refined, ... }
+ */
+function recordResume(requestId, summary) {
+    return append({ type: 'resume', requestId: requestId || null, clientId: getRequestClient(requestId), ...summary });
+}
+
+function emptyTotals() {
+    return {
+        cost: 0,
+        llmCalls: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheReadTokens: 0,
+        cacheCreationTokens: 0,
+        resumes: 0,
+        generated: 0,
+        cacheHits: 0,
+        refined: 0,
+        failed: 0,
+        cancelled: 0,
+        retries: 0,
+        fallbacks: 0,
+    };
+}
+
+function addRecord(totals, record) {
+    if (record.type === 'llm_call') {
+        totals.cost += record.cost || 0;
+        totals.llmCalls += 1;
+        totals.inputTokens += record.inputTokens || 0;
+        totals.outputTokens += record.outputTokens || 0;
+        totals.cacheReadTokens += record.cacheReadTokens || 0;
+        totals.cacheCreationTokens += record.cacheCreationTokens || 0;
+    } else if (record.type === 'llm_retry') {
+        totals.retries += 1;
+    } else if (record.type === 'llm_fallback') {
+        totals.fallbacks += 1;
+    } else if (record.type === 'resume') {
+        if (record.outcome === 'failed') {
+            totals.failed += 1;
+            return;
+        }
+        if (record.outcome === 'cancelled') {
+            totals.cancelled += 1;
+            return;
+        }
+        totals.resumes += 1;
+        if (record.fromCache) totals.cacheHits += 1;
+        else totals.generated += 1;
+        if (record.refined) totals.refined += 1;
+    }
+}
+
+// Derived figures: average cost per generated resume and refinement rate
+function finalize(totals) {
+    const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+    return {
+        ...totals,
+        cost: round(totals.cost, 6),
+        averageCostPerResume: totals.generated > 0 ? round(totals.cost / totals.generated, 6) : null,
+        refinementRate: totals.generated > 0 ? round(totals.refined / totals.generated, 4) : null,
+    };
+}
+
+/**
+ * Aggregate the ledger into daily and monthly totals (UTC), plus totals per
+ * model, per stage and per client.
+ *
+ * @param {object} [options]
+ * @param {number} [options.days=30] - Number of most recent days to include in `daily`
+ * @param {number} [options.months=12] - Number of most recent months to include in `monthly`
+ */
+async function getLedgerStats({ days = 30, months = 12 } = {}) {
+    const total = emptyTotals();
+    const daily = new Map();
+    const monthly = new Map();
+    const byModel = new Map();
+    const byStage = new Map();
+    const byClient = new Map();
+    const bucket = (map, key) => {
+        if (!map.has(key)) map.set(key, emptyTotals());
+        return map.get(key);
+    };
+
+    await writeChain;
+    await readLedger((record) => {
+        const day = String(record.timestamp).slice(0, 10);
+        addRecord(total, record);
+        addRecord(bucket(daily, day), record);
+        addRecord(bucket(monthly, day.slice(0, 7)), record);
+        addRecord(bucket(byClient, record.clientId || 'unattributed'), record);
+        if (record.type === 'llm_call' || record.type === 'llm_retry') {
+            addRecord(bucket(byModel, `${record.provider}/${record.model}`), record);
+            addRecord(bucket(byStage, record.step), record);
+        } else if (record.type === 'llm_fallback') {
+            addRecord(bucket(byModel, record.from), record); // counted against the model that failed
+            addRecord(bucket(byStage, record.step), record);
+        }
+    });
+
+    const recent = (map, count) => [...map.keys()].sort().slice(-count)
+        .map((period) => ({ period, ...finalize(map.get(period)) }));
+    const callTotals = (map) => Object.fromEntries([...map.entries()].map(([key, totals]) => [key, {
+        llmCalls: totals.llmCalls,
+        inputTokens: totals.inputTokens,
+        outputTokens: totals.outputTokens,
+        cacheReadTokens: totals.cacheReadTokens,
+        cacheCreationTokens: totals.cacheCreationTokens,
+        cost: finalize(totals).cost,
+        retries: totals.retries,
+        fallbacks: totals.fallbacks,
+    }]));
+    return {
+        total: finalize(total),
+        daily: recent(daily, days),
+        monthly: recent(monthly, months),
+        byModel: callTotals(byModel),
+        byStage: callTotals(byStage),
+        byClient: Object.fromEntries([...byClient.entries()].map(([key, totals]) => [key, finalize(totals)])),
+    };
+}
+
+/**
+ * Spend so far today and this month (UTC), plus today's spend for one client.
+ *
+ * @returns {Promise<{ daily: number, monthly: number, clientDaily: number | null }>}
+ */
+async function getCurrentSpend(clientId = null) {
+    if (!spendPromise) {
+        // Queued behind pending writes; later appends update the totals in memory
+        spendPromise = writeChain = writeChain.then(async () => {
+            try {
+                await readLedger(addSpend);
+            } catch (err) {
+                console.warn('⚠️  Could not read cost ledger, budgets count from now:', err.message);
+            }
+            spendLoaded = true;
+        });
+    }
+    await spendPromise;
+    await writeChain; // include calls still being appended
+    rollSpendPeriods();
+    return {
+        daily: spend.daily,
+        monthly: spend.monthly,
+        clientDaily: clientId ? spend.clientDaily.get(clientId) || 0 : null,
+    };
+}
+
+module.exports = {
+    recordLlmCall,
+    recordLlmEvent,
+    recordResume,
+    getLedgerStats,
+    getCurrentSpend,
+    setRequestClient,
+    getRequestClient,
+    clearRequestClient,
+    LEDGER_FILE,
+};
@@ -0,0 +1,313 @@
+// ── Fabrication guard ───────────────────────────────────────────────
+// Cross-checks the facts in a generated LaTeX resume (employers, titles,
+// dates, degrees, metrics, technologies) against the master resume and
+// reports anything the master resume does not support.
+
+const FABRICATION_POLICIES = ['warn', 'block', 'regenerate'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+
+// Words that carry no identifying information in names and titles
+const FILLER_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'of', 'at', 'in', 'for', 'to', 'on', 'with', 'gpa', 'inc', 'llc', 'ltd', 'co', 'corp',
+]);
+
+/**
+ * Read a balanced {...} group starting at `start` (which must point at '{').
+ * Returns { value, end } where end is the index after the closing brace.
+ */
+function readBraceGroup(text, start) {
+    if (text[start] !== '{') return null;
+    let depth = 0;
+    for (let i = start; i < text.length; i += 1) {
+        const c = text[i];
+        if (c === '\\') { i += 1; continue; }
+        if (c === '{') depth += 1;
+        else if (c === '}') {
+            depth -= 1;
+            if (depth === 0) return { value: text.slice(start + 1, i), end: i + 1 };
+        }
+    }
+    return null;
+}
+
+function readArgs(text, start, count) {
+    const args = [];
+    let pos = start;
+    for (let i = 0; i < count; i += 1) {
+        while (/\s/.test(text[pos] || '')) pos += 1;
+        const group = readBraceGroup(text, pos);
+        if (!group) return null;
+        args.push(group.value);
+        pos = group.end;
+    }
+    return args;
+}
+
+/**
+ * Reduce a LaTeX fragment to plain text: drop comments and formatting
+ * commands, keep link text and command arguments.
+ */
+function latexToText(latex) {
+    return String(latex || '')
+        .replace(/(^|[^\\])%.*$/gm, '$1')
+        .replace(/\\href\{[^{}]*\}/g, '')
+        .replace(/\\(?:textcolor|color)\{[^{}]*\}/g, '')
+        .replace(/\\\\/g, ' ')
+        .replace(/\\([%&$#_{}])/g, '$1')
+        .replace(/\\[a-zA-Z]+\*?(\[[^\]]*\])?/g, ' ')
+        .replace(/[{}]/g, ' ')
+        .replace(/~/g, ' ')
+        .replace(/-{2,3}/g, '-')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function documentBody(latex) {
+    const start = latex.indexOf('\\begin{document}');
+    const end = latex.lastIndexOf('\\end{document}');
+    return latex.slice(start === -1 ? 0 : start + '\\begin{document}'.length, end === -1 ? undefined : end);
+}
+
+// Lowercase, punctuation folded away ("Node.js" → "nodejs", "CI/CD" → "cicd")
+function normalize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/[^a-z0-9+#\s]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function containsPhrase(haystack, phrase) {
+    if (!phrase) return true;
+    const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|\\s)${escaped}(\\s|$)`).test(haystack);
+}
+
+function significantWords(text) {
+    return normalize(text).split(' ').filter((w) => w && !FILLER_WORDS.has(w) && !/^\d+$/.test(w));
+}
+
+// Every significant word of `phrase` must appear somewhere in the master resume
+function isPhraseSupported(phrase, master) {
+    return significantWords(phrase).every((word) => containsPhrase(master.normalized, word));
+}
+
+function normalizeNumber(raw) {
+    return raw.replace(/[$,\s]/g, '').toLowerCase().replace(/\.0+(?=\D|$)/, '');
+}
+
+/**
+ * Pull metric-like numbers out of plain text: percentages, money, numbers
+ * with magnitude suffixes or multipliers, and anything >= 10. Small bare
+ * integers and years are ignored (years are checked as dates).
+ */
+function extractMetrics(text) {
+    const metrics = [];
+    const pattern = /(\$\s?)?(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s?(%|percent\b|[kmb]\b|x\b|×|\+)?/gi;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const [raw, currency, number, suffix] = match;
+        const value = parseFloat(number.replace(/,/g, ''));
+        if (!currency && !suffix && /^(19|20)\d{2}$/.test(number)) continue;
+        if (!currency && !suffix && value < 10) continue;
+        const unit = suffix ? suffix.toLowerCase().replace('percent', '%').replace('×', 'x') : '';
+        metrics.push({ raw: raw.trim(), key: normalizeNumber(`${currency ? '$' : ''}${number}${unit}`) });
+    }
+    return metrics;
+}
+
+/**
+ * Month-year pairs ("Jan 2021", "01/2021") and bare years found in text.
+ */
+function extractDates(text) {
+    const monthYears = [];
+    const years = [];
+    const named = new RegExp(`\\b${MONTH_PATTERN}\\s*,?\\s*((?:19|20)\\d{2})\\b`, 'gi');
+    const numeric = /\b(0?[1-9]|1[0-2])[/.-]((?:19|20)\d{2})\b/g;
+    let match;
+    while ((match = named.exec(text)) !== null) {
+        monthYears.push({ raw: match[0], key: `${match[1].toLowerCase().slice(0, 3)}-${match[2]}` });
+    }
+    while ((match = numeric.exec(text)) !== null) {
+        monthYears.push({ raw: match[0], key: `${MONTHS[parseInt(match[1], 10) - 1]}-${match[2]}` });
+    }
+    const yearPattern = /\b((?:19|20)\d{2})\b/g;
+    while ((match = yearPattern.exec(text)) !== null) {
+        years.push(match[1]);
+    }
+    return { monthYears, years };
+}
+
+function prepareMaster(masterResume) {
+    const text = masterResume.includes('\\begin{document}') ? latexToText(documentBody(masterResume)) : String(masterResume);
+    const dates = extractDates(text);
+    return {
+        normalized: normalize(text),
+        metrics: new Set(extractMetrics(text).map((m) => m.key)),
+        monthYears: new Set(dates.monthYears.map((d) => d.key)),
+        years: new Set(dates.years),
+    };
+}
+
+function snippet(text, max = 140) {
+    const clean = latexToText(text);
+    return clean.length > max ? `${clean.slice(0, max - 1)}…` : clean;
+}
+
+/**
+ * Split the resume body into { section, kind, args?, text } entries:
+ * subheadings (with their 4 arguments), skill lines and bullet items.
+ */
+function extractEntries(body) {
+    const entries = [];
+    const tokenPattern = /\\section\*?\{([^{}]*)\}|\\resumeSubheading\s*(?=\{)|\\projectHeading\s*(?=\{)|\\(?:resumeItem\s*(?=\{)|item\b(?!\[\]))/g;
+    let section = '';
+    let match;
+    while ((match = tokenPattern.exec(body)) !== null) {
+        if (match[1] !== undefined) {
+            section = latexToText(match[1]).toLowerCase();
+            continue;
+        }
+        const token = match[0];
+        const after = tokenPattern.lastIndex;
+        if (token.startsWith('\\resumeSubheading')) {
+            const args = readArgs(body, after, 4);
+            if (args) entries.push({ section, kind: 'subheading', args, text: args.join(' | ') });
+        } else if (token.startsWith('\\projectHeading')) {
+            const args = readArgs(body, after, 2);
+            if (args) entries.push({ section, kind: 'project', args, text: args.join(' | ') });
+        } else {
+            // Bullet text runs until the next \item, list end or heading
+            const rest = body.slice(after);
+            const stop = rest.search(/\\item\b|\\resumeItem\b|\\end\{itemize\}|\\section|\\resumeSubheading|\\projectHeading/);
+            const text = stop === -1 ? rest : rest.slice(0, stop);
+            entries.push({ section, kind: /skill/.test(section) ? 'skills' : 'bullet', text });
+        }
+    }
+    return entries;
+}
+
+function addWarning(warnings, seen, type, value, context) {
+    const key = `${type}:${normalize(value)}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    warnings.push({ type, value, context });
+}
+
+/**
+ * Check a generated LaTeX resume against the master resume.
+ *
+ * @param {string} latex - Generated LaTeX document
+ * @param {string} masterResume - Master resume (plain text or LaTeX)
+ * @returns {{ warnings: Array<{ type: string, value: string, context: string }>, checked: object }}
+ *   type is one of employer, title, degree, date, metric, technology
+ */
+function checkFabrication(latex, masterResume) {
+    const master = prepareMaster(masterResume);
+    const entries = extractEntries(documentBody(latex));
+    const warnings = [];
+    const seen = new Set();
+    const checked = { employers: 0, titles: 0, degrees: 0, dates: 0, metrics: 0, technologies: 0 };
+
+    const checkDates = (raw, context) => {
+        const { monthYears, years } = extractDates(latexToText(raw));
+        for (const d of monthYears) {
+            checked.dates += 1;
+            if (!master.monthYears.has(d.key) && !master.years.has(d.key.slice(4))) {
+                addWarning(warnings, seen, 'date', d.raw, context);
+            }
+        }
+        for (const year of years) {
+            checked.dates += 1;
+            if (!master.years.has(year)) addWarning(warnings, seen, 'date', year, context);
+        }
+    };
+
+    const checkMetrics = (raw, context) => {
+        for (const metric of extractMetrics(latexToText(raw))) {
+            checked.metrics += 1;
+            if (!master.metrics.has(metric.key)) addWarning(warnings, seen, 'metric', metric.raw, context);
+        }
+    };
+
+    for (const entry of entries) {
+        const context = snippet(entry.text);
+
+        if (entry.kind === 'subheading') {
+            const [org, , role, dates] = entry.args.map(latexToText);
+            const isEducation = /educat/.test(entry.section);
+            checked.employers += 1;
+            if (!isPhraseSupported(org, master)) {
+                addWarning(warnings, seen, 'employer', org, context);
+            }
+            // Strip "(GPA: 3.9/4.0)" style suffixes; the numbers are checked as metrics
+            const roleName = role.replace(/\(?\s*gpa[^)]*\)?/i, '').trim();
+            checked[isEducation ? 'degrees' : 'titles'] += 1;
+            if (roleName && !isPhraseSupported(roleName, master)) {
+                addWarning(warnings, seen, isEducation ? 'degree' : 'title', roleName, context);
+            }
+            checkDates(dates, context);
+            checkMetrics(role, context);
+            continue;
+        }
+
+        if (entry.kind === 'skills') {
+            // "Languages: Python, Go, C++" → each comma-separated item is a technology
+            const text = latexToText(entry.text).replace(/^[^:]*:/, '');
+            for (const tech of text.split(/[,;|]/).map((t) => t.replace(/\(.*?\)/g, '').trim()).filter(Boolean)) {
+                checked.technologies += 1;
+                if (!containsPhrase(master.normalized, normalize(tech))) {
+                    addWarning(warnings, seen, 'technology', tech, context);
+                }
+            }
+            continue;
+        }
+
+        // Bullets and project headings: highlighted keywords are technologies
+        const keywordPattern = /\\keyword\s*\{/g;
+        let match;
+        while ((match = keywordPattern.exec(entry.text)) !== null) {
+            const group = readBraceGroup(entry.text, match.index + match[0].length - 1);
+            if (!group) continue;
+            const keyword = latexToText(group.value);
+            checked.technologies += 1;
+            if (!/\d/.test(keyword) && !containsPhrase(master.normalized, normalize(keyword))) {
+                addWarning(warnings, seen, 'technology', keyword, context);
+            }
+        }
+        checkMetrics(entry.kind === 'project' ? entry.args[0] : entry.text, context);
+        if (entry.kind === 'project') checkDates(entry.args[1], context);
+    }
+
+    return { warnings, checked };
+}
+
+/**
+ * Resolve the fabrication policy from the request, falling back to
+ * FABRICATION_POLICY (default "warn"). Returns { policy } or { error }.
+ */
+function parseFabricationPolicy(value) {
+    const requested = value === undefined || value === null || value === ''
+        ? (process.env.FABRICATION_POLICY || 'warn')
+        : value;
+    const policy = String(requested).trim().toLowerCase();
+    if (!FABRICATION_POLICIES.includes(policy)) {
+        return { error: `fabricationPolicy must be one of: ${FABRICATION_POLICIES.join(', ')}.` };
+    }
+    return { policy };
+}
+
+function formatWarnings(warnings) {
+    return warnings.map((w) => `- ${w.type}: "${w.value}" (in: ${w.context})`).join('\n');
+}
+
+module.exports = {
+    checkFabrication,
+    parseFabricationPolicy,
+    formatWarnings,
+    latexToText,
+    FABRICATION_POLICIES,
+};
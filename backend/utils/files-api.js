@@ -1,25 +1,76 @@
 const crypto = require('crypto');
 const fetch = require('node-fetch');
 const FormData = require('form-data');
+const { dataPath, readJson, writeJsonAtomic } = require('./storage');
 
 const FILES_API_BETA = 'files-api-2025-04-14';
 const ANTHROPIC_API_BASE = 'https://api.anthropic.com/v1';
 
-// In-memory map: resumeHash → { fileId, createdAt }
-const fileIdCache = new Map();
+// ── Uploaded file registry ──────────────────────────────────────────
+// Every file uploaded to the Files API is recorded in
+// DATA_DIR/files/anthropic-files.json under a key naming what it holds:
+//   system_prompt:<hash>              rendered system prompt
+//   resume:<hash>                     master resume sent inline by a client
+//   profile:<owner>/<id>/v<version>   master resume profile version
+// Entries share a group when a newer upload replaces an older one (a profile's
+// versions, ordered by version; the prompt for one format/template/page limit,
+// ordered by upload time). Garbage collection
+// deletes superseded files once they have been idle for FILES_API_GC_GRACE_MS,
+// and any file idle for FILES_API_MAX_IDLE_MS.
 
-// In-memory map: promptHash → { fileId, createdAt }
-const systemPromptCache = new Map();
+const REGISTRY_FILE = dataPath('files', 'anthropic-files.json');
+
+const registry = new Map(); // key → { key, group, order, fileId, filename, bytes, createdAt, lastUsedAt, uses }
+const uploads = new Map(); // key → in-flight upload promise
+let loadPromise = null;
+let persistTimer = null;
+let persistChain = Promise.resolve();
+let gcRunning = null;
 
-/**
- * Get a stable hash for content to use as cache key.
- */
 function getContentHash(content) {
     return crypto.createHash('sha256').update(content.trim()).digest('hex');
 }
 
-// Keep backward-compatible alias
-const getResumeHash = getContentHash;
+function getDuration(env, fallback) {
+    const value = parseInt(process.env[env] || String(fallback), 10);
+    return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Load the registry from disk. Runs once; later calls return the same promise.
+ */
+function initFilesApi() {
+    if (!loadPromise) {
+        loadPromise = (async () => {
+            const stored = await readJson(REGISTRY_FILE, { files: [] });
+            for (const entry of stored.files || []) registry.set(entry.key, entry);
+            console.log(`📁 Files API registry: ${registry.size} uploaded file(s)`);
+            setInterval(() => {
+                collectGarbage().catch((err) => console.warn('⚠️  Files API cleanup failed:', err.message));
+            }, 60 * 60 * 1000).unref();
+        })();
+    }
+    return loadPromise;
+}
+
+// Writes are chained so an older snapshot never replaces a newer one
+function persist() {
+    clearTimeout(persistTimer);
+    persistTimer = null;
+    persistChain = persistChain
+        .catch(() => {})
+        .then(() => writeJsonAtomic(REGISTRY_FILE, { files: [...registry.values()] }));
+    return persistChain;
+}
+
+// lastUsedAt changes on every request; batch those writes
+function schedulePersist() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(() => {
+        persist().catch((err) => console.warn('⚠️  Could not save Files API registry:', err.message));
+    }, 10000);
+    persistTimer.unref?.();
+}
 
 /**
  * Upload a plain-text file to Anthropic Files API.
@@ -54,47 +105,186 @@ async function uploadTextFile(content, filename, apiKey) {
 }
 
 /**
- * Upload a plain-text master resume to Anthropic Files API.
- * Returns the file_id.
+ * Delete a file from Anthropic Files API. A file that is already gone counts
+ * as deleted.
  */
-async function uploadResumeFile(masterResume, apiKey) {
-    return uploadTextFile(masterResume, 'master-resume.txt', apiKey);
+async function deleteUploadedFile(fileId, apiKey) {
+    const response = await fetch(`${ANTHROPIC_API_BASE}/files/${encodeURIComponent(fileId)}`, {
+        method: 'DELETE',
+        headers: {
+            'x-api-key': apiKey,
+            'anthropic-version': '2023-06-01',
+            'anthropic-beta': FILES_API_BETA,
+        },
+    });
+    if (!response.ok && response.status !== 404) {
+        const errText = await response.text();
+        throw new Error(`Files API delete failed (${response.status}): ${errText}`);
+    }
 }
 
 /**
- * Get or create a file_id for a given master resume.
- * Caches file_ids in memory so the same resume is only uploaded once.
+ * Get the file_id registered under `key`, uploading `content` the first time.
+ * Concurrent calls for the same key share one upload.
+ *
+ * @param {object} file
+ * @param {string} file.key - Registry key
+ * @param {string} [file.group] - Supersession group (default: the key itself)
+ * @param {number} [file.order] - Position within the group (default: upload time)
+ * @param {string} file.content
+ * @param {string} file.filename
+ * @param {string} apiKey
+ * @returns {Promise<string>} file_id
  */
-async function getOrUploadResumeFile(masterResume, apiKey) {
-    const hash = getContentHash(masterResume);
-    const cached = fileIdCache.get(hash);
+async function getOrUploadFile({ key, group = key, order = null, content, filename }, apiKey) {
+    await initFilesApi();
+    const entry = registry.get(key);
+    if (entry) {
+        entry.lastUsedAt = new Date().toISOString();
+        entry.uses = (entry.uses || 0) + 1;
+        schedulePersist();
+        console.log(`📁 Using cached file_id for ${key}: ${entry.fileId}`);
+        return entry.fileId;
+    }
 
-    if (cached) {
-        console.log(`📁 Using cached file_id for master resume: ${cached.fileId}`);
-        return cached.fileId;
+    if (!uploads.has(key)) {
+        uploads.set(key, (async () => {
+            const fileId = await uploadTextFile(content, filename, apiKey);
+            const now = new Date().toISOString();
+            registry.set(key, {
+                key,
+                group,
+                order,
+                fileId,
+                filename,
+                bytes: Buffer.byteLength(content, 'utf8'),
+                createdAt: now,
+                lastUsedAt: now,
+                uses: 1,
+            });
+            await persist();
+            return fileId;
+        })().finally(() => uploads.delete(key)));
     }
+    return uploads.get(key);
+}
 
-    const fileId = await uploadResumeFile(masterResume, apiKey);
-    fileIdCache.set(hash, { fileId, createdAt: Date.now() });
-    return fileId;
+/**
+ * Drop file ids from the registry (e.g. deleted upstream) so the next
+ * request uploads them again.
+ */
+async function forgetFileIds(fileIds) {
+    await initFilesApi();
+    for (const entry of [...registry.values()]) {
+        if (fileIds.includes(entry.fileId)) registry.delete(entry.key);
+    }
+    await persist();
+}
+
+/**
+ * File ids from `fileIds` that an LLM error reports as missing (deleted
+ * upstream, expired). Empty when the error is about something else.
+ */
+function findMissingFileIds(error, fileIds) {
+    if (!fileIds?.length || ![400, 404].includes(error?.status)) return [];
+    const text = `${error.message || ''} ${error.body || ''}`;
+    const named = fileIds.filter((id) => text.includes(id));
+    if (named.length > 0) return named;
+    return /file/i.test(text) && /not (be )?found|does not exist|no such/i.test(text) ? [...fileIds] : [];
+}
+
+// Latest entry per group
+function newestByGroup() {
+    const rank = (entry) => entry.order ?? Date.parse(entry.createdAt);
+    const newest = new Map();
+    for (const entry of registry.values()) {
+        const current = newest.get(entry.group);
+        if (!current || rank(entry) > rank(current)) newest.set(entry.group, entry);
+    }
+    return newest;
+}
+
+function describeEntries() {
+    const newest = newestByGroup();
+    return [...registry.values()]
+        .map((entry) => ({ ...entry, superseded: newest.get(entry.group) !== entry }))
+        .sort((a, b) => Date.parse(b.lastUsedAt) - Date.parse(a.lastUsedAt));
 }
 
 /**
- * Get or create a file_id for the system prompt.
- * Caches file_id in memory so the prompt is only uploaded once.
+ * Delete uploaded files that are no longer needed: superseded versions idle
+ * for FILES_API_GC_GRACE_MS (default 1 hour), files in `groups` (removed
+ * profiles), and anything idle for FILES_API_MAX_IDLE_MS (default 7 days).
+ * Files whose deletion fails stay registered and are retried next time.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.groups] - Groups to delete regardless of age
+ * @returns {Promise<{ deleted: object[], failed: object[] }>}
  */
-async function getOrUploadSystemPromptFile(promptContent, apiKey) {
-    const hash = getContentHash(promptContent);
-    const cached = systemPromptCache.get(hash);
+async function collectGarbage({ groups = [] } = {}) {
+    await initFilesApi();
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    if (!apiKey) return { deleted: [], failed: [] };
+
+    // One pass at a time; a removed profile queues behind the running one
+    while (gcRunning) await gcRunning.catch(() => {});
+    gcRunning = (async () => {
+        const now = Date.now();
+        const graceMs = getDuration('FILES_API_GC_GRACE_MS', 60 * 60 * 1000);
+        const maxIdleMs = getDuration('FILES_API_MAX_IDLE_MS', 7 * 24 * 60 * 60 * 1000);
+        const candidates = describeEntries().filter((entry) => {
+            const idleMs = now - Date.parse(entry.lastUsedAt);
+            return groups.includes(entry.group)
+                || (entry.superseded && idleMs >= graceMs)
+                || idleMs >= maxIdleMs;
+        });
 
-    if (cached) {
-        console.log(`📁 Using cached file_id for system prompt: ${cached.fileId}`);
-        return cached.fileId;
+        const deleted = [];
+        const failed = [];
+        for (const entry of candidates) {
+            try {
+                await deleteUploadedFile(entry.fileId, apiKey);
+                registry.delete(entry.key);
+                deleted.push({ key: entry.key, fileId: entry.fileId });
+            } catch (err) {
+                console.warn(`⚠️  Could not delete ${entry.fileId} (${entry.key}):`, err.message);
+                failed.push({ key: entry.key, fileId: entry.fileId, error: err.message });
+            }
+        }
+        if (deleted.length > 0) {
+            await persist();
+            console.log(`🧹 Files API: deleted ${deleted.length} unused file(s)`);
+        }
+        return { deleted, failed };
+    })();
+    try {
+        return await gcRunning;
+    } finally {
+        gcRunning = null;
     }
+}
+
+/**
+ * Delete every uploaded file in a group now (e.g. a deleted profile).
+ */
+function releaseFileGroup(group) {
+    return collectGarbage({ groups: [group] });
+}
 
-    const fileId = await uploadTextFile(promptContent, 'system-prompt.txt', apiKey);
-    systemPromptCache.set(hash, { fileId, createdAt: Date.now() });
-    return fileId;
+/**
+ * Registered uploads, most recently used first, with totals.
+ */
+async function listUploadedFiles() {
+    await initFilesApi();
+    const files = describeEntries();
+    return {
+        files,
+        stats: {
+            files: files.length,
+            bytes: files.reduce((sum, entry) => sum + (entry.bytes || 0), 0),
+            superseded: files.filter((entry) => entry.superseded).length,
+        },
+    };
 }
 
 /**
@@ -103,9 +293,14 @@ async function getOrUploadSystemPromptFile(promptContent, apiKey) {
  * and references them as document blocks in the user content.
  * Falls back to inline text if Files API is disabled or fails.
  *
- * Returns { content, usedFilesApi, systemPromptInUserMessage }
+ * options.resumeFile ({ key, group, order }) registers the master resume under a
+ * stable key (profile versions); otherwise it is keyed by content hash.
+ * options.promptGroup names the prompt variant, so a changed prompt
+ * supersedes the previous upload.
+ *
+ * Returns { content, usedFilesApi, systemPromptInUserMessage, fileIds }
  */
-async function buildUserContent(jobDescription, masterResume, apiKey, systemPrompt) {
+async function buildUserContent(jobDescription, masterResume, apiKey, systemPrompt, { resumeFile, promptGroup } = {}) {
     const useFilesApi = (process.env.USE_FILES_API || 'true').toLowerCase() === 'true';
 
     if (!useFilesApi || !systemPrompt) {
@@ -115,13 +310,26 @@ async function buildUserContent(jobDescription, masterResume, apiKey, systemProm
                 : `### JOB DESCRIPTION:\n${jobDescription}\n\n### MASTER RESUME:\n${masterResume}`,
             usedFilesApi: false,
             systemPromptInUserMessage: !!systemPrompt,
+            fileIds: [],
         };
     }
 
     try {
+        const resumeKey = resumeFile?.key || `resume:${getContentHash(masterResume)}`;
         const [promptFileId, resumeFileId] = await Promise.all([
-            getOrUploadSystemPromptFile(systemPrompt, apiKey),
-            getOrUploadResumeFile(masterResume, apiKey),
+            getOrUploadFile({
+                key: `system_prompt:${getContentHash(systemPrompt)}`,
+                group: promptGroup ? `system_prompt:${promptGroup}` : undefined,
+                content: systemPrompt,
+                filename: 'system-prompt.txt',
+            }, apiKey),
+            getOrUploadFile({
+                key: resumeKey,
+                group: resumeFile?.group,
+                order: resumeFile?.order,
+                content: masterResume,
+                filename: 'master-resume.txt',
+            }, apiKey),
         ]);
 
         return {
@@ -149,6 +357,7 @@ async function buildUserContent(jobDescription, masterResume, apiKey, systemProm
             ],
             usedFilesApi: true,
             systemPromptInUserMessage: true,
+            fileIds: [promptFileId, resumeFileId],
         };
     } catch (err) {
         console.warn('⚠️  Files API failed, falling back to inline text:', err.message);
@@ -156,13 +365,18 @@ async function buildUserContent(jobDescription, masterResume, apiKey, systemProm
             content: `### INSTRUCTIONS:\n${systemPrompt}\n\n### JOB DESCRIPTION:\n${jobDescription}\n\n### MASTER RESUME:\n${masterResume}`,
             usedFilesApi: false,
             systemPromptInUserMessage: true,
+            fileIds: [],
         };
     }
 }
 
 module.exports = {
+    initFilesApi,
     buildUserContent,
-    getOrUploadResumeFile,
-    getOrUploadSystemPromptFile,
+    findMissingFileIds,
+    forgetFileIds,
+    collectGarbage,
+    releaseFileGroup,
+    listUploadedFiles,
     FILES_API_BETA,
 };
@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { generateResume, GenerationError } = require('./resume-pipeline');
+const { addProgressListener, sendProgress, closeProgress, setProgressOwner, UPDATE_STAGES } = require('./progress');
+const { cancelRequest } = require('./cancellation');
+const { dataPath, ensureDir, readJson, writeJsonAtomic } = require('./storage');
+
+const JOBS_DIR = dataPath('jobs');
+const JOB_CONCURRENCY = Math.max(1, parseInt(process.env.JOB_CONCURRENCY || '2', 10));
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS || String(7 * 24 * 3600 * 1000), 10); // 7 days default
+// Runs a job may start; one that keeps taking the server down is not re-queued forever
+const JOB_MAX_ATTEMPTS = Math.max(1, parseInt(process.env.JOB_MAX_ATTEMPTS || '2', 10));
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+};
+
+// Allowed status transitions. RUNNING → QUEUED only happens when a job is
+// recovered after a restart interrupted it.
+const JOB_TRANSITIONS = {
+    [JOB_STATUS.QUEUED]: [JOB_STATUS.RUNNING, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED],
+    [JOB_STATUS.RUNNING]: [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.QUEUED, JOB_STATUS.CANCELLED],
+    [JOB_STATUS.SUCCEEDED]: [],
+    [JOB_STATUS.FAILED]: [],
+    [JOB_STATUS.CANCELLED]: [],
+};
+
+const ARTIFACT_FILES = {
+    pdf: 'result.pdf',
+    latex: 'resume.tex',
+    json: 'resume.json',
+};
+
+const jobs = new Map();
+const writeChains = new Map();
+const pending = [];
+let activeWorkers = 0;
+// Running jobs (id → worker promise) and those asked to stop before the pipeline started
+const runningJobs = new Map();
+const cancelRequested = new Set();
+
+function jobDir(id) {
+    return dataPath('jobs', id);
+}
+
+function isValidJobId(id) {
+    return typeof id === 'string' && JOB_ID_PATTERN.test(id);
+}
+
+/**
+ * Persist a job record. Writes for the same job are chained so a slow
+ * earlier write can never land after (and clobber) a later one.
+ */
+function persistJob(job) {
+    const previous = writeChains.get(job.id) || Promise.resolve();
+    const next = previous
+        .catch(() => {})
+        .then(() => writeJsonAtomic(dataPath('jobs', job.id, 'job.json'), job));
+    writeChains.set(job.id, next);
+    next.finally(() => {
+        if (writeChains.get(job.id) === next) writeChains.delete(job.id);
+    }).catch(() => {});
+    return next;
+}
+
+function transition(job, status) {
+    if (job.status === status) return;
+    if (!JOB_TRANSITIONS[job.status].includes(status)) {
+        throw new Error(`Invalid job transition ${job.status} → ${status} for ${job.id}`);
+    }
+    job.status = status;
+}
+
+/**
+ * Apply a progress event to the job. Returns true when it started a new
+ * stage (rather than updating the current one).
+ */
+function applyProgress(job, event) {
+    job.stage = event.stage;
+    if (typeof event.percent === 'number') job.percent = event.percent;
+    if (event.message) job.message = event.message;
+    job.updatedAt = event.timestamp || new Date().toISOString();
+    // Streamed output and compile queue positions arrive as runs of updates; keep one history entry
+    if (UPDATE_STAGES.has(event.stage) && job.stages[job.stages.length - 1]?.stage === event.stage) {
+        return false;
+    }
+    job.stages.push({ stage: event.stage, at: job.updatedAt });
+    return true;
+}
+
+async function runJob(job) {
+    transition(job, JOB_STATUS.RUNNING);
+    job.startedAt = new Date().toISOString();
+    job.attempts += 1;
+    await persistJob(job);
+
+    // Updates within a stage (streamed output every ~500 ms) only change the
+    // in-memory job; it is written when the next stage starts or the job ends
+    const unsubscribe = addProgressListener(job.id, (event) => {
+        if (!applyProgress(job, event)) return;
+        persistJob(job).catch((err) => console.error(`⚠️  Failed to persist job ${job.id}:`, err.message));
+    });
+
+    // Once the pipeline runs it sends the final progress event itself
+    let pipelineStarted = false;
+    try {
+        const input = await readJson(dataPath('jobs', job.id, 'input.json'));
+        if (!input) {
+            throw new Error('Job input is missing.');
+        }
+        if (cancelRequested.has(job.id)) {
+            throw new GenerationError('Generation cancelled.', 499, { cancelled: true });
+        }
+        pipelineStarted = true;
+        const result = await generateResume(input, { requestId: job.id, clientId: job.clientId });
+        const dir = jobDir(job.id);
+
+        if (result.latex) {
+            await fs.writeFile(path.join(dir, ARTIFACT_FILES.latex), result.latex, 'utf8');
+            job.artifacts.latex = true;
+        }
+        if (result.resume) {
+            await fs.writeFile(path.join(dir, ARTIFACT_FILES.json), JSON.stringify(result.resume, null, 2), 'utf8');
+            job.artifacts.json = true;
+        }
+        job.artifacts.outputFormat = result.outputFormat;
+        job.artifacts.template = result.template;
+        job.artifacts.profile = result.profile;
+        job.artifacts.fabricationWarnings = result.fabricationWarnings;
+        if (result.compilationFailed) {
+            job.artifacts.compilationFailed = true;
+            job.message = result.error;
+        } else {
+            await fs.writeFile(path.join(dir, ARTIFACT_FILES.pdf), result.pdfBuffer);
+            job.artifacts.pdf = true;
+            job.artifacts.pageCount = result.pageCount;
+            job.artifacts.pageLimit = result.pageLimit;
+            job.artifacts.engine = result.engine;
+            job.artifacts.fromCache = result.fromCache;
+            job.artifacts.refined = result.refined;
+            job.artifacts.layoutAdjustments = result.layoutAdjustments;
+            job.artifacts.expanded = result.expanded;
+            job.artifacts.lastPageFill = result.lastPageFill;
+            job.artifacts.atsReport = result.atsReport;
+            job.artifacts.cost = result.cost;
+            job.artifacts.usage = result.usage;
+            job.artifacts.fixesApplied = result.fixesApplied;
+        }
+        transition(job, JOB_STATUS.SUCCEEDED);
+    } catch (error) {
+        job.error = error.message || 'Internal server error';
+        if (error.details?.cancelled) {
+            console.log(`🛑 Job ${job.id} cancelled`);
+            transition(job, JOB_STATUS.CANCELLED);
+        } else {
+            console.error(`❌ Job ${job.id} failed:`, error.message);
+            transition(job, JOB_STATUS.FAILED);
+        }
+        if (!pipelineStarted) {
+            const event = job.status === JOB_STATUS.CANCELLED
+                ? { stage: 'cancelled', percent: 100, message: 'Generation cancelled', etaSeconds: 0 }
+                : { stage: 'error', percent: 100, message: job.error };
+            sendProgress(job.id, event);
+            closeProgress(job.id);
+        }
+    } finally {
+        unsubscribe();
+        cancelRequested.delete(job.id);
+        job.finishedAt = new Date().toISOString();
+        job.updatedAt = job.finishedAt;
+        await persistJob(job);
+    }
+}
+
+function pump() {
+    while (activeWorkers < JOB_CONCURRENCY && pending.length > 0) {
+        const job = jobs.get(pending.shift());
+        if (!job || job.status !== JOB_STATUS.QUEUED) continue;
+        activeWorkers += 1;
+        console.log(`⚙️  Starting job ${job.id} (${activeWorkers}/${JOB_CONCURRENCY} workers busy, ${pending.length} queued)`);
+        const run = runJob(job)
+            .catch((err) => console.error(`❌ Job worker crashed on ${job.id}:`, err))
+            .finally(() => {
+                runningJobs.delete(job.id);
+                activeWorkers -= 1;
+                pump();
+            });
+        runningJobs.set(job.id, run);
+    }
+}
+
+/**
+ * Persist a new job and queue it for the worker pool.
+ */
+async function createJob(input) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        status: JOB_STATUS.QUEUED,
+        stage: 'queued',
+        percent: 0,
+        message: 'Waiting for a worker...',
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        attempts: 0,
+        error: null,
+        stages: [{ stage: 'queued', at: now }],
+        artifacts: {},
+        clientId: input.clientId ?? null, // owner; only this client may see or cancel the job
+    };
+
+    await ensureDir(jobDir(job.id));
+    await writeJsonAtomic(dataPath('jobs', job.id, 'input.json'), {
+        jobDescription: input.jobDescription,
+        masterResume: input.masterResume,
+        pageLimit: input.pageLimit,
+        fabricationPolicy: input.fabricationPolicy,
+        outputFormat: input.outputFormat,
+        template: input.template,
+        profile: input.profile || null,
+    });
+    await persistJob(job);
+
+    jobs.set(job.id, job);
+    setProgressOwner(job.id, job.clientId);
+    pending.push(job.id);
+    pump();
+    return job;
+}
+
+function getJob(id) {
+    if (!isValidJobId(id)) return null;
+    return jobs.get(id) || null;
+}
+
+/**
+ * Cancel a queued or running job. A queued job is taken off the queue; a
+ * running one has its LLM call aborted and its compiler killed, and this
+ * resolves once the pipeline has stopped. Finished jobs are left as they are.
+ *
+ * @returns {Promise<object|null>} The job, or null if unknown
+ */
+async function cancelJob(id) {
+    const job = getJob(id);
+    if (!job) return null;
+
+    if (job.status === JOB_STATUS.QUEUED) {
+        const index = pending.indexOf(job.id);
+        if (index !== -1) pending.splice(index, 1);
+        transition(job, JOB_STATUS.CANCELLED);
+        job.error = 'Generation cancelled.';
+        applyProgress(job, { stage: 'cancelled', percent: 100, message: 'Cancelled before it started' });
+        job.finishedAt = job.updatedAt;
+        await persistJob(job);
+        sendProgress(job.id, { stage: 'cancelled', percent: 100, message: job.message, etaSeconds: 0 });
+        closeProgress(job.id);
+        console.log(`🛑 Job ${job.id} cancelled while queued`);
+    } else if (job.status === JOB_STATUS.RUNNING) {
+        cancelRequested.add(job.id);
+        cancelRequest(job.id);
+        await runningJobs.get(job.id);
+    }
+    return job;
+}
+
+function getQueuePosition(id) {
+    const index = pending.indexOf(id);
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Absolute path of a job artifact ('pdf', 'latex' or 'json'), or null if not produced.
+ */
+function getArtifactPath(job, name) {
+    if (!job || !ARTIFACT_FILES[name] || !job.artifacts[name]) return null;
+    return path.join(jobDir(job.id), ARTIFACT_FILES[name]);
+}
+
+/**
+ * Public view of a job for API responses.
+ */
+function serializeJob(job) {
+    const base = `/api/jobs/${job.id}`;
+    return {
+        id: job.id,
+        status: job.status,
+        stage: job.stage,
+        percent: job.percent,
+        message: job.message,
+        error: job.error,
+        queuePosition: getQueuePosition(job.id),
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        stages: job.stages,
+        artifacts: {
+            pdf: job.artifacts.pdf ? `${base}/result` : null,
+            latex: job.artifacts.latex ? `${base}/latex` : null,
+            json: job.artifacts.json ? `${base}/json` : null,
+            outputFormat: job.artifacts.outputFormat ?? null,
+            template: job.artifacts.template ?? null,
+            pageCount: job.artifacts.pageCount ?? null,
+            pageLimit: job.artifacts.pageLimit ?? null,
+            engine: job.artifacts.engine ?? null,
+            compilationFailed: !!job.artifacts.compilationFailed,
+            fromCache: !!job.artifacts.fromCache,
+            refined: !!job.artifacts.refined,
+            layoutAdjustments: job.artifacts.layoutAdjustments || [],
+            expanded: !!job.artifacts.expanded,
+            lastPageFill: job.artifacts.lastPageFill ?? null,
+            fabricationWarnings: job.artifacts.fabricationWarnings ?? null,
+            atsReport: job.artifacts.atsReport ?? null,
+            cost: job.artifacts.cost ?? null,
+            usage: job.artifacts.usage ?? null,
+            fixesApplied: job.artifacts.fixesApplied || [],
+            profile: job.artifacts.profile ?? null,
+        },
+        progressUrl: `/api/progress/${job.id}`,
+    };
+}
+
+/**
+ * Load persisted jobs, re-queue the ones a restart interrupted (failing those
+ * that already ran JOB_MAX_ATTEMPTS times), and drop finished jobs older than
+ * JOB_RETENTION_MS.
+ */
+async function initJobQueue() {
+    await ensureDir(JOBS_DIR);
+    const entries = await fs.readdir(JOBS_DIR, { withFileTypes: true });
+    const recovered = [];
+    let pruned = 0;
+    let failed = 0;
+
+    for (const entry of entries) {
+        if (!entry.isDirectory() || !isValidJobId(entry.name)) continue;
+        const job = await readJson(dataPath('jobs', entry.name, 'job.json'));
+        if (!job) continue;
+
+        const finished = [JOB_STATUS.SUCCEEDED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status);
+        if (finished && Date.now() - Date.parse(job.finishedAt || job.updatedAt) > JOB_RETENTION_MS) {
+            await fs.rm(jobDir(job.id), { recursive: true, force: true });
+            pruned += 1;
+            continue;
+        }
+
+        if (job.status === JOB_STATUS.RUNNING && job.attempts >= JOB_MAX_ATTEMPTS) {
+            transition(job, JOB_STATUS.FAILED);
+            job.error = `Job interrupted by a server restart ${job.attempts} time(s); not retried again (JOB_MAX_ATTEMPTS=${JOB_MAX_ATTEMPTS}).`;
+            applyProgress(job, { stage: 'error', percent: 100, message: job.error });
+            job.finishedAt = job.updatedAt;
+            await persistJob(job);
+            failed += 1;
+        } else if (job.status === JOB_STATUS.RUNNING) {
+            transition(job, JOB_STATUS.QUEUED);
+            job.stage = 'requeued';
+            job.message = 'Server restarted — job re-queued';
+            job.updatedAt = new Date().toISOString();
+            job.stages.push({ stage: 'requeued', at: job.updatedAt });
+            await persistJob(job);
+        }
+        jobs.set(job.id, job);
+        if (job.status === JOB_STATUS.QUEUED) recovered.push(job);
+    }
+
+    recovered.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    for (const job of recovered) {
+        setProgressOwner(job.id, job.clientId);
+        pending.push(job.id);
+    }
+
+    console.log(`📦 Job queue ready: ${jobs.size} job(s) loaded, ${recovered.length} re-queued, ${failed} failed after ${JOB_MAX_ATTEMPTS} attempt(s), ${pruned} pruned (concurrency ${JOB_CONCURRENCY})`);
+    pump();
+}
+
+module.exports = {
+    initJobQueue,
+    createJob,
+    getJob,
+    cancelJob,
+    getArtifactPath,
+    serializeJob,
+    JOB_STATUS,
+};
@@ -1,100 +1,47 @@
-const fetch = require('node-fetch');
-const fs = require('fs').promises;
-const path = require('path');
-const os = require('os');
-const { execFile } = require('child_process');
-const { promisify } = require('util');
 const { PDFDocument } = require('pdf-lib');
-
-const execFileAsync = promisify(execFile);
-
-const REMOTE_MAX_CHARS = 6000;
-const DEFAULT_ENGINE = 'pdflatex';
+const { assertLatexSafe } = require('./latex-security');
+const { compileWithBackends, getCompileTarget } = require('./compile-backends');
+const { buildCompileKey, getCachedCompile, storeCompile } = require('./compile-cache');
 
 /**
- * Compile LaTeX source to PDF using latexonline.cc
+ * Compile LaTeX source to PDF on the configured compile backends (see
+ * compile-backends), trying them in order and routing around unhealthy ones.
+ * Identical source compiled for the same target is served from the compile
+ * cache, including documents that failed to compile.
  * @param {string} latexSource - LaTeX source code
- * @returns {Promise<Buffer>} - PDF file as buffer
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request or kills the local compiler
+ * @param {object} [options.template] - Template whose allowlists the source must pass (see latex-security)
+ * @param {function} [options.onQueue] - Called while a local compile waits for the compile pool
+ * @returns {Promise<{ pdfBuffer: Buffer, engine: string, pageCount: number, log: string|null, cached: boolean }>}
+ * @throws {LatexSecurityError} Before compiling, if the source fails the security scan
  */
-async function compileLatexToPDF(latexSource) {
-    const preferLocal = (process.env.LATEX_COMPILER || '').toLowerCase() === 'local';
-    const shouldUseRemote = !preferLocal && latexSource.length <= REMOTE_MAX_CHARS;
-
-    if (shouldUseRemote) {
-        console.log('  → Preparing LaTeX compilation request...');
-        console.log('  → Sending request to latexonline.cc...');
-        const response = await fetch('https://latexonline.cc/compile?text=' + encodeURIComponent(latexSource), {
-            method: 'GET',
-        });
-
-        if (response.ok) {
-            console.log('  ✅ LaTeX compilation successful');
-            return await response.buffer();
-        }
-
-        const errorText = await response.text();
-        console.error('  ❌ LaTeX compilation failed:', response.status);
-        console.error('  Error details:', errorText.substring(0, 200));
-
-        if (response.status !== 414) {
-            throw new Error(`LaTeX compilation failed: ${response.status} - ${errorText}`);
-        }
-
-        console.warn('  ⚠️  Remote compile rejected (414). Falling back to local compiler...');
-    } else {
-        console.log('  → Skipping remote compiler (document too large or local preferred)');
+async function compileLatexToPDF(latexSource, { signal, template, onQueue } = {}) {
+    assertLatexSafe(latexSource, template);
+
+    const key = buildCompileKey(latexSource, getCompileTarget());
+    const cached = getCachedCompile(key);
+    if (cached?.error) {
+        console.log('  ⚡ Compile cache hit (known failure)');
+        throw Object.assign(new Error(cached.error), { latexLog: cached.log, fallback: null, cached: true });
+    }
+    if (cached) {
+        console.log(`  ⚡ Compile cache hit (${cached.engine}, ${cached.pageCount} page${cached.pageCount === 1 ? '' : 's'})`);
+        return { ...cached, cached: true };
     }
 
-    return await compileLatexLocally(latexSource);
-}
-
-async function compileLatexLocally(latexSource) {
-    const engine = (process.env.LATEX_ENGINE || DEFAULT_ENGINE).trim() || DEFAULT_ENGINE;
-    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'resume-tex-'));
-    const texPath = path.join(tmpDir, 'main.tex');
-    const pdfPath = path.join(tmpDir, 'main.pdf');
-
+    const startedAt = Date.now();
     try {
-        await fs.writeFile(texPath, latexSource, 'utf8');
-        // Save a debug copy of the LaTeX source for inspection on failure
-        const debugDir = path.join(__dirname, '..', 'output');
-        try {
-            await fs.mkdir(debugDir, { recursive: true });
-            await fs.writeFile(path.join(debugDir, 'last-latex-attempt.tex'), latexSource, 'utf8');
-        } catch (_) { }
-        console.log(`  → Compiling locally with ${engine}...`);
-
-        await execFileAsync(engine, ['-interaction=nonstopmode', '-halt-on-error', '-file-line-error', 'main.tex'], {
-            cwd: tmpDir,
-            timeout: 30000,
-            maxBuffer: 10 * 1024 * 1024,
-        });
-
-        const pdfBuffer = await fs.readFile(pdfPath);
-        console.log('  ✅ Local LaTeX compilation successful');
-        return pdfBuffer;
+        const { pdfBuffer, engine, log } = await compileWithBackends(latexSource, { signal, onQueue });
+        const pageCount = await getPdfPageCount(pdfBuffer);
+        storeCompile(key, { pdfBuffer, engine, pageCount, log }, Date.now() - startedAt);
+        return { pdfBuffer, engine, pageCount, log, cached: false };
     } catch (err) {
-        const msg = err?.message || String(err);
-        let logSnippet = '';
-        try {
-            const logText = await fs.readFile(path.join(tmpDir, 'main.log'), 'utf8');
-            const lines = logText.trim().split(/\r?\n/);
-            logSnippet = lines.slice(-40).join('\n');
-        } catch (_) { }
-
-        if (logSnippet) {
-            console.error('  LaTeX log tail:\n' + logSnippet);
+        // Only the document's own failures; timeouts and outages may pass next time
+        if (err?.latexLog && !err.unhealthy) {
+            storeCompile(key, { error: err.message, log: err.latexLog }, Date.now() - startedAt);
         }
-
-        if (err && err.code === 'ENOENT') {
-            throw new Error(`Local LaTeX compilation failed: ${engine} not found. Install a TeX distribution or set LATEX_COMPILER=remote.`);
-        }
-        const details = logSnippet ? `\nLaTeX log tail:\n${logSnippet}` : '';
-        throw new Error(`Local LaTeX compilation failed: ${msg}${details}`);
-    } finally {
-        try {
-            await fs.rm(tmpDir, { recursive: true, force: true });
-        } catch (_) { }
+        throw err;
     }
 }
 
@@ -127,6 +74,79 @@ function sanitizeLatex(latex) {
     return out;
 }
 
+const MAX_GUARD_PASSES = 10;
+
+// Arguments that only size or colour their content, never text of their own:
+// lengths (0.4pt, .5\linewidth) and xcolor names or mixes (gray, blue!20)
+const DIMENSION_ARG = /^\s*(?:-?\d*\.?\d+\s*(?:pt|pc|in|cm|mm|em|ex|bp|dd|cc|sp|mu)|-?\d*\.?\d*\s*\\[a-zA-Z]*(?:width|height|depth|skip|sep|indent|fill))\s*$/;
+const COLOUR_ARG = /^\s*(?:black|blue|brown|cyan|darkgray|gray|green|lightgray|lime|magenta|olive|orange|pink|purple|red|teal|violet|white|yellow)(?:!\d+(?:!\w+)?)*\s*$|^\s*\w+(?:!\d+(?:!\w+)?)+\s*$/;
+
+function isLayoutArg(text) {
+    return DIMENSION_ARG.test(text) || COLOUR_ARG.test(text);
+}
+
+/**
+ * Keep a document within its template: drop \usepackage lines for packages
+ * the template does not load, and remove body commands it does not allow.
+ * A removed command is unwrapped to its last argument, which holds the text
+ * (\colorbox{gray}{Go} → Go); a last argument that is only a length or a
+ * colour is dropped too, so \rule{\linewidth}{0.4pt} leaves nothing. Any
+ * other text in a dropped argument is returned in removedText. Inline math
+ * left empty ($\foo$) is removed. Passes repeat until nothing changes, so an
+ * unwrapped argument is checked too. Idempotent, so it is safe to run on
+ * every compile, including after the layout tuner edits the preamble.
+ * @param {string} latex - LaTeX source
+ * @param {{ packages: string[], allowedMacros: string[] }} template - Registry entry
+ * @returns {{ latex: string, removedPackages: string[], removedMacros: string[], removedText: string[] }}
+ */
+function applyTemplateGuard(latex, template) {
+    const beginDoc = latex.indexOf('\\begin{document}');
+    if (beginDoc === -1) return { latex, removedPackages: [], removedMacros: [], removedText: [] };
+
+    const allowedPackages = new Set(template.packages);
+    const removedPackages = [];
+    const preamble = latex.slice(0, beginDoc).replace(
+        /^[ \t]*\\usepackage(?:\[[^\]]*\])?\{([^}]+)\}[^\n]*\n?/gm,
+        (line, names) => {
+            const extra = names.split(',').map((n) => n.trim()).filter((n) => !allowedPackages.has(n));
+            if (extra.length === 0) return line;
+            removedPackages.push(...extra);
+            return '';
+        }
+    );
+
+    const allowedMacros = new Set(template.allowedMacros);
+    const removedMacros = new Set();
+    const removedText = [];
+    const guardCommands = (text) => text.replace(
+        /\\([a-zA-Z]+)\*?(?:\[[^\]]*\])*((?:\{[^{}]*\})*)/g,
+        (match, name, args) => {
+            // An allowed command keeps its arguments, but they are checked too
+            if (allowedMacros.has(name)) return match.slice(0, match.length - args.length) + guardCommands(args);
+            removedMacros.add(name);
+            const groups = (args.match(/\{[^{}]*\}/g) || []).map((g) => g.slice(1, -1));
+            let kept = groups.length > 0 ? groups.pop() : '';
+            if (isLayoutArg(kept)) kept = '';
+            for (const dropped of groups) {
+                if (dropped.trim() && !isLayoutArg(dropped)) removedText.push(dropped.trim());
+            }
+            return kept;
+        }
+    );
+    let body = latex.slice(beginDoc);
+    for (let pass = 0; pass < MAX_GUARD_PASSES; pass += 1) {
+        const before = body;
+        body = guardCommands(body.replace(/(?<!\\)\$\s*\\([a-zA-Z]+)\s*\$/g, (match, name) => {
+            if (allowedMacros.has(name)) return match;
+            removedMacros.add(name);
+            return '';
+        }));
+        if (body === before) break;
+    }
+
+    return { latex: preamble + body, removedPackages, removedMacros: [...removedMacros], removedText };
+}
+
 /**
  * Escape unescaped #, &, % in text content (outside of commands and math mode).
  * Very conservative: only fixes obvious cases.
@@ -728,6 +748,7 @@ module.exports = {
     compileLatexWithRetry,
     extractLatexFromResponse,
     sanitizeLatex,
+    applyTemplateGuard,
     attemptLatexFix,
     getPdfPageCount,
 };
@@ -740,9 +761,18 @@ module.exports = {
  * 4. Retry compilation with fixed LaTeX
  * @param {string} latexSource - Raw LaTeX source
  * @param {number} [maxRetries=2] - Max fix-and-retry attempts
- * @returns {Promise<{ pdfBuffer: Buffer, latex: string, fixesApplied: string[] }>}
+ * @param {object} [options]
+ * @param {object} [options.template] - Template registry entry to enforce (see applyTemplateGuard)
+ * @param {AbortSignal} [options.signal] - Cancels the compile (no further fix attempts)
+ * @param {function} [options.onQueue] - Called with { ahead, active, concurrency } while waiting for the compile pool
+ * @returns {Promise<{ pdfBuffer: Buffer, latex: string, fixesApplied: string[], engine: string, pageCount: number, cached: boolean }>}
+ * @throws {LatexSecurityError} If the source reads files, escapes to the shell or leaves the template's allowlists
  */
-async function compileLatexWithRetry(latexSource, maxRetries = 2) {
+async function compileLatexWithRetry(latexSource, maxRetries = 2, { template, signal, onQueue } = {}) {
+    // Check the source as generated, before the template guard could unwrap
+    // an injected \input{...} into harmless text and hide the attempt
+    assertLatexSafe(latexSource);
+
     // Step 1: Always sanitize first
     let latex = sanitizeLatex(latexSource);
     const fixesApplied = [];
@@ -752,18 +782,36 @@ async function compileLatexWithRetry(latexSource, maxRetries = 2) {
         console.log('  🔧 LaTeX sanitized before compilation');
     }
 
+    if (template) {
+        const guard = applyTemplateGuard(latex, template);
+        if (guard.removedPackages.length > 0 || guard.removedMacros.length > 0) {
+            latex = guard.latex;
+            const removed = [
+                ...guard.removedPackages.map((p) => `package ${p}`),
+                ...guard.removedMacros.map((m) => `\\${m}`),
+            ];
+            fixesApplied.push(`Template guard (${template.id}): removed ${removed.join(', ')}`);
+            console.log(`  🛡️  Template guard removed ${removed.join(', ')}`);
+        }
+        if (guard.removedText.length > 0) {
+            const dropped = guard.removedText.map((t) => `"${t}"`).join(', ');
+            fixesApplied.push(`Template guard (${template.id}): dropped text ${dropped}`);
+            console.warn(`  ⚠️  Template guard dropped text ${dropped}`);
+        }
+    }
+
     for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
         try {
-            const pdfBuffer = await compileLatexToPDF(latex);
+            const { pdfBuffer, engine, pageCount, cached } = await compileLatexToPDF(latex, { signal, template, onQueue });
             if (fixesApplied.length > 0) {
                 console.log(`  ✅ Compilation succeeded after fixes: ${fixesApplied.join(', ')}`);
             }
-            return { pdfBuffer, latex, fixesApplied };
+            return { pdfBuffer, latex, fixesApplied, engine, pageCount, cached };
         } catch (err) {
             const errMsg = err?.message || String(err);
 
-            if (attempt > maxRetries) {
-                // Exhausted retries — throw the final error
+            if (attempt > maxRetries || signal?.aborted || err?.name === 'LatexSecurityError') {
+                // Exhausted retries, cancelled or rejected — throw the final error
                 throw err;
             }
 
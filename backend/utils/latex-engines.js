@@ -0,0 +1,126 @@
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// ── LaTeX engines ───────────────────────────────────────────────────
+// Local compiles try an ordered chain of engines: LATEX_ENGINES (default
+// pdflatex,xelatex,lualatex,tectonic), with LATEX_ENGINE, if set, moved to
+// the front. Engines found missing by detectEngines() at startup are left
+// out. When a compile fails in a way the next engine may not (fontspec under
+// pdflatex, a package or font this TeX install lacks, Unicode input pdflatex
+// cannot typeset, the engine not installed), the next engine is tried.
+
+const DEFAULT_ENGINE_CHAIN = ['pdflatex', 'xelatex', 'lualatex', 'tectonic'];
+const DETECT_TIMEOUT_MS = 10000;
+
+const TEX_ARGS = ['-no-shell-escape', '-interaction=nonstopmode', '-halt-on-error', '-file-line-error'];
+const ENGINE_ARGS = {
+    pdflatex: (file) => [...TEX_ARGS, file],
+    xelatex: (file) => [...TEX_ARGS, file],
+    lualatex: (file) => [...TEX_ARGS, file],
+    // --untrusted turns off shell escape and other insecure features
+    tectonic: (file) => ['--untrusted', '--keep-logs', '--chatter', 'minimal', file],
+};
+
+// Failures another engine may not share; anything else (syntax errors,
+// undefined commands) fails the same way everywhere and goes to the auto-fixer
+const ENGINE_SPECIFIC_FAILURES = [
+    { pattern: /requires either XeTeX or LuaTeX|fontspec Error/, reason: 'needs XeTeX or LuaTeX' },
+    { pattern: /LaTeX Error: File `([^']+)' not found/, reason: (m) => `missing ${m[1]}` },
+    { pattern: /Unicode character .* not set up for use with LaTeX/, reason: 'Unicode input not supported' },
+    { pattern: /Font \\[^=]*=\S+ not loadable|The font "[^"]+" cannot be found/, reason: 'missing font' },
+];
+
+const capabilities = new Map(); // engine -> { available, version }
+
+/**
+ * The configured engines in the order they are tried, without any found
+ * missing at startup (engines not yet detected are kept).
+ */
+function getEngineChain() {
+    const configured = (process.env.LATEX_ENGINES || DEFAULT_ENGINE_CHAIN.join(','))
+        .split(',').map((e) => e.trim()).filter(Boolean);
+    const preferred = (process.env.LATEX_ENGINE || '').trim();
+    const chain = [...new Set(preferred ? [preferred, ...configured] : configured)];
+    return chain.filter((engine) => capabilities.get(engine)?.available !== false);
+}
+
+/**
+ * Command-line arguments for an engine; an engine given as a path (or an
+ * unknown name) is called like pdflatex.
+ */
+function getEngineArgs(engine, file) {
+    const buildArgs = ENGINE_ARGS[path.basename(engine)] || ENGINE_ARGS.pdflatex;
+    return buildArgs(file);
+}
+
+/**
+ * Name to report for an engine (its basename when given as a path).
+ */
+function getEngineName(engine) {
+    return path.basename(engine);
+}
+
+/**
+ * Why a failed compile might succeed with another engine, or null when the
+ * failure is not engine-specific.
+ *
+ * @param {Error} err - Error from the compile (code ENOENT when the engine is missing)
+ * @param {string} log - Tail of the compile log
+ */
+function classifyEngineFailure(err, log) {
+    if (err?.code === 'ENOENT') return 'not installed';
+    for (const { pattern, reason } of ENGINE_SPECIFIC_FAILURES) {
+        const match = (log || '').match(pattern);
+        if (match) return typeof reason === 'function' ? reason(match) : reason;
+    }
+    return null;
+}
+
+/**
+ * Probe every configured engine (`<engine> --version`) and remember which
+ * are installed.
+ *
+ * @returns {Promise<{ engine: string, available: boolean, version: string|null }[]>}
+ */
+async function detectEngines() {
+    capabilities.clear();
+    const engines = getEngineChain();
+    const results = await Promise.all(engines.map(async (engine) => {
+        try {
+            const { stdout } = await execFileAsync(engine, ['--version'], { timeout: DETECT_TIMEOUT_MS });
+            return { engine, available: true, version: stdout.split('\n')[0].trim() || null };
+        } catch (err) {
+            // Only a missing binary rules an engine out; other odd exits still get tried
+            return { engine, available: err?.code !== 'ENOENT', version: null };
+        }
+    }));
+    for (const { engine, available, version } of results) capabilities.set(engine, { available, version });
+
+    const found = results.filter((r) => r.available).map((r) => r.engine);
+    if (found.length > 0) {
+        console.log(`🧪 LaTeX engines: ${found.join(' → ')}`);
+    } else {
+        console.warn(`⚠️  No local LaTeX engine found (tried ${engines.join(', ')}); only remote compile backends can be used`);
+    }
+    return results;
+}
+
+/**
+ * Detected engines for status endpoints.
+ */
+function getEngineCapabilities() {
+    return [...capabilities.entries()].map(([engine, info]) => ({ engine, ...info }));
+}
+
+module.exports = {
+    DEFAULT_ENGINE_CHAIN,
+    getEngineChain,
+    getEngineArgs,
+    getEngineName,
+    classifyEngineFailure,
+    detectEngines,
+    getEngineCapabilities,
+};
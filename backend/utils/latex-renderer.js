@@ -0,0 +1,176 @@
+// ── Deterministic LaTeX rendering for JSON resumes ──────────────────
+// Turns a validated JSON resume (see resume-json.js) into LaTeX using the
+// selected template's preamble (config/templates.js). All text is escaped here,
+// so model output can never inject LaTeX.
+
+const { getTemplate, DEFAULT_TEMPLATE } = require('../config/templates');
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const LATEX_ESCAPES = {
+    '\\': '\\textbackslash{}',
+    '&': '\\&',
+    '%': '\\%',
+    '$': '\\$',
+    '#': '\\#',
+    '_': '\\_',
+    '{': '\\{',
+    '}': '\\}',
+    '~': '\\textasciitilde{}',
+    '^': '\\textasciicircum{}',
+    '<': '\\textless{}',
+    '>': '\\textgreater{}',
+    '|': '\\textbar{}',
+    '•': '\\textbullet{}',
+    '…': '\\ldots{}',
+};
+
+/**
+ * Escape plain text for LaTeX. Strips control characters.
+ */
+function escapeLatex(text) {
+    return String(text ?? '')
+        .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/[\\&%$#_{}~^<>|•…]/g, (c) => LATEX_ESCAPES[c]);
+}
+
+/**
+ * Escape text that may contain **emphasis** markers, rendering those
+ * spans with \keyword{} (the template's highlight command).
+ */
+function renderInline(text) {
+    return String(text ?? '')
+        .split(/\*\*(.+?)\*\*/g)
+        .map((part, i) => (i % 2 === 1 ? `\\keyword{${escapeLatex(part)}}` : escapeLatex(part)))
+        .join('');
+}
+
+// URLs go inside \href{...}; only characters that break the argument are escaped
+function escapeUrl(url) {
+    return String(url ?? '').trim().replace(/[\\{}\s]/g, '').replace(/[%#]/g, (c) => `\\${c}`);
+}
+
+function displayUrl(url) {
+    return String(url ?? '').trim().replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+}
+
+function formatDate(date) {
+    if (!date) return '';
+    const [year, month] = String(date).split('-');
+    return month ? `${MONTH_NAMES[parseInt(month, 10) - 1]} ${year}` : year;
+}
+
+function formatDateRange(startDate, endDate, { ongoing = 'Present' } = {}) {
+    const start = formatDate(startDate);
+    const end = formatDate(endDate);
+    if (start && end) return `${start} -- ${end}`;
+    if (start) return `${start} -- ${ongoing}`;
+    return end;
+}
+
+function formatLocation(location) {
+    if (!location) return '';
+    if (typeof location === 'string') return location;
+    return [location.city, location.region || location.countryCode].filter(Boolean).join(', ');
+}
+
+function renderBullets(items) {
+    const bullets = (items || []).filter((item) => String(item).trim());
+    if (bullets.length === 0) return [];
+    return ['\\begin{itemize}', ...bullets.map((item) => `\\resumeItem{${renderInline(item)}}`), '\\end{itemize}'];
+}
+
+function renderSection(title, body) {
+    if (body.length === 0) return [];
+    return [`\\section{${escapeLatex(title)}}`, '\\begin{itemize}[leftmargin=0in, label={}]', ...body, '\\end{itemize}', ''];
+}
+
+function renderHeader(basics) {
+    const contact = [];
+    const location = formatLocation(basics.location);
+    if (location) contact.push(escapeLatex(location));
+    if (basics.phone) contact.push(escapeLatex(basics.phone));
+    if (basics.email) contact.push(`\\href{mailto:${escapeUrl(basics.email)}}{${escapeLatex(basics.email)}}`);
+
+    const links = (basics.profiles || [])
+        .filter((p) => p.url)
+        .map((p) => `\\href{${escapeUrl(p.url)}}{${escapeLatex(displayUrl(p.url))}}`);
+    if (basics.url) links.push(`\\href{${escapeUrl(basics.url)}}{${escapeLatex(displayUrl(basics.url))}}`);
+
+    const separator = ' \\quad $|$ \\quad ';
+    const lines = ['\\begin{center}', `{\\LARGE \\textbf{${escapeLatex(basics.name)}}} \\\\[6pt]`];
+    if (contact.length > 0) lines.push(`${contact.join(separator)}${links.length > 0 ? ' \\\\[3pt]' : ''}`);
+    if (links.length > 0) lines.push(links.join(separator));
+    lines.push('\\end{center}', '');
+    return lines;
+}
+
+/**
+ * Render a validated JSON resume to a complete LaTeX document.
+ *
+ * @param {object} resume - JSON Resume object (validated with validateResumeJson)
+ * @param {object} [options]
+ * @param {object} [options.template] - Template registry entry (default: classic)
+ * @returns {string} LaTeX source
+ */
+function renderResumeLatex(resume, { template = getTemplate(DEFAULT_TEMPLATE) } = {}) {
+    const basics = resume.basics || {};
+    const out = [template.preamble, '\\begin{document}', '', ...renderHeader(basics)];
+
+    if (basics.summary) {
+        out.push('\\section{Summary}', renderInline(basics.summary), '');
+    }
+
+    out.push(...renderSection('Technical Skills', (resume.skills || []).map((skill) => {
+        const keywords = (skill.keywords || []).map(escapeLatex).join(', ');
+        return `\\item \\textbf{${escapeLatex(skill.name)}:} ${keywords}`;
+    })));
+
+    out.push(...renderSection('Professional Experience', (resume.work || []).flatMap((job) => [
+        `\\resumeSubheading{${escapeLatex(job.name)}}{${escapeLatex(formatLocation(job.location))}}{${escapeLatex(job.position)}}{${formatDateRange(job.startDate, job.endDate)}}`,
+        ...renderBullets(job.summary ? [job.summary, ...(job.highlights || [])] : job.highlights),
+    ])));
+
+    out.push(...renderSection('Projects', (resume.projects || []).flatMap((project) => {
+        const right = project.description || formatDateRange(project.startDate, project.endDate, { ongoing: 'Ongoing' });
+        return [
+            `\\projectHeading{${escapeLatex(project.name)}}{${escapeLatex(right)}}`,
+            ...renderBullets(project.highlights),
+        ];
+    })));
+
+    const achievements = [
+        ...(resume.awards || []).map((award) => {
+            const year = formatDate(award.date).split(' ').pop();
+            const title = year ? `${award.title} (${year})` : award.title;
+            const detail = [award.awarder, award.summary].filter(Boolean).join(' -- ');
+            return `\\item \\textbf{${escapeLatex(title)}${detail ? ':' : ''}} ${renderInline(detail)}`.trimEnd();
+        }),
+        ...(resume.certificates || []).map((cert) => {
+            const detail = [cert.issuer, formatDate(cert.date)].filter(Boolean).map(escapeLatex).join(', ');
+            return `\\item \\textbf{${escapeLatex(cert.name)}}${detail ? ` -- ${detail}` : ''}`;
+        }),
+    ];
+    out.push(...renderSection('Awards & Achievements', achievements));
+
+    out.push(...renderSection('Publications', (resume.publications || []).map((pub) => {
+        const detail = [pub.publisher, formatDate(pub.releaseDate)].filter(Boolean).map(escapeLatex).join(', ');
+        return `\\item \\textbf{${escapeLatex(pub.name)}}${detail ? ` -- ${detail}` : ''}${pub.summary ? `. ${renderInline(pub.summary)}` : ''}`;
+    })));
+
+    out.push(...renderSection('Education', (resume.education || []).map((edu) => {
+        const degree = [edu.studyType, edu.area].filter(Boolean).join(' in ');
+        const score = edu.score ? ` (GPA: ${edu.score})` : '';
+        return `\\resumeSubheading{${escapeLatex(edu.institution)}}{${escapeLatex(formatLocation(edu.location))}}{${escapeLatex(degree + score)}}{${formatDateRange(edu.startDate, edu.endDate)}}`;
+    })));
+
+    out.push('\\end{document}', '');
+    return out.join('\n');
+}
+
+module.exports = {
+    renderResumeLatex,
+    escapeLatex,
+    formatDateRange,
+};
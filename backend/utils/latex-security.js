@@ -0,0 +1,187 @@
+// ── LaTeX security scan ─────────────────────────────────────────────
+// The LaTeX we compile is written by a model that reads untrusted job
+// descriptions, so a prompt-injected posting could ask it for
+// \input{/etc/passwd} or \write18 and get server files into the PDF. Every
+// document is scanned before it is compiled, locally or remotely:
+//   - file, shell and catcode primitives are rejected anywhere;
+//   - \documentclass must be article and every package must be one the
+//     template loads;
+//   - commands must be on the template's allowlist (its preamble commands in
+//     the preamble, its allowedMacros in the body).
+// Local compiles additionally run with shell escape off and kpathsea's
+// openin_any/openout_any set to paranoid (see compile-backends).
+
+// Primitives and commands that read or write files, run programs, or make
+// it possible to build other command names (catcodes, \csname, ^^ escapes)
+const FORBIDDEN_COMMANDS = {
+    input: 'reads a file',
+    include: 'reads a file',
+    includeonly: 'reads a file',
+    InputIfFileExists: 'reads a file',
+    IfFileExists: 'probes the file system',
+    includegraphics: 'embeds a file',
+    lstinputlisting: 'reads a file',
+    verbatiminput: 'reads a file',
+    VerbatimInput: 'reads a file',
+    openin: 'reads a file',
+    read: 'reads a file',
+    readline: 'reads a file',
+    closein: 'reads a file',
+    newread: 'reads a file',
+    openout: 'writes a file',
+    write: 'writes a file or runs a shell command',
+    immediate: 'writes a file or runs a shell command',
+    closeout: 'writes a file',
+    newwrite: 'writes a file',
+    special: 'passes raw commands to the driver',
+    ShellEscape: 'runs a shell command',
+    directlua: 'runs Lua code',
+    latelua: 'runs Lua code',
+    catcode: 'changes how the source is tokenized',
+    makeatletter: 'changes how the source is tokenized',
+    ExplSyntaxOn: 'changes how the source is tokenized',
+    scantokens: 'changes how the source is tokenized',
+    endlinechar: 'changes how the source is tokenized',
+    csname: 'builds command names at run time',
+    endinput: 'stops reading the source',
+};
+// pdfTeX primitives (\pdfobj file, \pdfximage, \pdffiledump, ...) can embed
+// or read files; a resume needs none of them
+const FORBIDDEN_PREFIXES = [{ prefix: 'pdf', reason: 'pdfTeX primitive that can read or embed files' }];
+const FORBIDDEN_ENVIRONMENTS = {
+    filecontents: 'writes a file',
+    'filecontents*': 'writes a file',
+};
+const ALLOWED_DOCUMENT_CLASSES = new Set(['article']);
+
+// Preamble commands any template may use beyond its own preamble
+const PREAMBLE_COMMANDS = [
+    'documentclass', 'usepackage', 'begin', 'setlength', 'addtolength', 'parindent', 'parskip',
+    'linespread', 'raggedright', 'raggedbottom', 'renewcommand', 'newcommand', 'familydefault',
+    'sfdefault', 'rmdefault', 'arraystretch', 'tabcolsep',
+];
+
+/**
+ * Raised when a document fails the scan. violations lists each problem as
+ * { command, line, reason }.
+ */
+class LatexSecurityError extends Error {
+    constructor(violations) {
+        const summary = violations.slice(0, 5)
+            .map((v) => `${v.command} on line ${v.line} (${v.reason})`)
+            .join('; ');
+        const more = violations.length > 5 ? ` and ${violations.length - 5} more` : '';
+        super(`LaTeX rejected by security check: ${summary}${more}.`);
+        this.name = 'LatexSecurityError';
+        this.violations = violations;
+    }
+}
+
+// Drop comments (an unescaped % to end of line) so they are not scanned.
+// An escaped \% is kept; "\\%" is too, which only makes the scan stricter.
+function stripComments(latex) {
+    return latex.replace(/(?<!\\)%[^\n]*/g, '');
+}
+
+function lineAt(text, index) {
+    let line = 1;
+    for (let i = text.indexOf('\n'); i !== -1 && i < index; i = text.indexOf('\n', i + 1)) line += 1;
+    return line;
+}
+
+// Control words (\foo) with their offsets; control symbols such as \\ and \%
+// are consumed so that "\\input" is not read as \input
+function controlWords(source) {
+    return [...source.matchAll(/\\([a-zA-Z]+|[\s\S])/g)]
+        .filter((m) => /^[a-zA-Z]/.test(m[1]))
+        .map((m) => ({ name: m[1], index: m.index }));
+}
+
+/**
+ * Names of the commands a template's preamble uses or defines.
+ */
+function preambleCommands(template) {
+    return controlWords(template.preamble || '').map((word) => word.name);
+}
+
+/**
+ * Scan a document for file access, shell escape and commands outside the
+ * template's allowlists. Without a template only the forbidden primitives,
+ * environments and ^^ escapes are checked.
+ *
+ * @param {string} latex - Full LaTeX document
+ * @param {object} [template] - Template registry entry ({ packages, allowedMacros, preamble })
+ * @returns {{ command: string, line: number, reason: string }[]} Violations, empty when safe
+ */
+function scanLatex(latex, template) {
+    const source = stripComments(latex || '');
+    const violations = [];
+    const add = (command, index, reason) => violations.push({ command, line: lineAt(source, index), reason });
+
+    // ^^5c is a backslash to TeX, so ^^ escapes can spell any command
+    for (const match of source.matchAll(/\^\^/g)) {
+        add('^^', match.index, 'character escape that can spell hidden commands');
+    }
+
+    const beginDoc = source.indexOf('\\begin{document}');
+    const preamble = beginDoc === -1 ? source : source.slice(0, beginDoc);
+    // Commands the document defines for itself may appear in its preamble;
+    // in the body only the template's allowedMacros are accepted
+    const definedNames = [...preamble.matchAll(/\\(?:re)?newcommand\*?\s*\{?\s*\\([a-zA-Z]+)/g)].map((m) => m[1]);
+    const preambleAllowed = template
+        ? new Set([...PREAMBLE_COMMANDS, ...preambleCommands(template), ...template.allowedMacros, ...definedNames])
+        : null;
+    const bodyAllowed = template ? new Set(template.allowedMacros) : null;
+
+    for (const { name, index } of controlWords(source)) {
+        const command = `\\${name}`;
+        const forbidden = FORBIDDEN_COMMANDS[name]
+            || FORBIDDEN_PREFIXES.find((entry) => name.startsWith(entry.prefix))?.reason;
+        if (forbidden) {
+            add(command, index, forbidden);
+            continue;
+        }
+        if (!template) continue;
+        const inPreamble = beginDoc === -1 || index < beginDoc;
+        if (!(inPreamble ? preambleAllowed : bodyAllowed).has(name)) {
+            add(command, index, `not allowed by the ${template.id} template`);
+        }
+    }
+
+    for (const match of source.matchAll(/\\begin\s*\{([^}]*)\}/g)) {
+        const name = match[1].trim();
+        if (FORBIDDEN_ENVIRONMENTS[name]) add(`\\begin{${name}}`, match.index, FORBIDDEN_ENVIRONMENTS[name]);
+    }
+
+    for (const match of source.matchAll(/\\documentclass\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}/g)) {
+        const name = match[1].trim();
+        if (!ALLOWED_DOCUMENT_CLASSES.has(name)) add(`\\documentclass{${name}}`, match.index, 'document class not allowed');
+    }
+
+    if (template) {
+        const allowedPackages = new Set(template.packages);
+        for (const match of source.matchAll(/\\(?:usepackage|RequirePackage)\s*(?:\[[^\]]*\])?\s*\{([^}]*)\}/g)) {
+            for (const name of match[1].split(',').map((n) => n.trim()).filter(Boolean)) {
+                if (!allowedPackages.has(name)) {
+                    add(`package ${name}`, match.index, `not loaded by the ${template.id} template`);
+                }
+            }
+        }
+    }
+
+    return violations;
+}
+
+/**
+ * Throw LatexSecurityError if scanLatex finds anything.
+ */
+function assertLatexSafe(latex, template) {
+    const violations = scanLatex(latex, template);
+    if (violations.length > 0) throw new LatexSecurityError(violations);
+}
+
+module.exports = {
+    LatexSecurityError,
+    scanLatex,
+    assertLatexSafe,
+};
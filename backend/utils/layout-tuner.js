@@ -0,0 +1,248 @@
+// ── Deterministic LaTeX layout tuner ────────────────────────────────
+// Tightens spacing knobs in the resume preamble (margins, section spacing,
+// list spacing, font size) within safe bounds so small overflows can be fixed
+// by recompiling instead of paying for an LLM compression pass.
+
+const UNIT_TO_INCHES = {
+    in: 1,
+    cm: 1 / 2.54,
+    mm: 1 / 25.4,
+    pt: 1 / 72.27,
+};
+
+// Lower bounds that still look like a professionally typeset resume
+const LIMITS = {
+    marginSide: 0.35,    // in
+    marginVertical: 0.3, // in
+    sectionBefore: 4,    // pt
+    sectionAfter: 2,     // pt
+    itemsep: 0,          // pt
+    topsep: 0,           // pt
+    fontReduction: 0.5,  // pt below the class font size
+};
+
+// Each step is applied from the original values, progressively harder.
+// Font size is only touched in the last steps since it is the most visible.
+const TUNING_STEPS = [
+    { intensity: 0.35, font: false },
+    { intensity: 0.65, font: false },
+    { intensity: 1.0, font: false },
+    { intensity: 1.0, font: true },
+];
+
+// \setlist[itemize]{...} options may contain one level of braces, e.g. label={--}
+const SETLIST_ITEMIZE = /\\setlist\[itemize\]\{((?:[^{}]|\{[^{}]*\})*)\}/;
+
+function roundTo(value, decimals) {
+    const f = 10 ** decimals;
+    return Math.round(value * f) / f;
+}
+
+function parseLength(text) {
+    const match = String(text || '').trim().match(/^(-?\d*\.?\d+)\s*(in|cm|mm|pt)$/);
+    if (!match) return null;
+    return { value: parseFloat(match[1]), unit: match[2] };
+}
+
+function toInches(length) {
+    return length.value * UNIT_TO_INCHES[length.unit];
+}
+
+function toPoints(length) {
+    return toInches(length) / UNIT_TO_INCHES.pt;
+}
+
+function parseKeyValues(optionText) {
+    return optionText.split(',').map((part) => {
+        const idx = part.indexOf('=');
+        if (idx === -1) return { key: part.trim(), value: null, raw: part };
+        return { key: part.slice(0, idx).trim(), value: part.slice(idx + 1).trim(), raw: part };
+    });
+}
+
+function withValue(pair, value) {
+    return { ...pair, value, raw: pair.raw.replace(/=.*$/s, `=${value}`) };
+}
+
+// Rebuild from the raw parts so untouched options keep their original spacing
+function serializeKeyValues(pairs) {
+    return pairs.map((p) => p.raw).join(',');
+}
+
+/**
+ * Read the tunable layout parameters from a LaTeX document.
+ * Only simple, unambiguous values are picked up; anything else is left alone.
+ */
+function readLayout(latex) {
+    const layout = {};
+
+    const geometry = latex.match(/\\usepackage\[([^\]]*)\]\{geometry\}/);
+    if (geometry) {
+        const pairs = parseKeyValues(geometry[1]);
+        const margins = {};
+        for (const pair of pairs) {
+            if (['left', 'right', 'top', 'bottom', 'margin', 'hmargin', 'vmargin'].includes(pair.key)) {
+                const length = parseLength(pair.value);
+                if (length) margins[pair.key] = toInches(length);
+            }
+        }
+        if (Object.keys(margins).length > 0) layout.margins = margins;
+    }
+
+    const spacing = latex.match(/\\titlespacing\*?\{\\section\}\{([^{}]*)\}\{([^{}]*)\}\{([^{}]*)\}/);
+    if (spacing) {
+        const before = parseLength(spacing[2]);
+        const after = parseLength(spacing[3]);
+        if (before && after) {
+            layout.sectionSpacing = { before: toPoints(before), after: toPoints(after) };
+        }
+    }
+
+    const list = latex.match(SETLIST_ITEMIZE);
+    if (list) {
+        const pairs = parseKeyValues(list[1]);
+        const itemsep = parseLength(pairs.find((p) => p.key === 'itemsep')?.value);
+        const topsep = parseLength(pairs.find((p) => p.key === 'topsep')?.value);
+        if (itemsep || topsep) {
+            layout.list = {
+                itemsep: itemsep ? toPoints(itemsep) : null,
+                topsep: topsep ? toPoints(topsep) : null,
+            };
+        }
+    }
+
+    const docClass = latex.match(/\\documentclass(?:\[([^\]]*)\])?\{article\}/);
+    if (docClass && !/\\fontsize\{/.test(latex)) {
+        const sizeOption = (docClass[1] || '').match(/\b(10|11|12)pt\b/);
+        layout.fontSize = sizeOption ? parseInt(sizeOption[1], 10) : 10;
+    }
+
+    return layout;
+}
+
+function interpolate(from, min, intensity) {
+    if (from <= min) return from;
+    return from - (from - min) * intensity;
+}
+
+/**
+ * Apply one tuning step. Returns { latex, adjustments } where adjustments
+ * lists every value that changed as { setting, from, to }.
+ */
+function applyTuningStep(latex, layout, step) {
+    let out = latex;
+    const adjustments = [];
+
+    if (layout.margins) {
+        out = out.replace(/\\usepackage\[([^\]]*)\]\{geometry\}/, (match, options) => {
+            const pairs = parseKeyValues(options).map((pair) => {
+                const from = layout.margins[pair.key];
+                if (from === undefined) return pair;
+                const vertical = ['top', 'bottom', 'vmargin'].includes(pair.key);
+                const min = vertical ? LIMITS.marginVertical : LIMITS.marginSide;
+                const to = roundTo(interpolate(from, min, step.intensity), 2);
+                if (to === roundTo(from, 2)) return pair;
+                adjustments.push({ setting: `geometry.${pair.key}`, from: `${roundTo(from, 2)}in`, to: `${to}in` });
+                return withValue(pair, `${to}in`);
+            });
+            return `\\usepackage[${serializeKeyValues(pairs)}]{geometry}`;
+        });
+    }
+
+    if (layout.sectionSpacing) {
+        const before = roundTo(interpolate(layout.sectionSpacing.before, LIMITS.sectionBefore, step.intensity), 1);
+        const after = roundTo(interpolate(layout.sectionSpacing.after, LIMITS.sectionAfter, step.intensity), 1);
+        out = out.replace(
+            /(\\titlespacing\*?\{\\section\}\{[^{}]*\})\{[^{}]*\}\{[^{}]*\}/,
+            (match, head) => `${head}{${before}pt}{${after}pt}`
+        );
+        if (before !== roundTo(layout.sectionSpacing.before, 1)) {
+            adjustments.push({ setting: 'titlespacing.before', from: `${roundTo(layout.sectionSpacing.before, 1)}pt`, to: `${before}pt` });
+        }
+        if (after !== roundTo(layout.sectionSpacing.after, 1)) {
+            adjustments.push({ setting: 'titlespacing.after', from: `${roundTo(layout.sectionSpacing.after, 1)}pt`, to: `${after}pt` });
+        }
+    }
+
+    if (layout.list) {
+        out = out.replace(SETLIST_ITEMIZE, (match, options) => {
+            const pairs = parseKeyValues(options).map((pair) => {
+                if (!['itemsep', 'topsep'].includes(pair.key)) return pair;
+                const from = layout.list[pair.key];
+                if (from === null || from === undefined) return pair;
+                const to = roundTo(interpolate(from, LIMITS[pair.key], step.intensity), 1);
+                if (to === roundTo(from, 1)) return pair;
+                adjustments.push({ setting: `itemize.${pair.key}`, from: `${roundTo(from, 1)}pt`, to: `${to}pt` });
+                return withValue(pair, `${to}pt`);
+            });
+            return `\\setlist[itemize]{${serializeKeyValues(pairs)}}`;
+        });
+    }
+
+    if (step.font && layout.fontSize) {
+        const size = layout.fontSize - LIMITS.fontReduction;
+        const leading = roundTo(size * 1.2, 1);
+        out = out.replace(/\\begin\{document\}/, `\\begin{document}\n\\fontsize{${size}pt}{${leading}pt}\\selectfont`);
+        adjustments.push({ setting: 'fontSize', from: `${layout.fontSize}pt`, to: `${size}pt` });
+    }
+
+    return { latex: out, adjustments };
+}
+
+/**
+ * Try to fit an overflowing document into pageLimit pages by tightening layout.
+ *
+ * @param {string} latex - LaTeX that compiled to more than pageLimit pages
+ * @param {object} options
+ * @param {number} options.pageLimit - Target page count
+ * @param {number} options.pageCount - Page count of the current compile
+ * @param {(latex: string) => Promise<{ pdfBuffer: Buffer, latex: string, pageCount: number }>} options.compile
+ * @param {(step: number, total: number) => void} [options.onStep]
+ * @returns {Promise<{ pdfBuffer, latex, pageCount, adjustments } | null>} null when no step fits;
+ *   a step that fails to compile is skipped (an AbortError is rethrown)
+ */
+async function tuneLayoutToFit(latex, { pageLimit, pageCount, compile, onStep }) {
+    // Only overflows of at most one extra page are worth tuning for; anything
+    // larger needs content changes.
+    if (pageLimit == null || pageCount <= pageLimit || pageCount - pageLimit > 1) return null;
+
+    const layout = readLayout(latex);
+    if (!layout.margins && !layout.sectionSpacing && !layout.list && !layout.fontSize) {
+        console.log('  📐 Layout tuner: no tunable parameters found');
+        return null;
+    }
+
+    const maxSteps = Math.min(TUNING_STEPS.length, parseInt(process.env.LAYOUT_TUNER_MAX_STEPS || String(TUNING_STEPS.length), 10));
+    let lastAdjustments = null;
+
+    for (let i = 0; i < maxSteps; i += 1) {
+        const { latex: tuned, adjustments } = applyTuningStep(latex, layout, TUNING_STEPS[i]);
+        if (adjustments.length === 0) continue;
+        if (lastAdjustments && JSON.stringify(adjustments) === JSON.stringify(lastAdjustments)) continue;
+        lastAdjustments = adjustments;
+
+        if (onStep) onStep(i + 1, maxSteps);
+        let result;
+        try {
+            result = await compile(tuned);
+        } catch (err) {
+            // A step that breaks the document is skipped; the caller still has
+            // the last PDF that compiled and can go on to refinement
+            if (err?.name === 'AbortError') throw err;
+            console.warn(`  📐 Layout tuner step ${i + 1}/${maxSteps} failed to compile, skipping: ${(err?.message || String(err)).split('\n')[0]}`);
+            continue;
+        }
+        console.log(`  📐 Layout tuner step ${i + 1}/${maxSteps}: ${result.pageCount} pages (${adjustments.map((a) => `${a.setting} ${a.from}→${a.to}`).join(', ')})`);
+        if (result.pageCount <= pageLimit) {
+            return { ...result, adjustments };
+        }
+    }
+
+    return null;
+}
+
+module.exports = {
+    tuneLayoutToFit,
+    readLayout,
+    applyTuningStep,
+};
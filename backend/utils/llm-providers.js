@@ -0,0 +1,722 @@
+const { StringDecoder } = require('string_decoder');
+const fetch = require('node-fetch');
+
+const ANTHROPIC_API_BASE = 'https://api.anthropic.com/v1';
+const OPENROUTER_API_BASE = 'https://openrouter.ai/api/v1';
+const DEFAULT_OPENAI_COMPAT_BASE = 'http://localhost:11434/v1';
+
+// ── Pricing (per million tokens, as of 2025-2026) ───────────────────
+const ANTHROPIC_PRICING = {
+    'claude-sonnet-4-5-20250929':   { input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 },
+    'claude-3-5-sonnet-20241022':   { input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 },
+    'claude-3-5-haiku-20241022':    { input: 0.80, output: 4.00,  cacheWrite: 1.00, cacheRead: 0.08 },
+    'claude-haiku-4-5-20250414':    { input: 1.00, output: 5.00,  cacheWrite: 1.25, cacheRead: 0.10 },
+};
+
+const OPENROUTER_PRICING = {
+    'anthropic/claude-sonnet-4.5':  { input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 },
+    'anthropic/claude-3.5-haiku':   { input: 0.80, output: 4.00,  cacheWrite: 1.00, cacheRead: 0.08 },
+    'anthropic/claude-haiku-4.5':   { input: 1.00, output: 5.00,  cacheWrite: 1.25, cacheRead: 0.10 },
+    'openai/gpt-4o':                { input: 2.50, output: 10.00, cacheWrite: 0,    cacheRead: 1.25 },
+    'openai/gpt-4o-mini':           { input: 0.15, output: 0.60,  cacheWrite: 0,    cacheRead: 0.075 },
+};
+
+const ZERO_PRICING = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 };
+
+/**
+ * Error raised when a provider returns a non-2xx response.
+ * Carries the HTTP status and the provider's own error message when available.
+ */
+class LLMProviderError extends Error {
+    constructor(message, { provider, status, body, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'LLMProviderError';
+        this.provider = provider;
+        this.status = status;
+        this.body = body;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// retry-after-ms (OpenAI-style) or retry-after (seconds or HTTP date), in ms
+function parseRetryAfter(headers) {
+    const ms = headers?.get('retry-after-ms');
+    if (ms != null && Number.isFinite(Number(ms))) return Math.max(0, Number(ms));
+    const value = headers?.get('retry-after');
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function parseProviderError(provider, response, errBody) {
+    const { status } = response;
+    let message = `${provider.label} API error: ${status}`;
+    try {
+        const j = JSON.parse(errBody);
+        if (j.error?.message) message = j.error.message;
+        else if (typeof j.error === 'string') message = j.error;
+    } catch (_) { }
+    return new LLMProviderError(message, {
+        provider: provider.name,
+        status,
+        body: errBody,
+        retryAfterMs: parseRetryAfter(response.headers),
+    });
+}
+
+/**
+ * Flatten Anthropic-style content blocks into plain text for providers
+ * that only accept string message content.
+ */
+function contentToText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .filter((block) => block && block.type === 'text')
+        .map((block) => block.text)
+        .join('\n\n');
+}
+
+// ── Streaming ───────────────────────────────────────────────────────
+// With an onText callback the providers request a streamed response and call
+// onText(textSoFar) as deltas arrive; the resolved result is the same as for
+// a non-streamed call. LLM_STREAMING=false turns streaming off.
+// A stream that fails partway attaches the usage it got so far to the error
+// (err.partialUsage), estimating tokens the provider had not reported yet.
+
+const CHARS_PER_TOKEN = 3.5;
+
+function isStreamingEnabled() {
+    return (process.env.LLM_STREAMING || 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * Parse a Server-Sent Events body into { event, data } objects (data is the
+ * raw string; multi-line data fields are joined with newlines).
+ */
+async function* readServerSentEvents(body) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let event = null;
+    let data = [];
+    const takeLines = function* (final) {
+        const lines = buffer.split(/\r?\n/);
+        buffer = final ? '' : lines.pop();
+        for (const line of lines) {
+            if (line === '') {
+                if (data.length > 0) yield { event: event || 'message', data: data.join('\n') };
+                event = null;
+                data = [];
+            } else if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                data.push(line.slice(5).replace(/^ /, ''));
+            }
+        }
+    };
+    for await (const chunk of body) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        yield* takeLines(false);
+    }
+    buffer += decoder.end() + '\n\n';
+    yield* takeLines(true);
+}
+
+// Anthropic reports mid-stream failures as error events; map their types to
+// the HTTP statuses the same failure gets outside a stream, so retries apply
+const STREAM_ERROR_STATUSES = {
+    overloaded_error: 529,
+    rate_limit_error: 429,
+    api_error: 500,
+    timeout_error: 504,
+    invalid_request_error: 400,
+    authentication_error: 401,
+    permission_error: 403,
+    not_found_error: 404,
+};
+
+// ── Anthropic Messages API ──────────────────────────────────────────
+const anthropicProvider = {
+    name: 'anthropic',
+    label: 'Anthropic',
+    supportsFilesApi: true,
+    defaultModel: 'claude-sonnet-4-5-20250929',
+    defaultRefinementModel: 'claude-3-5-haiku-20241022',
+    pricing: ANTHROPIC_PRICING,
+    defaultPricing: { input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 },
+
+    getApiKey() {
+        return process.env.ANTHROPIC_API_KEY;
+    },
+
+    async complete({ model, system, messages, maxTokens, cacheSystem, betas, signal, apiKey, onText }) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'x-api-key': apiKey,
+            'anthropic-version': '2023-06-01',
+        };
+        if (betas && betas.length > 0) {
+            headers['anthropic-beta'] = betas.join(',');
+        }
+
+        const body = {
+            model,
+            messages,
+            max_tokens: maxTokens,
+        };
+        if (system) {
+            body.system = cacheSystem
+                ? [{ type: 'text', text: system, cache_control: { type: 'ephemeral' } }]
+                : system;
+        }
+        const stream = Boolean(onText) && isStreamingEnabled();
+        if (stream) {
+            body.stream = true;
+        }
+
+        const response = await fetch(`${ANTHROPIC_API_BASE}/messages`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(body),
+            signal,
+        });
+
+        if (!response.ok) {
+            throw parseProviderError(this, response, await response.text());
+        }
+
+        const data = stream ? await this.readStream(response, onText) : await response.json();
+        const usage = data.usage || {};
+        return {
+            text: data.content?.[0]?.text,
+            stopReason: data.stop_reason || null,
+            usage: {
+                inputTokens: usage.input_tokens || 0,
+                outputTokens: usage.output_tokens || 0,
+                cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+                cacheReadTokens: usage.cache_read_input_tokens || 0,
+            },
+            reportedCost: null,
+        };
+    },
+
+    /**
+     * Assemble a streamed Messages API response into the shape of a
+     * non-streamed one ({ content, stop_reason, usage }).
+     */
+    async readStream(response, onText) {
+        let text = '';
+        let stopReason = null;
+        let usage = {};
+        try {
+            for await (const { event, data } of readServerSentEvents(response.body)) {
+                if (event === 'ping') continue;
+                let payload;
+                try {
+                    payload = JSON.parse(data);
+                } catch (_) {
+                    continue;
+                }
+                if (payload.type === 'error' || event === 'error') {
+                    const error = payload.error || {};
+                    throw new LLMProviderError(error.message || 'Anthropic stream error', {
+                        provider: this.name,
+                        status: STREAM_ERROR_STATUSES[error.type] || 500,
+                        body: data,
+                    });
+                }
+                if (payload.type === 'message_start') {
+                    usage = { ...payload.message?.usage };
+                } else if (payload.type === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+                    text += payload.delta.text;
+                    onText(text);
+                } else if (payload.type === 'message_delta') {
+                    stopReason = payload.delta?.stop_reason || stopReason;
+                    usage = { ...usage, ...payload.usage };
+                }
+            }
+        } catch (err) {
+            // Input usage comes with message_start; output is only final in message_delta
+            err.partialUsage = {
+                inputTokens: usage.input_tokens || 0,
+                outputTokens: Math.max(usage.output_tokens || 0, Math.ceil(text.length / CHARS_PER_TOKEN)),
+                cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+                cacheReadTokens: usage.cache_read_input_tokens || 0,
+            };
+            throw err;
+        }
+        return { content: [{ type: 'text', text }], stop_reason: stopReason, usage };
+    },
+};
+
+// ── OpenAI-compatible Chat Completions (OpenRouter, Ollama, llama.cpp) ──
+/**
+ * Assemble a streamed chat completion into the shape of a non-streamed one
+ * ({ choices: [{ message, finish_reason }], usage }). The usage block comes
+ * in the last chunk (stream_options.include_usage).
+ */
+async function readChatCompletionStream(providerName, response, onText) {
+    let text = '';
+    let finishReason = null;
+    let usage = null;
+    try {
+        for await (const { data } of readServerSentEvents(response.body)) {
+            if (data === '[DONE]') break;
+            let chunk;
+            try {
+                chunk = JSON.parse(data);
+            } catch (_) {
+                continue;
+            }
+            if (chunk.error) {
+                throw new LLMProviderError(chunk.error.message || 'Stream error', {
+                    provider: providerName,
+                    status: Number(chunk.error.code) || 500,
+                    body: data,
+                });
+            }
+            const choice = chunk.choices?.[0];
+            if (choice?.delta?.content) {
+                text += choice.delta.content;
+                onText(text);
+            }
+            if (choice?.finish_reason) finishReason = choice.finish_reason;
+            if (chunk.usage) usage = chunk.usage;
+        }
+    } catch (err) {
+        // Usage normally only arrives in the last chunk, so input tokens are
+        // usually unknown here (callLLM estimates them)
+        err.partialUsage = {
+            inputTokens: usage?.prompt_tokens || 0,
+            outputTokens: usage?.completion_tokens || Math.ceil(text.length / CHARS_PER_TOKEN),
+            cacheCreationTokens: 0,
+            cacheReadTokens: 0,
+        };
+        throw err;
+    }
+    return { choices: [{ message: { content: text }, finish_reason: finishReason }], usage };
+}
+
+function createOpenAICompatibleProvider({ name, label, baseUrl, getApiKey, pricing, defaultPricing, defaultModel, defaultRefinementModel, extraHeaders, requireApiKey }) {
+    return {
+        name,
+        label,
+        supportsFilesApi: false,
+        defaultModel,
+        defaultRefinementModel,
+        pricing,
+        defaultPricing,
+        requireApiKey,
+        getApiKey,
+
+        async complete({ model, system, messages, maxTokens, signal, apiKey, onText }) {
+            const headers = {
+                'Content-Type': 'application/json',
+                ...(extraHeaders ? extraHeaders() : {}),
+            };
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            const chatMessages = [];
+            if (system) {
+                chatMessages.push({ role: 'system', content: system });
+            }
+            for (const message of messages) {
+                chatMessages.push({ role: message.role, content: contentToText(message.content) });
+            }
+
+            const body = {
+                model,
+                messages: chatMessages,
+                max_tokens: maxTokens,
+            };
+            if (name === 'openrouter') {
+                // Ask OpenRouter to report the actual billed cost in the usage block
+                body.usage = { include: true };
+            }
+            const stream = Boolean(onText) && isStreamingEnabled();
+            if (stream) {
+                body.stream = true;
+                body.stream_options = { include_usage: true };
+            }
+
+            const response = await fetch(`${baseUrl().replace(/\/+$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal,
+            });
+
+            if (!response.ok) {
+                throw parseProviderError(this, response, await response.text());
+            }
+
+            const data = stream ? await readChatCompletionStream(name, response, onText) : await response.json();
+            const usage = data.usage || {};
+            const cachedTokens = usage.prompt_tokens_details?.cached_tokens || 0;
+            return {
+                text: data.choices?.[0]?.message?.content,
+                stopReason: data.choices?.[0]?.finish_reason || null,
+                usage: {
+                    inputTokens: Math.max(0, (usage.prompt_tokens || 0) - cachedTokens),
+                    outputTokens: usage.completion_tokens || 0,
+                    cacheCreationTokens: 0,
+                    cacheReadTokens: cachedTokens,
+                },
+                reportedCost: typeof usage.cost === 'number' ? usage.cost : null,
+            };
+        },
+    };
+}
+
+const openRouterProvider = createOpenAICompatibleProvider({
+    name: 'openrouter',
+    label: 'OpenRouter',
+    baseUrl: () => process.env.OPENROUTER_BASE_URL || OPENROUTER_API_BASE,
+    getApiKey: () => process.env.OPENROUTER_API_KEY,
+    pricing: OPENROUTER_PRICING,
+    defaultPricing: { input: 3.00, output: 15.00, cacheWrite: 0, cacheRead: 0 },
+    defaultModel: 'anthropic/claude-sonnet-4.5',
+    defaultRefinementModel: 'anthropic/claude-3.5-haiku',
+    requireApiKey: true,
+    extraHeaders: () => ({
+        'X-Title': 'Resume Generator',
+    }),
+});
+
+const openAICompatibleProvider = createOpenAICompatibleProvider({
+    name: 'openai-compatible',
+    label: 'OpenAI-compatible',
+    baseUrl: () => process.env.OPENAI_COMPAT_BASE_URL || DEFAULT_OPENAI_COMPAT_BASE,
+    getApiKey: () => process.env.OPENAI_COMPAT_API_KEY,
+    // Self-hosted endpoints (Ollama, llama.cpp) have no per-token cost
+    pricing: {},
+    defaultPricing: ZERO_PRICING,
+    defaultModel: 'llama3.1',
+    defaultRefinementModel: 'llama3.1',
+    requireApiKey: false,
+});
+
+const PROVIDERS = {
+    [anthropicProvider.name]: anthropicProvider,
+    [openRouterProvider.name]: openRouterProvider,
+    [openAICompatibleProvider.name]: openAICompatibleProvider,
+};
+
+function getProvider(name) {
+    const provider = PROVIDERS[(name || '').toLowerCase()];
+    if (!provider) {
+        throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return provider;
+}
+
+/**
+ * Check that a stage has the credentials it needs.
+ * Returns an error message, or null when the stage is usable.
+ */
+function getStageConfigError(stageConfig) {
+    const { provider, apiKey } = stageConfig;
+    if (provider.requireApiKey === false) return null;
+    if (!apiKey) return `${provider.label} API key not configured.`;
+    return null;
+}
+
+/**
+ * Secondary model for a stage, used once retries on the primary run out:
+ * GENERATION_FALLBACK_MODEL / REFINEMENT_FALLBACK_MODEL, on
+ * *_FALLBACK_PROVIDER (default: the stage's provider). For Anthropic,
+ * ANTHROPIC_FALLBACK_MODEL / ANTHROPIC_REFINEMENT_FALLBACK_MODEL also apply.
+ * Null when unset, identical to the primary, or missing its API key.
+ */
+function getFallbackConfig(stage, primary) {
+    const prefix = stage === 'refinement' ? 'REFINEMENT' : 'GENERATION';
+    const provider = getProvider(process.env[`${prefix}_FALLBACK_PROVIDER`] || primary.provider.name);
+    let model = process.env[`${prefix}_FALLBACK_MODEL`];
+    if (!model && provider.name === 'anthropic') {
+        model = stage === 'refinement'
+            ? process.env.ANTHROPIC_REFINEMENT_FALLBACK_MODEL
+            : process.env.ANTHROPIC_FALLBACK_MODEL;
+    }
+    if (!model || (provider === primary.provider && model === primary.model)) return null;
+
+    const fallback = { provider, model, apiKey: provider.getApiKey() };
+    return getStageConfigError(fallback) ? null : fallback;
+}
+
+/**
+ * Resolve provider + model for a pipeline stage from environment config.
+ *
+ * generation: GENERATION_PROVIDER / GENERATION_MODEL
+ * refinement: REFINEMENT_PROVIDER / REFINEMENT_MODEL
+ *
+ * Both fall back to LLM_PROVIDER (default "anthropic"). For Anthropic the
+ * legacy ANTHROPIC_MODEL / ANTHROPIC_REFINEMENT_MODEL variables still apply.
+ * `fallback` is the secondary model from getFallbackConfig (or null).
+ */
+function getStageConfig(stage) {
+    const prefix = stage === 'refinement' ? 'REFINEMENT' : 'GENERATION';
+    const providerName = process.env[`${prefix}_PROVIDER`] || process.env.LLM_PROVIDER || 'anthropic';
+    const provider = getProvider(providerName);
+
+    let model = process.env[`${prefix}_MODEL`];
+    if (!model && provider.name === 'anthropic') {
+        model = stage === 'refinement'
+            ? process.env.ANTHROPIC_REFINEMENT_MODEL
+            : process.env.ANTHROPIC_MODEL;
+    }
+    if (!model) {
+        model = stage === 'refinement' ? provider.defaultRefinementModel : provider.defaultModel;
+    }
+
+    const primary = { provider, model, apiKey: provider.getApiKey() };
+    return { ...primary, fallback: getFallbackConfig(stage, primary) };
+}
+
+function getPricing(model, providerName = 'anthropic') {
+    const provider = PROVIDERS[providerName] || anthropicProvider;
+    return provider.pricing[model] || provider.defaultPricing;
+}
+
+/**
+ * Calculate cost from a normalized usage object.
+ * When the provider reported the billed cost (OpenRouter), that figure wins.
+ * Returns { inputCost, outputCost, cacheWriteCost, cacheReadCost, totalCost, ...token counts }
+ */
+function calculateCost(usage, model, providerName = 'anthropic', reportedCost = null) {
+    const pricing = getPricing(model, providerName);
+    const inputTokens = usage.inputTokens || 0;
+    const outputTokens = usage.outputTokens || 0;
+    const cacheCreationTokens = usage.cacheCreationTokens || 0;
+    const cacheReadTokens = usage.cacheReadTokens || 0;
+
+    const inputCost = (inputTokens / 1_000_000) * pricing.input;
+    const outputCost = (outputTokens / 1_000_000) * pricing.output;
+    const cacheWriteCost = (cacheCreationTokens / 1_000_000) * pricing.cacheWrite;
+    const cacheReadCost = (cacheReadTokens / 1_000_000) * pricing.cacheRead;
+    const estimatedCost = inputCost + outputCost + cacheWriteCost + cacheReadCost;
+
+    return {
+        inputTokens,
+        outputTokens,
+        cacheCreationTokens,
+        cacheReadTokens,
+        totalInputTokens: inputTokens + cacheCreationTokens + cacheReadTokens,
+        inputCost,
+        outputCost,
+        cacheWriteCost,
+        cacheReadCost,
+        totalCost: typeof reportedCost === 'number' ? reportedCost : estimatedCost,
+    };
+}
+
+// ── Retries and model fallback ──────────────────────────────────────
+// Rate limits (429), server errors (5xx), Anthropic overload (529) and
+// network failures are retried with full-jitter exponential backoff; a
+// retry-after from the provider sets the minimum wait. When retries run out
+// (or retry-after exceeds LLM_RETRY_MAX_DELAY_MS) the stage's fallback model
+// gets the same treatment. Other errors fail immediately.
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']);
+
+function getRetryPolicy() {
+    const read = (env, fallback) => {
+        const value = parseInt(process.env[env] || String(fallback), 10);
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    return {
+        maxRetries: read('LLM_MAX_RETRIES', 3),
+        baseDelayMs: read('LLM_RETRY_BASE_DELAY_MS', 1000),
+        maxDelayMs: read('LLM_RETRY_MAX_DELAY_MS', 30000),
+    };
+}
+
+function isRetryableError(error) {
+    if (!error || error.name === 'AbortError') return false;
+    if (error instanceof LLMProviderError) return RETRYABLE_STATUSES.has(error.status);
+    return error.name === 'FetchError' && (error.type === 'system' || RETRYABLE_NETWORK_CODES.has(error.code));
+}
+
+/**
+ * Wait before retry `retry` (1-based), or null when the provider asked for
+ * longer than the policy allows.
+ */
+function getRetryDelay(error, retry, { baseDelayMs, maxDelayMs }) {
+    const backoff = Math.round(Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (retry - 1)));
+    const retryAfterMs = error.retryAfterMs ?? null;
+    if (retryAfterMs === null) return backoff;
+    return retryAfterMs > maxDelayMs ? null : Math.max(retryAfterMs, backoff);
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+        if (signal?.aborted) return reject(abortError());
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(abortError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// Abort signal for one attempt: follows the caller's signal and fires on
+// its own after timeoutMs (no timeout when timeoutMs is unset)
+function withAttemptTimeout(signal, timeoutMs) {
+    if (!timeoutMs) return { signal, timedOut: () => false, done: () => {} };
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    return {
+        signal: controller.signal,
+        timedOut: () => controller.signal.aborted && !signal?.aborted,
+        done: () => {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', onAbort);
+        },
+    };
+}
+
+// Providers that only report usage at the end of a stream leave the input
+// tokens of a failed attempt unknown; estimate them from the prompt
+function withEstimatedInput(usage, system, messages) {
+    if (usage.inputTokens || usage.cacheReadTokens || usage.cacheCreationTokens) return usage;
+    const chars = (system || '').length + messages.reduce((total, m) => total + contentToText(m.content).length, 0);
+    return { ...usage, inputTokens: Math.ceil(chars / CHARS_PER_TOKEN) };
+}
+
+function describeFailure(error) {
+    return error instanceof LLMProviderError ? `HTTP ${error.status}: ${error.message}` : error.message;
+}
+
+/**
+ * Run a completion for a stage, retrying transient failures and falling back
+ * to the stage's secondary model when the primary keeps failing.
+ *
+ * onEvent (optional, may be async and may throw to stop) is called before
+ * each retry with { type: 'retry', provider, model, retry, maxRetries,
+ * delayMs, status, error } and before switching models with
+ * { type: 'fallback', from, to, stageConfig, status, error }. A streamed
+ * attempt that fails partway is reported first as { type: 'partial',
+ * provider, model, usage, cost, durationMs, error }, since its tokens are
+ * billed all the same.
+ *
+ * onText (optional) streams the response: it is called with the text
+ * received so far. A retry starts over, so the text can get shorter.
+ *
+ * timeoutMs (optional) limits each attempt, so retries and the fallback
+ * model get the full time again. A timed-out attempt is not retried on the
+ * same model; it goes to the fallback, or fails with a TimeoutError.
+ *
+ * Returns { text, stopReason, usage, cost, provider, model, durationMs, attempts, fallbackFrom }
+ */
+async function callLLM(stageConfig, { system, messages, maxTokens = 4096, cacheSystem = false, betas, signal, timeoutMs, onEvent, onText }) {
+    const targets = [stageConfig, stageConfig.fallback].filter(Boolean);
+    const policy = getRetryPolicy();
+    const label = (target) => `${target.provider.name}/${target.model}`;
+    let attempts = 0;
+    let lastError = null;
+
+    for (const [index, target] of targets.entries()) {
+        const { provider, model, apiKey } = target;
+        if (index > 0) {
+            console.warn(`🔀 ${label(targets[index - 1])} failed (${describeFailure(lastError)}); falling back to ${label(target)}`);
+            await onEvent?.({
+                type: 'fallback',
+                from: label(targets[index - 1]),
+                to: label(target),
+                stageConfig: target,
+                status: lastError.status ?? null,
+                error: lastError.message,
+            });
+        }
+
+        for (let retry = 0; ; retry += 1) {
+            attempts += 1;
+            const start = Date.now();
+            const attempt = withAttemptTimeout(signal, timeoutMs);
+            try {
+                const result = await provider.complete({
+                    model,
+                    system,
+                    messages,
+                    maxTokens,
+                    cacheSystem,
+                    betas,
+                    signal: attempt.signal,
+                    apiKey,
+                    onText,
+                });
+                return {
+                    text: result.text,
+                    stopReason: result.stopReason,
+                    usage: result.usage,
+                    cost: calculateCost(result.usage, model, provider.name, result.reportedCost),
+                    provider: provider.name,
+                    model,
+                    durationMs: Date.now() - start,
+                    attempts,
+                    fallbackFrom: index > 0 ? label(stageConfig) : null,
+                };
+            } catch (err) {
+                if (err?.partialUsage) {
+                    const usage = withEstimatedInput(err.partialUsage, system, messages);
+                    await onEvent?.({
+                        type: 'partial',
+                        provider: provider.name,
+                        model,
+                        usage,
+                        cost: calculateCost(usage, model, provider.name),
+                        durationMs: Date.now() - start,
+                        error: err.message,
+                    });
+                }
+                if (attempt.timedOut()) {
+                    lastError = Object.assign(new Error(`${label(target)} timed out after ${Math.round(timeoutMs / 1000)}s`), { name: 'TimeoutError', timeoutMs });
+                    console.warn(`⏱️  ${lastError.message}`);
+                    break;
+                }
+                if (!isRetryableError(err)) throw err;
+                lastError = err;
+                const delayMs = retry < policy.maxRetries ? getRetryDelay(err, retry + 1, policy) : null;
+                if (delayMs === null) break;
+                console.warn(`🔁 ${label(target)} failed (${describeFailure(err)}); retry ${retry + 1}/${policy.maxRetries} in ${delayMs}ms`);
+                await onEvent?.({
+                    type: 'retry',
+                    provider: provider.name,
+                    model,
+                    retry: retry + 1,
+                    maxRetries: policy.maxRetries,
+                    delayMs,
+                    status: err.status ?? null,
+                    error: err.message,
+                });
+                await sleep(delayMs, signal);
+            } finally {
+                attempt.done();
+            }
+        }
+    }
+    throw lastError;
+}
+
+module.exports = {
+    callLLM,
+    calculateCost,
+    getPricing,
+    getProvider,
+    getStageConfig,
+    getStageConfigError,
+    contentToText,
+    LLMProviderError,
+    PROVIDERS,
+};
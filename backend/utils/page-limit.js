@@ -0,0 +1,38 @@
+const DEFAULT_PAGE_LIMIT = 2;
+const MAX_PAGE_LIMIT = 10;
+const UNLIMITED_VALUES = new Set(['none', 'unlimited', 'no-limit', 'off']);
+
+/**
+ * Parse a requested page limit.
+ * Accepts a positive integer (or numeric string), or "none" for no limit.
+ * Missing values fall back to DEFAULT_PAGE_LIMIT.
+ * Returns { pageLimit } (a number, or null for unlimited) or { error }.
+ */
+function parsePageLimit(value) {
+    if (value === undefined || value === '') {
+        return { pageLimit: DEFAULT_PAGE_LIMIT };
+    }
+    if (value === null || (typeof value === 'string' && UNLIMITED_VALUES.has(value.trim().toLowerCase()))) {
+        return { pageLimit: null };
+    }
+    const n = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isInteger(n) || n < 1 || n > MAX_PAGE_LIMIT) {
+        return { error: `pageLimit must be an integer between 1 and ${MAX_PAGE_LIMIT}, or "none".` };
+    }
+    return { pageLimit: n };
+}
+
+/**
+ * Human-readable page budget, e.g. "1 page", "2 pages", "no page limit".
+ */
+function describePageLimit(pageLimit) {
+    if (pageLimit == null) return 'no page limit';
+    return pageLimit === 1 ? '1 page' : `${pageLimit} pages`;
+}
+
+module.exports = {
+    DEFAULT_PAGE_LIMIT,
+    MAX_PAGE_LIMIT,
+    parsePageLimit,
+    describePageLimit,
+};
@@ -0,0 +1,530 @@
+// ── PDF text layer extraction and layout measurement ────────────────
+// Interprets page content streams (via pdf-lib) to recover text runs with
+// their positions. This is roughly what an ATS parser sees, and it also
+// tells us how far down the last page the resume actually reaches.
+
+const {
+    PDFDocument,
+    PDFArray,
+    PDFDict,
+    PDFName,
+    PDFNumber,
+    PDFRawStream,
+    decodePDFRawStream,
+} = require('pdf-lib');
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+const REPLACEMENT_CHAR = '\uFFFD';
+
+// TJ adjustments more negative than this (in 1/1000 em) are word gaps
+const TJ_SPACE_THRESHOLD = -200;
+// Runs on the same line further apart than this fraction of the font size get a space
+const RUN_GAP_SPACE = 0.2;
+
+// Glyph names commonly found in /Differences arrays of TeX fonts
+const GLYPH_NAMES = {
+    space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+    quoteright: '’', quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*', plus: '+',
+    comma: ',', hyphen: '-', period: '.', slash: '/', colon: ':', semicolon: ';', less: '<', equal: '=',
+    greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']',
+    asciicircum: '^', underscore: '_', quoteleft: '‘', braceleft: '{', bar: '|', braceright: '}',
+    asciitilde: '~', endash: '–', emdash: '—', bullet: '•', periodcentered: '·',
+    quotedblleft: '“', quotedblright: '”', ff: 'ff', fi: 'fi', fl: 'fl', ffi: 'ffi', ffl: 'ffl',
+    zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+};
+
+// WinAnsiEncoding differs from Latin-1 in 0x80–0x9F
+const WIN_ANSI_HIGH = {
+    0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™',
+};
+
+// TeX OT1/T1 fonts put ligatures in the control range when no encoding is given
+const TEX_LOW_CODES = { 0x0b: 'ff', 0x0c: 'fi', 0x0d: 'fl', 0x0e: 'ffi', 0x0f: 'ffl' };
+
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[1] * n[2],
+        m[0] * n[1] + m[1] * n[3],
+        m[2] * n[0] + m[3] * n[2],
+        m[2] * n[1] + m[3] * n[3],
+        m[4] * n[0] + m[5] * n[2] + n[4],
+        m[4] * n[1] + m[5] * n[3] + n[5],
+    ];
+}
+
+function isWhitespace(c) {
+    return c === 0x20 || c === 0x0a || c === 0x0d || c === 0x09 || c === 0x0c || c === 0x00;
+}
+
+function isDelimiter(c) {
+    return c === 0x28 || c === 0x29 || c === 0x3c || c === 0x3e || c === 0x5b || c === 0x5d
+        || c === 0x7b || c === 0x7d || c === 0x2f || c === 0x25;
+}
+
+function isHexDigit(c) {
+    return (c >= 0x30 && c <= 0x39) || (c >= 0x41 && c <= 0x46) || (c >= 0x61 && c <= 0x66);
+}
+
+const ESCAPES = { 0x6e: 0x0a, 0x72: 0x0d, 0x74: 0x09, 0x62: 0x08, 0x66: 0x0c };
+
+/**
+ * Read a (literal string) starting after the opening parenthesis.
+ * Returns { bytes, end }.
+ */
+function readLiteralString(bytes, start) {
+    const out = [];
+    let depth = 1;
+    let i = start;
+    while (i < bytes.length) {
+        const c = bytes[i];
+        if (c === 0x5c) {
+            const next = bytes[i + 1];
+            if (ESCAPES[next] !== undefined) { out.push(ESCAPES[next]); i += 2; continue; }
+            if (next >= 0x30 && next <= 0x37) {
+                let j = i + 1;
+                let code = 0;
+                while (j < i + 4 && bytes[j] >= 0x30 && bytes[j] <= 0x37) { code = code * 8 + (bytes[j] - 0x30); j += 1; }
+                out.push(code & 0xff);
+                i = j;
+                continue;
+            }
+            if (next === 0x0d || next === 0x0a) { i += next === 0x0d && bytes[i + 2] === 0x0a ? 3 : 2; continue; }
+            out.push(next);
+            i += 2;
+            continue;
+        }
+        if (c === 0x28) depth += 1;
+        if (c === 0x29) {
+            depth -= 1;
+            if (depth === 0) return { bytes: out, end: i + 1 };
+        }
+        out.push(c);
+        i += 1;
+    }
+    return { bytes: out, end: i };
+}
+
+function readHexString(bytes, start) {
+    let hex = '';
+    let i = start;
+    while (i < bytes.length && bytes[i] !== 0x3e) {
+        if (isHexDigit(bytes[i])) hex += String.fromCharCode(bytes[i]);
+        i += 1;
+    }
+    if (hex.length % 2 === 1) hex += '0';
+    const out = [];
+    for (let k = 0; k < hex.length; k += 2) out.push(parseInt(hex.slice(k, k + 2), 16));
+    return { bytes: out, end: i + 1 };
+}
+
+/**
+ * Minimal content stream tokenizer. Yields { type, value } where type is
+ * number, string (value = byte array), name, arrayStart, arrayEnd, other or operator.
+ */
+function* tokenize(bytes) {
+    let i = 0;
+    const n = bytes.length;
+    while (i < n) {
+        const c = bytes[i];
+        if (isWhitespace(c)) { i += 1; continue; }
+        if (c === 0x25) { // % comment
+            while (i < n && bytes[i] !== 0x0a && bytes[i] !== 0x0d) i += 1;
+            continue;
+        }
+        if (c === 0x28) {
+            const str = readLiteralString(bytes, i + 1);
+            i = str.end;
+            yield { type: 'string', value: str.bytes };
+            continue;
+        }
+        if (c === 0x3c && bytes[i + 1] === 0x3c) { i += 2; yield { type: 'other' }; continue; }
+        if (c === 0x3e && bytes[i + 1] === 0x3e) { i += 2; continue; }
+        if (c === 0x3c) {
+            const str = readHexString(bytes, i + 1);
+            i = str.end;
+            yield { type: 'string', value: str.bytes };
+            continue;
+        }
+        if (c === 0x5b) { i += 1; yield { type: 'arrayStart' }; continue; }
+        if (c === 0x5d) { i += 1; yield { type: 'arrayEnd' }; continue; }
+        if (c === 0x7b || c === 0x7d) { i += 1; continue; }
+        if (c === 0x2f) { // /Name
+            const start = i + 1;
+            i += 1;
+            while (i < n && !isWhitespace(bytes[i]) && !isDelimiter(bytes[i])) i += 1;
+            yield { type: 'name', value: Buffer.from(bytes.subarray(start, i)).toString('latin1') };
+            continue;
+        }
+
+        const start = i;
+        while (i < n && !isWhitespace(bytes[i]) && !isDelimiter(bytes[i])) i += 1;
+        if (i === start) { i += 1; continue; }
+        const word = Buffer.from(bytes.subarray(start, i)).toString('latin1');
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+            yield { type: 'number', value: parseFloat(word) };
+        } else if (word === 'ID') {
+            // Inline image data: skip to EI
+            while (i < n && !(bytes[i] === 0x45 && bytes[i + 1] === 0x49 && isWhitespace(bytes[i - 1]))) i += 1;
+            i += 2;
+        } else {
+            yield { type: 'operator', value: word };
+        }
+    }
+}
+
+function decodeStream(stream) {
+    return stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : null;
+}
+
+function getContentBytes(page) {
+    const contents = page.node.Contents();
+    if (!contents) return [];
+    const streams = contents instanceof PDFArray
+        ? contents.asArray().map((ref) => page.doc.context.lookup(ref))
+        : [contents];
+    return streams.map(decodeStream).filter(Boolean);
+}
+
+function hexToString(hex) {
+    let out = '';
+    for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+    return out;
+}
+
+/**
+ * Parse the bfchar/bfrange sections of a ToUnicode CMap into a Map of code → string.
+ */
+function parseToUnicode(text) {
+    const map = new Map();
+    const sections = text.match(/beginbf(char|range)[\s\S]*?endbf\1/g) || [];
+    for (const section of sections) {
+        if (section.startsWith('beginbfchar')) {
+            for (const m of section.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+                map.set(parseInt(m[1], 16), hexToString(m[2]));
+            }
+            continue;
+        }
+        for (const m of section.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+            const lo = parseInt(m[1], 16);
+            const hi = parseInt(m[2], 16);
+            if (m[3].startsWith('[')) {
+                const targets = [...m[3].matchAll(/<([0-9a-fA-F]*)>/g)].map((t) => hexToString(t[1]));
+                targets.forEach((t, k) => map.set(lo + k, t));
+            } else {
+                const base = m[3].slice(1, -1);
+                const prefix = hexToString(base.slice(0, -4));
+                const last = parseInt(base.slice(-4) || '0', 16);
+                for (let code = lo; code <= hi && code - lo < 0x10000; code += 1) {
+                    map.set(code, prefix + String.fromCharCode(last + (code - lo)));
+                }
+            }
+        }
+    }
+    return map;
+}
+
+function glyphNameToString(name) {
+    if (GLYPH_NAMES[name]) return GLYPH_NAMES[name];
+    if (/^[A-Za-z]$/.test(name)) return name;
+    const uni = name.match(/^uni([0-9A-Fa-f]{4})/);
+    if (uni) return String.fromCharCode(parseInt(uni[1], 16));
+    return REPLACEMENT_CHAR;
+}
+
+/**
+ * Build a decoder for a page font: { name, twoByte, decode(bytes) → string, width(code) }.
+ */
+function loadFont(context, fontDict) {
+    const lookup = (key) => fontDict.lookup(PDFName.of(key));
+    const subtype = lookup('Subtype');
+    const baseFont = lookup('BaseFont');
+    const twoByte = subtype instanceof PDFName && subtype.asString() === '/Type0';
+
+    let toUnicode = null;
+    const cmapStream = lookup('ToUnicode');
+    if (cmapStream instanceof PDFRawStream) {
+        try {
+            toUnicode = parseToUnicode(Buffer.from(decodeStream(cmapStream)).toString('latin1'));
+        } catch (_) {
+            toUnicode = null;
+        }
+    }
+
+    const differences = new Map();
+    const encoding = lookup('Encoding');
+    const winAnsi = encoding instanceof PDFName && encoding.asString() === '/WinAnsiEncoding';
+    if (encoding instanceof PDFDict) {
+        const diffs = encoding.lookup(PDFName.of('Differences'));
+        if (diffs instanceof PDFArray) {
+            let code = 0;
+            for (const item of diffs.asArray()) {
+                const value = context.lookup(item);
+                if (value instanceof PDFNumber) code = value.asNumber();
+                else if (value instanceof PDFName) { differences.set(code, glyphNameToString(value.asString().slice(1))); code += 1; }
+            }
+        }
+    }
+
+    const widths = lookup('Widths');
+    const firstChar = lookup('FirstChar');
+    const widthList = widths instanceof PDFArray ? widths.asArray().map((w) => context.lookup(w)?.asNumber?.() ?? 0) : null;
+    const first = firstChar instanceof PDFNumber ? firstChar.asNumber() : 0;
+
+    const decodeCode = (code) => {
+        if (toUnicode && toUnicode.has(code)) return toUnicode.get(code);
+        if (differences.has(code)) return differences.get(code);
+        if (twoByte) return REPLACEMENT_CHAR;
+        if (winAnsi && WIN_ANSI_HIGH[code]) return WIN_ANSI_HIGH[code];
+        if (TEX_LOW_CODES[code]) return TEX_LOW_CODES[code];
+        if (code >= 0x20 && code <= 0x7e) return String.fromCharCode(code);
+        if (code >= 0xa0) return String.fromCharCode(code);
+        return REPLACEMENT_CHAR;
+    };
+
+    return {
+        name: baseFont instanceof PDFName ? baseFont.asString().slice(1) : '',
+        twoByte,
+        codes(bytes) {
+            if (!twoByte) return bytes;
+            const out = [];
+            for (let i = 0; i + 1 < bytes.length; i += 2) out.push((bytes[i] << 8) | bytes[i + 1]);
+            return out;
+        },
+        decode(codes) {
+            return codes.map(decodeCode).join('');
+        },
+        width(code) {
+            if (!widthList) return 500;
+            return widthList[code - first] ?? 500;
+        },
+    };
+}
+
+function getPageFonts(page) {
+    const fonts = new Map();
+    const resources = page.node.Resources();
+    const fontDict = resources && resources.lookup(PDFName.of('Font'));
+    if (!(fontDict instanceof PDFDict)) return fonts;
+    for (const [name, ref] of fontDict.entries()) {
+        const dict = page.doc.context.lookup(ref);
+        if (dict instanceof PDFDict) fonts.set(name.asString().slice(1), loadFont(page.doc.context, dict));
+    }
+    return fonts;
+}
+
+/**
+ * Interpret a page's content streams and return its text runs in stream
+ * (i.e. extraction) order: { x, y, endX, size, text, font }, in device space.
+ */
+function extractTextRuns(page) {
+    const fonts = getPageFonts(page);
+    const runs = [];
+
+    for (const bytes of getContentBytes(page)) {
+        let ctm = IDENTITY;
+        const stack = [];
+        let tm = IDENTITY;
+        let tlm = IDENTITY;
+        let leading = 0;
+        let font = null;
+        let fontSize = 0;
+        let operands = [];
+        let array = null;
+
+        const nextLine = (tx, ty) => {
+            tlm = multiply([1, 0, 0, 1, tx, ty], tlm);
+            tm = tlm;
+        };
+
+        // Show a list of strings and TJ adjustments, advancing the text matrix
+        const show = (items) => {
+            const start = multiply(tm, ctm);
+            const scale = Math.hypot(start[2], start[3]) || 1;
+            let text = '';
+            let advance = 0;
+            for (const item of items) {
+                if (typeof item === 'number') {
+                    if (item < TJ_SPACE_THRESHOLD && text && !text.endsWith(' ')) text += ' ';
+                    advance -= (item / 1000) * fontSize;
+                    continue;
+                }
+                if (!font) continue;
+                const codes = font.codes(item);
+                text += font.decode(codes);
+                for (const code of codes) advance += (font.width(code) / 1000) * fontSize;
+            }
+            tm = multiply([1, 0, 0, 1, advance, 0], tm);
+            if (!text) return;
+            const end = multiply(tm, ctm);
+            runs.push({
+                x: start[4],
+                y: start[5],
+                endX: end[4],
+                size: fontSize * scale,
+                text,
+                font: font ? font.name : '',
+            });
+        };
+
+        for (const token of tokenize(bytes)) {
+            if (token.type === 'arrayStart') { array = []; continue; }
+            if (token.type === 'arrayEnd') { operands.push(array || []); array = null; continue; }
+            if (token.type !== 'operator') {
+                const value = token.type === 'number' || token.type === 'string' || token.type === 'name' ? token.value : null;
+                if (array) array.push(value);
+                else operands.push(value);
+                continue;
+            }
+            const op = token.value;
+            const args = operands;
+            operands = [];
+            const nums = args.filter((a) => typeof a === 'number');
+
+            switch (op) {
+                case 'q': stack.push(ctm); break;
+                case 'Q': ctm = stack.pop() || IDENTITY; break;
+                case 'cm':
+                    if (nums.length >= 6) ctm = multiply(nums.slice(-6), ctm);
+                    break;
+                case 'BT': tm = IDENTITY; tlm = IDENTITY; break;
+                case 'Tf': {
+                    const name = args.find((a) => typeof a === 'string');
+                    font = (name && fonts.get(name)) || null;
+                    if (nums.length >= 1) fontSize = nums[nums.length - 1];
+                    break;
+                }
+                case 'Tm':
+                    if (nums.length >= 6) { tm = nums.slice(-6); tlm = tm; }
+                    break;
+                case 'Td':
+                    if (nums.length >= 2) nextLine(nums[nums.length - 2], nums[nums.length - 1]);
+                    break;
+                case 'TD':
+                    if (nums.length >= 2) {
+                        leading = -nums[nums.length - 1];
+                        nextLine(nums[nums.length - 2], nums[nums.length - 1]);
+                    }
+                    break;
+                case 'TL':
+                    if (nums.length >= 1) leading = nums[nums.length - 1];
+                    break;
+                case 'T*': nextLine(0, -leading); break;
+                case 'Tj':
+                    show(args.filter(Array.isArray));
+                    break;
+                case 'TJ': {
+                    const items = args[args.length - 1];
+                    show(Array.isArray(items) ? items.filter((a) => a !== null) : []);
+                    break;
+                }
+                case "'":
+                case '"':
+                    nextLine(0, -leading);
+                    show(args.filter(Array.isArray));
+                    break;
+                default:
+                    break;
+            }
+        }
+    }
+    return runs;
+}
+
+/**
+ * Group runs into lines in extraction order. A new line starts whenever the
+ * baseline moves by more than a third of the font size.
+ */
+function runsToLines(runs) {
+    const lines = [];
+    let current = null;
+    for (const run of runs) {
+        const sameLine = current && Math.abs(run.y - current.y) <= Math.max(1, run.size / 3);
+        if (!sameLine) {
+            current = { y: run.y, x: run.x, text: run.text, endX: run.endX, size: run.size, fonts: new Set([run.font]) };
+            lines.push(current);
+            continue;
+        }
+        const gap = run.x - current.endX;
+        const needsSpace = gap > run.size * RUN_GAP_SPACE && !current.text.endsWith(' ') && !run.text.startsWith(' ');
+        current.text += (needsSpace ? ' ' : '') + run.text;
+        current.endX = Math.max(current.endX, run.endX);
+        current.fonts.add(run.font);
+    }
+    return lines.map((line) => ({
+        ...line,
+        text: line.text.normalize('NFKC').replace(/\s+/g, ' ').trim(),
+        fonts: [...line.fonts].filter(Boolean),
+    })).filter((line) => line.text);
+}
+
+/**
+ * Extract the text layer of a PDF, page by page, in extraction order.
+ *
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<Array<{ width: number, height: number, lines: Array<{ x, y, text, size, fonts }> }>>}
+ */
+async function extractPdfText(pdfBuffer) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    return pdfDoc.getPages().map((page) => {
+        const { width, height } = page.getMediaBox();
+        return { width, height, lines: runsToLines(extractTextRuns(page)) };
+    });
+}
+
+/**
+ * Device-space baselines (y) of every text-showing operation on a page.
+ */
+function collectTextBaselines(page) {
+    return extractTextRuns(page).map((run) => run.y).filter(Number.isFinite);
+}
+
+/**
+ * Measure how much of the last page is filled with text.
+ *
+ * The usable text area is taken from the earlier (full) pages when there are
+ * any; for a single page it assumes symmetric top and bottom margins.
+ *
+ * @param {Buffer} pdfBuffer
+ * @returns {Promise<{ pageCount: number, lastPageFill: number } | null>}
+ *   lastPageFill is 0–1, or null when no text positions could be read
+ */
+async function measureLastPageFill(pdfBuffer) {
+    const pdfDoc = await PDFDocument.load(pdfBuffer);
+    const pages = pdfDoc.getPages();
+    if (pages.length === 0) return null;
+
+    const extents = pages.map((page) => {
+        const ys = collectTextBaselines(page);
+        if (ys.length === 0) return null;
+        return { top: Math.max(...ys), bottom: Math.min(...ys) };
+    });
+
+    const last = extents[extents.length - 1];
+    if (!last) return null;
+
+    const fullPages = extents.slice(0, -1).filter(Boolean);
+    let areaTop;
+    let areaBottom;
+    if (fullPages.length > 0) {
+        areaTop = Math.max(...fullPages.map((e) => e.top));
+        areaBottom = Math.min(...fullPages.map((e) => e.bottom));
+    } else {
+        const { y, height } = pages[0].getMediaBox();
+        areaTop = last.top;
+        areaBottom = y + (y + height - last.top);
+    }
+
+    const usable = areaTop - areaBottom;
+    if (usable <= 0) return null;
+    const fill = (areaTop - last.bottom) / usable;
+    return {
+        pageCount: pages.length,
+        lastPageFill: Math.round(Math.min(1, Math.max(0, fill)) * 100) / 100,
+    };
+}
+
+module.exports = {
+    measureLastPageFill,
+    extractPdfText,
+    collectTextBaselines,
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { dataPath, readJson, writeJsonAtomic } = require('./storage');
+const { releaseFileGroup } = require('./files-api');
+
+// ── Master resume profiles ──────────────────────────────────────────
+// Named master resumes stored per client under
+// DATA_DIR/profiles/<owner>/<profileId>/: profile.json (name and version
+// history) plus one v<N>.txt per version. Versions are immutable; saving
+// changed content adds a version. Each version is uploaded to the Files API
+// at most once (see getProfileFileRef).
+
+const PROFILES_DIR = dataPath('profiles');
+const PROFILE_ID_PATTERN = /^[a-f0-9]{16}$/;
+const OWNER_PATTERN = /^(local|[a-f0-9]{16})$/;
+const MIN_RESUME_CHARS = 100;
+const MAX_RESUME_CHARS = 200000;
+const MAX_NAME_CHARS = 100;
+
+// Serializes read-modify-write cycles on one profile.json
+const locks = new Map();
+
+function withLock(key, fn) {
+    const previous = locks.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(fn);
+    const settled = run.catch(() => {});
+    locks.set(key, settled);
+    settled.then(() => {
+        if (locks.get(key) === settled) locks.delete(key);
+    });
+    return run;
+}
+
+/**
+ * Owner of the profiles a request can see: the authenticated client, or a
+ * single shared "local" owner when client auth is disabled.
+ */
+function getProfileOwner(req) {
+    return req.apiClient ? req.apiClient.id : 'local';
+}
+
+function profileDir(owner, id) {
+    return path.join(PROFILES_DIR, owner, id);
+}
+
+function profileFile(owner, id) {
+    return path.join(profileDir(owner, id), 'profile.json');
+}
+
+function versionFile(owner, id, version) {
+    return path.join(profileDir(owner, id), `v${version}.txt`);
+}
+
+function isValidRef(owner, id) {
+    return OWNER_PATTERN.test(owner || '') && PROFILE_ID_PATTERN.test(id || '');
+}
+
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function summarize(profile) {
+    const { versions, ...rest } = profile;
+    return { ...rest, versionCount: versions.length };
+}
+
+/**
+ * Validate a profile name. Returns { name } or { error }.
+ */
+function parseProfileName(value) {
+    const name = typeof value === 'string' ? value.trim() : '';
+    if (!name || name.length > MAX_NAME_CHARS) {
+        return { error: `name is required (max ${MAX_NAME_CHARS} characters).` };
+    }
+    return { name };
+}
+
+/**
+ * Validate master resume text for a profile. Returns { masterResume } or { error }.
+ */
+function parseProfileResume(value) {
+    const masterResume = typeof value === 'string' ? value.trim() : '';
+    if (masterResume.length < MIN_RESUME_CHARS) {
+        return { error: 'masterResume is missing or too short.' };
+    }
+    if (masterResume.length > MAX_RESUME_CHARS) {
+        return { error: `masterResume is too long (max ${MAX_RESUME_CHARS} characters).` };
+    }
+    return { masterResume };
+}
+
+/**
+ * Validate an optional profile version. Returns { version } (null = current) or { error }.
+ */
+function parseProfileVersion(value) {
+    if (value === undefined || value === null || value === '') return { version: null };
+    const version = Number(value);
+    if (!Number.isInteger(version) || version < 1) {
+        return { error: 'profileVersion must be a positive integer.' };
+    }
+    return { version };
+}
+
+async function readProfile(owner, id) {
+    if (!isValidRef(owner, id)) return null;
+    return readJson(profileFile(owner, id));
+}
+
+async function writeVersion(owner, profile, masterResume, note) {
+    const version = {
+        version: (profile.versions[profile.versions.length - 1]?.version || 0) + 1,
+        createdAt: new Date().toISOString(),
+        note: note || null,
+        hash: hashContent(masterResume),
+        chars: masterResume.length,
+    };
+    await fs.mkdir(profileDir(owner, profile.id), { recursive: true });
+    await fs.writeFile(versionFile(owner, profile.id, version.version), masterResume, 'utf8');
+    profile.versions.push(version);
+    profile.currentVersion = version.version;
+    profile.updatedAt = version.createdAt;
+    return version;
+}
+
+/**
+ * The owner's profiles, most recently updated first (without version history).
+ */
+async function listProfiles(owner) {
+    if (!OWNER_PATTERN.test(owner || '')) return [];
+    let ids;
+    try {
+        ids = await fs.readdir(path.join(PROFILES_DIR, owner));
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    const profiles = await Promise.all(ids.filter((id) => PROFILE_ID_PATTERN.test(id)).map((id) => readProfile(owner, id)));
+    return profiles.filter(Boolean)
+        .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+        .map(summarize);
+}
+
+/**
+ * Create a profile whose first version is masterResume.
+ */
+async function createProfile(owner, { name, masterResume, note }) {
+    const now = new Date().toISOString();
+    const profile = {
+        id: crypto.randomBytes(8).toString('hex'),
+        name,
+        createdAt: now,
+        updatedAt: now,
+        currentVersion: null,
+        versions: [],
+    };
+    await writeVersion(owner, profile, masterResume, note);
+    await writeJsonAtomic(profileFile(owner, profile.id), profile);
+    return profile;
+}
+
+/**
+ * Master resume text of one version (default: current).
+ *
+ * @returns {Promise<{ profile: object, version: object, masterResume: string } | null>}
+ */
+async function getProfileVersion(owner, id, versionNumber = null) {
+    const profile = await readProfile(owner, id);
+    if (!profile) return null;
+    const version = profile.versions.find((v) => v.version === (versionNumber || profile.currentVersion));
+    if (!version) return null;
+    const masterResume = await fs.readFile(versionFile(owner, id, version.version), 'utf8');
+    return { profile, version, masterResume };
+}
+
+/**
+ * Rename a profile and/or save new content. Content identical to the current
+ * version does not create a version.
+ *
+ * @returns {Promise<{ profile: object, versionCreated: boolean } | null>}
+ */
+async function updateProfile(owner, id, { name, masterResume, note }) {
+    if (!isValidRef(owner, id)) return null;
+    return withLock(`${owner}/${id}`, async () => {
+        const profile = await readProfile(owner, id);
+        if (!profile) return null;
+        let versionCreated = false;
+        if (name !== undefined && name !== profile.name) {
+            profile.name = name;
+            profile.updatedAt = new Date().toISOString();
+        }
+        if (masterResume !== undefined) {
+            const current = profile.versions.find((v) => v.version === profile.currentVersion);
+            if (current?.hash !== hashContent(masterResume)) {
+                await writeVersion(owner, profile, masterResume, note);
+                versionCreated = true;
+            }
+        }
+        await writeJsonAtomic(profileFile(owner, id), profile);
+        return { profile, versionCreated };
+    });
+}
+
+/**
+ * Delete a profile and all of its versions. Returns false when unknown.
+ */
+async function deleteProfile(owner, id) {
+    if (!isValidRef(owner, id)) return false;
+    return withLock(`${owner}/${id}`, async () => {
+        if (!(await readProfile(owner, id))) return false;
+        await fs.rm(profileDir(owner, id), { recursive: true, force: true });
+        releaseFileGroup(getProfileFileRef({ owner, id }).group)
+            .catch((err) => console.warn(`⚠️  Could not delete uploaded files of profile ${id}:`, err.message));
+        return true;
+    });
+}
+
+/**
+ * Replace masterResume in generation input with the referenced profile
+ * version. Input without profileId is returned unchanged (profile: null).
+ *
+ * @returns {Promise<{ input: object } | { error: string, status: number }>}
+ */
+async function resolveProfileInput(input, owner) {
+    const { profileId, profileVersion, ...rest } = input || {};
+    if (profileId === undefined || profileId === null || profileId === '') {
+        return { input: { ...rest, profile: null } };
+    }
+    if (rest.masterResume) {
+        return { error: 'Send either masterResume or profileId, not both.', status: 400 };
+    }
+    const { version, error } = parseProfileVersion(profileVersion);
+    if (error) return { error, status: 400 };
+
+    const resolved = await getProfileVersion(owner, String(profileId), version);
+    if (!resolved) {
+        return {
+            error: version ? `Profile ${profileId} has no version ${version}.` : `Profile ${profileId} not found.`,
+            status: 404,
+        };
+    }
+    return {
+        input: {
+            ...rest,
+            masterResume: resolved.masterResume,
+            profile: { owner, id: resolved.profile.id, version: resolved.version.version },
+        },
+    };
+}
+
+/**
+ * Files API registry key for a profile version. All versions of a profile
+ * share a group, so a newer version supersedes the older uploads.
+ *
+ * @param {{ owner: string, id: string, version?: number }} ref
+ * @returns {{ key: string, group: string, order: number }}
+ */
+function getProfileFileRef({ owner, id, version }) {
+    const group = `profile:${owner}/${id}`;
+    return { key: `${group}/v${version}`, group, order: version };
+}
+
+module.exports = {
+    getProfileOwner,
+    parseProfileName,
+    parseProfileResume,
+    parseProfileVersion,
+    listProfiles,
+    createProfile,
+    getProfileVersion,
+    updateProfile,
+    deleteProfile,
+    resolveProfileInput,
+    getProfileFileRef,
+};
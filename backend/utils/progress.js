@@ -0,0 +1,224 @@
+// ── Progress streams ────────────────────────────────────────────────
+// Every event sent for a request is appended to that request's log with an
+// increasing id. Any number of SSE subscribers can follow a request; a new
+// subscriber gets the log so far, and a reconnecting EventSource (which sends
+// Last-Event-ID) gets only the events it missed. Logs are kept for
+// PROGRESS_LOG_RETENTION_MS after the request closes.
+//
+// Events can carry the generated text (llm_stream previews), so a log belongs
+// to the client that started the request (setProgressOwner) and only that
+// client may subscribe. A subscriber that connects before the request starts
+// holds the id until then, and is dropped if the request turns out to be
+// someone else's.
+
+const { getClientId } = require('./budget');
+
+const PROGRESS_LOG_RETENTION_MS = 300000;
+const MAX_LOG_EVENTS = 500;
+// Stages sent as a run of updates (streamed output, compile queue position)
+const UPDATE_STAGES = new Set(['llm_stream', 'compile_queued']);
+
+const progressClients = new Map(); // requestId -> Set<{ res, keepAlive, clientId }>
+const progressLogs = new Map(); // requestId -> { nextId, events: [{ id, data }], closed, expiry, clientId, owned }
+const progressListeners = new Map();
+
+const stageAverages = {
+    llm: 60,
+    refine: 20,
+    compile: 8,
+};
+
+function updateAverage(stage, durationSeconds) {
+    if (!durationSeconds || durationSeconds <= 0 || !Number.isFinite(durationSeconds)) return;
+    const prev = stageAverages[stage] || durationSeconds;
+    stageAverages[stage] = Math.round(prev * 0.7 + durationSeconds * 0.3);
+}
+
+function estimateRemaining(stages) {
+    return Math.max(
+        0,
+        Math.round(stages.reduce((sum, stage) => sum + (stageAverages[stage] || 0), 0))
+    );
+}
+
+/**
+ * Register an in-process listener for a request's progress events.
+ * Used by the job queue to drive job state from pipeline stages.
+ * Returns an unsubscribe function.
+ */
+function addProgressListener(requestId, listener) {
+    if (!requestId) return () => {};
+    if (!progressListeners.has(requestId)) progressListeners.set(requestId, new Set());
+    progressListeners.get(requestId).add(listener);
+    return () => {
+        const listeners = progressListeners.get(requestId);
+        if (!listeners) return;
+        listeners.delete(listener);
+        if (listeners.size === 0) progressListeners.delete(requestId);
+    };
+}
+
+function getLog(requestId) {
+    let log = progressLogs.get(requestId);
+    if (!log) {
+        log = { nextId: 1, events: [], closed: false, expiry: null, clientId: null, owned: false };
+        progressLogs.set(requestId, log);
+    }
+    return log;
+}
+
+/**
+ * Record the client that started a request; only it may follow the
+ * request's progress. Call before the first sendProgress.
+ */
+function setProgressOwner(requestId, clientId) {
+    if (!requestId) return;
+    const log = getLog(requestId);
+    log.clientId = clientId ?? null;
+    log.owned = true;
+    const clients = progressClients.get(requestId);
+    if (!clients) return;
+    for (const client of clients) {
+        if (client.clientId === log.clientId) continue;
+        clearInterval(client.keepAlive);
+        client.res.end();
+        clients.delete(client);
+    }
+    if (clients.size === 0) progressClients.delete(requestId);
+}
+
+function writeEvent(res, entry) {
+    res.write(`id: ${entry.id}\nevent: progress\ndata: ${JSON.stringify(entry.data)}\n\n`);
+}
+
+function sendProgress(requestId, payload) {
+    if (!requestId) return;
+    const log = getLog(requestId);
+    if (log.closed) {
+        // Picked up again (a requeued job); ids carry on from the old log
+        clearTimeout(log.expiry);
+        log.closed = false;
+    }
+    const previous = log.events[log.events.length - 1];
+    const data = {
+        timestamp: new Date().toISOString(),
+        ...payload,
+    };
+    // Events without a percent (retries, fallbacks) keep the bar where it is
+    if (data.percent === undefined) data.percent = previous?.data.percent ?? 0;
+
+    const entry = { id: log.nextId++, data };
+    if (UPDATE_STAGES.has(data.stage) && previous?.data.stage === data.stage) {
+        // Each update supersedes the last, so only the latest is replayed
+        log.events[log.events.length - 1] = entry;
+    } else {
+        log.events.push(entry);
+        if (log.events.length > MAX_LOG_EVENTS) log.events.shift();
+    }
+
+    const clients = progressClients.get(requestId);
+    if (clients) {
+        for (const client of clients) writeEvent(client.res, entry);
+    }
+    const listeners = progressListeners.get(requestId);
+    if (listeners) {
+        for (const listener of listeners) {
+            try {
+                listener(data);
+            } catch (err) {
+                console.error('⚠️  Progress listener failed:', err.message);
+            }
+        }
+    }
+}
+
+function closeProgress(requestId) {
+    if (!requestId) return;
+    const clients = progressClients.get(requestId);
+    if (clients) {
+        for (const client of clients) {
+            clearInterval(client.keepAlive);
+            client.res.end();
+        }
+        progressClients.delete(requestId);
+    }
+    const log = getLog(requestId);
+    log.closed = true;
+    clearTimeout(log.expiry);
+    log.expiry = setTimeout(() => progressLogs.delete(requestId), PROGRESS_LOG_RETENTION_MS);
+}
+
+/**
+ * Express handler for GET /progress/:id — Server-Sent Events stream.
+ * Replays the events after Last-Event-ID (header, or ?lastEventId= for a
+ * first connection), or the whole log without one. Requests of other
+ * clients are 404, the same as unknown ids.
+ */
+function handleProgressStream(req, res) {
+    const { id } = req.params;
+    const clientId = getClientId(req);
+    const lastEventId = parseInt(req.get('Last-Event-ID') ?? req.query.lastEventId, 10);
+    let log = progressLogs.get(id);
+    if (log && log.clientId !== clientId) {
+        return res.status(404).json({ success: false, error: 'No progress for this id' });
+    }
+    const missed = log
+        ? log.events.filter((entry) => !(entry.id <= lastEventId))
+        : [];
+
+    if (log?.closed && missed.length === 0) {
+        // Finished and nothing new; 204 tells EventSource to stop reconnecting
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        return res.status(204).end();
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.flushHeaders?.();
+
+    if (!log || log.events.length === 0) {
+        res.write(`event: progress\ndata: ${JSON.stringify({ stage: 'connected', percent: 0 })}\n\n`);
+    }
+    for (const entry of missed) writeEvent(res, entry);
+    if (log?.closed) {
+        res.end();
+        return;
+    }
+
+    const keepAlive = setInterval(() => {
+        res.write('event: ping\ndata: {}\n\n');
+    }, 15000);
+    if (!log) {
+        // Connected before the request started: hold the id for this client
+        log = getLog(id);
+        log.clientId = clientId;
+    }
+    const client = { res, keepAlive, clientId };
+    if (!progressClients.has(id)) progressClients.set(id, new Set());
+    progressClients.get(id).add(client);
+
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        const clients = progressClients.get(id);
+        if (!clients) return;
+        clients.delete(client);
+        if (clients.size > 0) return;
+        progressClients.delete(id);
+        // Nobody is waiting for a request that never started
+        const current = progressLogs.get(id);
+        if (current && !current.owned && current.events.length === 0) progressLogs.delete(id);
+    });
+}
+
+module.exports = {
+    sendProgress,
+    closeProgress,
+    setProgressOwner,
+    addProgressListener,
+    handleProgressStream,
+    UPDATE_STAGES,
+    updateAverage,
+    estimateRemaining,
+};
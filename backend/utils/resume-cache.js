@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { dataPath, ensureDir, readJson, writeJsonAtomic } = require('./storage');
+
+// ── Persistent resume cache ─────────────────────────────────────────
+// Finished resumes live on disk under DATA_DIR/cache/resumes as
+// <key>.pdf + <key>.json (sources and metadata). An in-memory index keeps the
+// entries in least-recently-used order; the least recently used ones are
+// evicted whenever the total size exceeds CACHE_MAX_BYTES.
+
+const CACHE_DIR = dataPath('cache', 'resumes');
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+// Bump when the pipeline changes in a way that makes old outputs stale
+const CACHE_VERSION = 2;
+
+const index = new Map(); // key → entry summary, least recently used first
+const counters = { hits: 0, misses: 0, evictions: 0 };
+let totalBytes = 0;
+let loadPromise = null;
+
+function getMaxBytes() {
+    const value = parseInt(process.env.CACHE_MAX_BYTES || String(200 * 1024 * 1024), 10);
+    return Number.isFinite(value) && value > 0 ? value : 200 * 1024 * 1024;
+}
+
+function getTtlMs() {
+    return parseInt(process.env.CACHE_TTL_MS || '3600000', 10); // 1 hour default
+}
+
+function entryPaths(key) {
+    return {
+        pdf: path.join(CACHE_DIR, `${key}.pdf`),
+        meta: path.join(CACHE_DIR, `${key}.json`),
+    };
+}
+
+function isExpired(entry) {
+    return Date.now() - Date.parse(entry.createdAt) > getTtlMs();
+}
+
+/**
+ * Cache key over every input that affects the generated resume. Values are
+ * hashed as JSON so no separator can make two different inputs collide.
+ *
+ * @param {object} inputs - Request fields, resolved settings and model/prompt identifiers
+ * @returns {string} sha256 hex digest
+ */
+function buildCacheKey(inputs) {
+    const ordered = Object.keys(inputs).sort().map((name) => [name, inputs[name] ?? null]);
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([CACHE_VERSION, ordered]))
+        .digest('hex');
+}
+
+async function removeFiles(key) {
+    const paths = entryPaths(key);
+    await Promise.all([paths.pdf, paths.meta].map((p) => fs.rm(p, { force: true })));
+}
+
+function dropFromIndex(key) {
+    const entry = index.get(key);
+    if (!entry) return null;
+    index.delete(key);
+    totalBytes -= entry.bytes;
+    return entry;
+}
+
+async function evictToBudget() {
+    const maxBytes = getMaxBytes();
+    for (const key of index.keys()) {
+        if (totalBytes <= maxBytes) break;
+        const entry = dropFromIndex(key);
+        counters.evictions += 1;
+        console.log(`🧹 Cache evicted ${key.slice(0, 12)}… (${(entry.bytes / 1024).toFixed(1)} KB, last used ${entry.lastAccessAt})`);
+        await removeFiles(key);
+    }
+}
+
+/**
+ * Load the index from disk. Runs once; later calls return the same promise.
+ */
+function initResumeCache() {
+    if (!loadPromise) {
+        loadPromise = (async () => {
+            await ensureDir(CACHE_DIR);
+            const files = await fs.readdir(CACHE_DIR);
+            const entries = [];
+            for (const file of files) {
+                const key = file.replace(/\.json$/, '');
+                if (!file.endsWith('.json') || !KEY_PATTERN.test(key)) continue;
+                const meta = await readJson(path.join(CACHE_DIR, file));
+                if (!meta || isExpired(meta)) {
+                    await removeFiles(key);
+                    continue;
+                }
+                entries.push(meta);
+            }
+            entries.sort((a, b) => Date.parse(a.lastAccessAt) - Date.parse(b.lastAccessAt));
+            for (const meta of entries) {
+                index.set(meta.key, summarize(meta));
+                totalBytes += meta.bytes;
+            }
+            await evictToBudget();
+            console.log(`🗄️  Resume cache: ${index.size} entr${index.size === 1 ? 'y' : 'ies'}, ${(totalBytes / 1024 / 1024).toFixed(1)} MB`);
+        })();
+    }
+    return loadPromise;
+}
+
+// Index entries leave out the (large) sources
+function summarize(meta) {
+    const { latex, resume, ...rest } = meta;
+    return rest;
+}
+
+/**
+ * Look up a cached resume and mark it as recently used.
+ *
+ * @returns {Promise<{ pdfBuffer: Buffer, meta: object } | null>}
+ */
+async function getCachedResult(key) {
+    await initResumeCache();
+    const entry = index.get(key);
+    if (!entry) {
+        counters.misses += 1;
+        return null;
+    }
+    if (isExpired(entry)) {
+        dropFromIndex(key);
+        await removeFiles(key);
+        counters.misses += 1;
+        return null;
+    }
+
+    const paths = entryPaths(key);
+    let pdfBuffer;
+    let meta;
+    try {
+        [pdfBuffer, meta] = await Promise.all([fs.readFile(paths.pdf), readJson(paths.meta)]);
+    } catch (err) {
+        console.warn(`⚠️  Cache entry ${key.slice(0, 12)}… unreadable, dropping: ${err.message}`);
+    }
+    if (!pdfBuffer || !meta) {
+        dropFromIndex(key);
+        await removeFiles(key);
+        counters.misses += 1;
+        return null;
+    }
+
+    counters.hits += 1;
+    meta.lastAccessAt = new Date().toISOString();
+    meta.hits = (meta.hits || 0) + 1;
+    index.delete(key);
+    index.set(key, summarize(meta));
+    writeJsonAtomic(paths.meta, meta).catch((err) => console.warn('⚠️  Could not update cache entry:', err.message));
+    return { pdfBuffer, meta };
+}
+
+/**
+ * Store a finished resume, then evict least recently used entries until the
+ * cache fits its byte budget.
+ *
+ * @param {string} key - From buildCacheKey
+ * @param {Buffer} pdfBuffer
+ * @param {object} details - Sources and metadata to return on a hit ({ latex, resume, ... })
+ */
+async function storeResult(key, pdfBuffer, details) {
+    await initResumeCache();
+    const now = new Date().toISOString();
+    const meta = {
+        key,
+        createdAt: now,
+        lastAccessAt: now,
+        hits: 0,
+        ...details,
+    };
+    const metaBytes = Buffer.byteLength(JSON.stringify(meta, null, 2));
+    meta.bytes = pdfBuffer.length + metaBytes;
+    if (meta.bytes > getMaxBytes()) {
+        console.warn(`⚠️  Resume (${meta.bytes} bytes) exceeds CACHE_MAX_BYTES; not caching`);
+        return;
+    }
+
+    const paths = entryPaths(key);
+    await ensureDir(CACHE_DIR);
+    await fs.writeFile(paths.pdf, pdfBuffer);
+    await writeJsonAtomic(paths.meta, meta);
+
+    dropFromIndex(key);
+    index.set(key, summarize(meta));
+    totalBytes += meta.bytes;
+    await evictToBudget();
+}
+
+/**
+ * Size, limits and hit/miss counters since startup.
+ */
+async function getCacheStats() {
+    await initResumeCache();
+    const lookups = counters.hits + counters.misses;
+    return {
+        entries: index.size,
+        bytes: totalBytes,
+        maxBytes: getMaxBytes(),
+        ttlMs: getTtlMs(),
+        hits: counters.hits,
+        misses: counters.misses,
+        hitRate: lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 1000 : null,
+        evictions: counters.evictions,
+    };
+}
+
+/**
+ * Cached entries, most recently used first.
+ */
+async function listCacheEntries() {
+    await initResumeCache();
+    return [...index.values()].reverse();
+}
+
+async function deleteCacheEntry(key) {
+    await initResumeCache();
+    if (!KEY_PATTERN.test(key) || !dropFromIndex(key)) return false;
+    await removeFiles(key);
+    return true;
+}
+
+/**
+ * Remove every cached resume. Returns the number of entries removed.
+ */
+async function purgeCache() {
+    await initResumeCache();
+    const keys = [...index.keys()];
+    for (const key of keys) {
+        dropFromIndex(key);
+        await removeFiles(key);
+    }
+    return keys.length;
+}
+
+module.exports = {
+    buildCacheKey,
+    initResumeCache,
+    getCachedResult,
+    storeResult,
+    getCacheStats,
+    listCacheEntries,
+    deleteCacheEntry,
+    purgeCache,
+};
@@ -0,0 +1,182 @@
+// ── JSON resume intermediate representation ─────────────────────────
+// In "json" output mode the model returns a resume in (a subset of) the
+// JSON Resume schema (https://jsonresume.org/schema). It is validated here
+// and rendered to LaTeX by the server, so the model never writes LaTeX.
+
+const OUTPUT_FORMATS = ['latex', 'json'];
+const DEFAULT_OUTPUT_FORMAT = 'latex';
+
+// Field specs: 'string' | 'string[]' | { array: spec } | { object: spec }.
+// Fields ending in '!' are required.
+const LOCATION_SPEC = { city: 'string', region: 'string', countryCode: 'string', address: 'string', postalCode: 'string' };
+const RESUME_SCHEMA = {
+    'basics!': {
+        object: {
+            'name!': 'string',
+            label: 'string',
+            email: 'string',
+            phone: 'string',
+            url: 'string',
+            summary: 'string',
+            location: { object: LOCATION_SPEC },
+            profiles: { array: { object: { network: 'string', username: 'string', url: 'string' } } },
+        },
+    },
+    work: {
+        array: {
+            object: {
+                'name!': 'string',
+                'position!': 'string',
+                location: 'string',
+                url: 'string',
+                startDate: 'date',
+                endDate: 'date',
+                summary: 'string',
+                highlights: 'string[]',
+            },
+        },
+    },
+    education: {
+        array: {
+            object: {
+                'institution!': 'string',
+                area: 'string',
+                studyType: 'string',
+                location: 'string',
+                startDate: 'date',
+                endDate: 'date',
+                score: 'string',
+                courses: 'string[]',
+            },
+        },
+    },
+    projects: {
+        array: {
+            object: {
+                'name!': 'string',
+                description: 'string',
+                url: 'string',
+                startDate: 'date',
+                endDate: 'date',
+                highlights: 'string[]',
+                keywords: 'string[]',
+            },
+        },
+    },
+    skills: { array: { object: { 'name!': 'string', level: 'string', keywords: 'string[]' } } },
+    awards: { array: { object: { 'title!': 'string', date: 'date', awarder: 'string', summary: 'string' } } },
+    certificates: { array: { object: { 'name!': 'string', date: 'date', issuer: 'string', url: 'string' } } },
+    publications: { array: { object: { 'name!': 'string', publisher: 'string', releaseDate: 'date', url: 'string', summary: 'string' } } },
+};
+
+// JSON Resume dates are ISO 8601 prefixes: YYYY, YYYY-MM or YYYY-MM-DD
+const ISO_DATE = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01]))?)?$/;
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function validateValue(value, spec, path, errors) {
+    if (spec === 'string') {
+        if (typeof value !== 'string') errors.push(`${path} must be a string (got ${typeOf(value)})`);
+        return;
+    }
+    if (spec === 'date') {
+        if (typeof value !== 'string' || !ISO_DATE.test(value)) errors.push(`${path} must be an ISO date like "2021-06" (got ${JSON.stringify(value)})`);
+        return;
+    }
+    if (spec === 'string[]') {
+        if (!Array.isArray(value)) errors.push(`${path} must be an array of strings`);
+        else value.forEach((item, i) => validateValue(item, 'string', `${path}[${i}]`, errors));
+        return;
+    }
+    if (spec.array) {
+        if (!Array.isArray(value)) errors.push(`${path} must be an array`);
+        else value.forEach((item, i) => validateValue(item, spec.array, `${path}[${i}]`, errors));
+        return;
+    }
+    if (spec.object) {
+        if (typeOf(value) !== 'object') {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        for (const [rawKey, fieldSpec] of Object.entries(spec.object)) {
+            const required = rawKey.endsWith('!');
+            const key = required ? rawKey.slice(0, -1) : rawKey;
+            const fieldPath = path ? `${path}.${key}` : key;
+            if (value[key] === undefined || value[key] === null || value[key] === '') {
+                if (required) errors.push(`${fieldPath} is required`);
+                continue;
+            }
+            validateValue(value[key], fieldSpec, fieldPath, errors);
+        }
+    }
+}
+
+/**
+ * Validate a resume object against the supported JSON Resume subset.
+ * Unknown fields are allowed (and ignored by the renderer).
+ *
+ * @returns {string[]} validation errors; empty when valid
+ */
+function validateResumeJson(resume) {
+    const errors = [];
+    validateValue(resume, { object: RESUME_SCHEMA }, '', errors);
+    const sections = ['work', 'education', 'projects', 'skills'];
+    if (errors.length === 0 && !sections.some((s) => Array.isArray(resume[s]) && resume[s].length > 0)) {
+        errors.push(`resume must contain at least one of: ${sections.join(', ')}`);
+    }
+    return errors;
+}
+
+/**
+ * Pull a JSON resume out of a model response (tolerating code fences or
+ * surrounding prose) and validate it.
+ *
+ * @returns {{ resume: object | null, errors: string[] }}
+ */
+function parseResumeJson(content) {
+    const text = String(content || '').trim();
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    let candidate = fenced ? fenced[1] : text;
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        return { resume: null, errors: ['response does not contain a JSON object'] };
+    }
+    candidate = candidate.slice(start, end + 1);
+
+    let resume;
+    try {
+        resume = JSON.parse(candidate);
+    } catch (err) {
+        return { resume: null, errors: [`invalid JSON: ${err.message}`] };
+    }
+    const errors = validateResumeJson(resume);
+    return { resume: errors.length === 0 ? resume : null, errors };
+}
+
+/**
+ * Resolve the output format from the request, falling back to
+ * RESUME_OUTPUT_FORMAT (default "latex"). Returns { outputFormat } or { error }.
+ */
+function parseOutputFormat(value) {
+    const requested = value === undefined || value === null || value === ''
+        ? (process.env.RESUME_OUTPUT_FORMAT || DEFAULT_OUTPUT_FORMAT)
+        : value;
+    const outputFormat = String(requested).trim().toLowerCase();
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+        return { error: `outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}.` };
+    }
+    return { outputFormat };
+}
+
+module.exports = {
+    validateResumeJson,
+    parseResumeJson,
+    parseOutputFormat,
+    OUTPUT_FORMATS,
+    DEFAULT_OUTPUT_FORMAT,
+};
@@ -0,0 +1,1221 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { buildSystemPrompt } = require('../config/prompt');
+const { compileLatexWithRetry, extractLatexFromResponse } = require('./latex-compiler');
+const { LatexSecurityError } = require('./latex-security');
+const { buildUserContent, findMissingFileIds, forgetFileIds, FILES_API_BETA } = require('./files-api');
+const { getProfileFileRef } = require('./profiles');
+const { callLLM, getStageConfig, getStageConfigError, LLMProviderError } = require('./llm-providers');
+const { sendProgress, closeProgress, setProgressOwner, updateAverage, estimateRemaining } = require('./progress');
+const { createStreamProgress } = require('./stream-progress');
+const { parsePageLimit, describePageLimit } = require('./page-limit');
+const { tuneLayoutToFit } = require('./layout-tuner');
+const { measureLastPageFill } = require('./pdf-layout');
+const { checkFabrication, parseFabricationPolicy, formatWarnings } = require('./fabrication-guard');
+const { analyzeAtsParseability } = require('./ats-check');
+const { parseResumeJson, parseOutputFormat } = require('./resume-json');
+const { renderResumeLatex } = require('./latex-renderer');
+const { parseTemplate } = require('../config/templates');
+const { buildCacheKey, getCachedResult, storeResult } = require('./resume-cache');
+const { recordLlmCall, recordLlmEvent, recordResume, setRequestClient, getRequestClient, clearRequestClient } = require('./cost-ledger');
+const { estimateCallCost, checkBudget } = require('./budget');
+const { registerRequest, unregisterRequest, getCancelSignal, isCancelled, checkCancelled, CancelledError } = require('./cancellation');
+
+/**
+ * Error raised for expected generation failures (bad input, provider errors,
+ * timeouts). Carries the HTTP status the API should answer with and any
+ * extra fields to include in the JSON error body.
+ */
+class GenerationError extends Error {
+    constructor(message, status = 500, details = {}) {
+        super(message);
+        this.name = 'GenerationError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// How the model hands over the resume in each output format. In "latex" mode
+// it writes and edits LaTeX directly; in "json" mode it writes and edits a
+// JSON resume and the server renders the LaTeX with the selected template.
+const OUTPUT_ADAPTERS = {
+    latex: {
+        editorRole: 'LaTeX resume editor',
+        sourceLabel: 'LaTeX',
+        outputRule: 'Output ONLY LaTeX (no markdown, no commentary).',
+        source: (doc) => doc.latex,
+        parse(content, step) {
+            const latex = extractLatexFromResponse(content) || content?.trim();
+            if (!latex || !latex.includes('\\begin{document}')) {
+                throw new Error(`${step} did not return valid LaTeX.`);
+            }
+            return { latex, resume: null };
+        },
+    },
+    json: {
+        editorRole: 'resume editor working on a JSON Resume document',
+        sourceLabel: 'JSON resume',
+        outputRule: 'Output ONLY the complete JSON resume using the same schema (no markdown, no commentary). Use **double asterisks** for highlighted terms.',
+        source: (doc) => JSON.stringify(doc.resume, null, 2),
+        parse(content, step, template) {
+            const { resume, errors } = parseResumeJson(content);
+            if (!resume) {
+                throw new Error(`${step} did not return a valid JSON resume: ${errors.slice(0, 3).join('; ')}`);
+            }
+            return { latex: renderResumeLatex(resume, { template }), resume };
+        },
+    },
+};
+
+/**
+ * Output adapter for one request: the format's prompt wording and parser,
+ * bound to the template used for rendering and the compile guard.
+ */
+function createOutputAdapter(outputFormat, template) {
+    const format = OUTPUT_ADAPTERS[outputFormat];
+    return {
+        ...format,
+        template,
+        parse: (content, step) => format.parse(content, step, template),
+    };
+}
+
+// Short system message used when the full prompt travels as a Files API document
+const FILE_PROMPT_REINFORCEMENT = {
+    latex: 'You are a LaTeX resume generator. Follow the instructions in the attached document exactly. Output ONLY valid LaTeX code — no markdown, no commentary, no explanations, no XML tags. Start with \\documentclass and end with \\end{document}.',
+    json: 'You are a resume generator. Follow the instructions in the attached document exactly, including the OUTPUT FORMAT OVERRIDE. Output ONLY one JSON Resume object — no markdown, no commentary, no LaTeX.',
+};
+
+// ── Resume cache ────────────────────────────────────────────────────
+/**
+ * Cache key for a request: everything that shapes the output, including the
+ * rendered system prompt, the template preamble, the models and the pipeline
+ * switches read from the environment.
+ */
+function getCacheKey({ jobDescription, masterResume, pageLimit, fabricationPolicy, outputFormat, template, systemPrompt, generationStage, refinementStage }) {
+    const sha = (text) => crypto.createHash('sha256').update(text).digest('hex');
+    return buildCacheKey({
+        jobDescription: jobDescription.trim(),
+        masterResume: masterResume.trim(),
+        pageLimit,
+        fabricationPolicy,
+        outputFormat,
+        template: template.id,
+        preamble: sha(template.preamble),
+        systemPrompt: sha(systemPrompt),
+        generation: `${generationStage.provider.name}:${generationStage.model}`,
+        refinement: `${refinementStage.provider.name}:${refinementStage.model}`,
+        layoutTuner: isLayoutTunerEnabled() && (process.env.LAYOUT_TUNER_MAX_STEPS || 'default'),
+        contentExpansion: (process.env.CONTENT_EXPANSION || 'true').toLowerCase() !== 'false' && getUnderfillThreshold(),
+        atsCheck: (process.env.ATS_CHECK || 'true').toLowerCase() !== 'false',
+    });
+}
+
+// ── Cost tracking ───────────────────────────────────────────────────
+/**
+ * Format a cost breakdown into a readable log string.
+ */
+function formatCostLog(label, cost, model, durationMs) {
+    const lines = [
+        `┌─── ${label} ───`,
+        `│ Model:           ${model}`,
+        `│ Duration:        ${(durationMs / 1000).toFixed(1)}s`,
+        `│ Input tokens:    ${cost.inputTokens.toLocaleString()}${cost.cacheReadTokens > 0 ? ` (+ ${cost.cacheReadTokens.toLocaleString()} cached)` : ''}`,
+        `│ Output tokens:   ${cost.outputTokens.toLocaleString()}`,
+    ];
+    if (cost.cacheCreationTokens > 0) {
+        lines.push(`│ Cache written:   ${cost.cacheCreationTokens.toLocaleString()} tokens`);
+    }
+    if (cost.cacheReadTokens > 0) {
+        lines.push(`│ Cache read:      ${cost.cacheReadTokens.toLocaleString()} tokens (💰 saved!)`);
+    }
+    lines.push(
+        `│ Cost breakdown:  input $${cost.inputCost.toFixed(5)} + output $${cost.outputCost.toFixed(5)}` +
+            (cost.cacheWriteCost > 0 ? ` + cache-write $${cost.cacheWriteCost.toFixed(5)}` : '') +
+            (cost.cacheReadCost > 0 ? ` + cache-read $${cost.cacheReadCost.toFixed(5)}` : ''),
+        `│ 💰 Call cost:    $${cost.totalCost.toFixed(5)}`,
+        `└${'─'.repeat(40)}`,
+    );
+    return lines.join('\n');
+}
+
+/**
+ * Token usage and cost of one LLM call, for response metadata. The call is
+ * also appended to the cost ledger.
+ */
+function describeLlmCall(step, result, requestId) {
+    const call = toLedgerCall(step, result);
+    recordLlmCall(requestId, call);
+    return call;
+}
+
+function toLedgerCall(step, result) {
+    return {
+        step,
+        provider: result.provider,
+        model: result.model,
+        inputTokens: result.cost.inputTokens,
+        outputTokens: result.cost.outputTokens,
+        cacheReadTokens: result.cost.cacheReadTokens,
+        cacheCreationTokens: result.cost.cacheCreationTokens,
+        cost: result.cost.totalCost,
+        durationMs: result.durationMs,
+        attempts: result.attempts ?? 1,
+        fallbackFrom: result.fallbackFrom ?? null,
+    };
+}
+
+/**
+ * Totals across a request's LLM calls.
+ */
+function summarizeUsage(calls) {
+    const sum = (key) => calls.reduce((total, call) => total + (call[key] || 0), 0);
+    return {
+        inputTokens: sum('inputTokens'),
+        outputTokens: sum('outputTokens'),
+        cacheReadTokens: sum('cacheReadTokens'),
+        cacheCreationTokens: sum('cacheCreationTokens'),
+        calls,
+    };
+}
+
+/**
+ * Refuse an LLM call whose worst-case cost would push spend past a
+ * configured cap (see budget.js). Throws GenerationError 402/429.
+ */
+async function ensureWithinBudget(stageConfig, request, requestId) {
+    const estimatedCost = estimateCallCost(stageConfig, request);
+    const exceeded = await checkBudget({ clientId: getRequestClient(requestId), estimatedCost });
+    if (exceeded) {
+        console.warn(`💸 ${exceeded.message}`);
+        throw new GenerationError(exceeded.message, exceeded.status, exceeded.details);
+    }
+}
+
+/**
+ * callLLM onEvent handler: reports retries and model fallbacks as progress
+ * events and ledger entries, and checks the budget for the fallback model
+ * before switching to it. The tokens of an attempt that failed partway are
+ * recorded as a partial LLM call, so they count towards spend.
+ */
+function trackLlmEvents(step, request, requestId) {
+    return async (event) => {
+        if (event.type === 'partial') {
+            recordLlmCall(requestId, { ...toLedgerCall(step, event), partial: true, error: event.error });
+            return;
+        }
+        const { stageConfig, ...details } = event;
+        recordLlmEvent(requestId, { step, ...details });
+        if (event.type === 'fallback') {
+            await ensureWithinBudget(stageConfig, request, requestId);
+            sendProgress(requestId, {
+                stage: 'llm_fallback',
+                message: `AI model unavailable, switching to ${event.to}...`,
+            });
+        } else {
+            sendProgress(requestId, {
+                stage: 'llm_retry',
+                message: `AI model busy${event.status ? ` (HTTP ${event.status})` : ''}, retrying in ${Math.ceil(event.delayMs / 1000)}s (${event.retry}/${event.maxRetries})...`,
+            });
+        }
+    };
+}
+
+// Per attempt: a retry or the fallback model gets the full time again
+function getLlmTimeoutMs() {
+    return parseInt(process.env.LLM_TIMEOUT_MS || process.env.ANTHROPIC_TIMEOUT_MS || '120000', 10);
+}
+
+// callLLM options for a pipeline step: ledger/progress events, cancellation and the attempt timeout
+function llmOptions(step, request, requestId) {
+    return {
+        ...request,
+        onEvent: trackLlmEvents(step, request, requestId),
+        signal: getCancelSignal(requestId),
+        timeoutMs: getLlmTimeoutMs(),
+    };
+}
+
+// Session-level cumulative stats
+const sessionStats = {
+    totalResumes: 0,
+    totalCost: 0,
+    totalInputTokens: 0,
+    totalOutputTokens: 0,
+    totalCacheReadTokens: 0,
+    totalCacheWriteTokens: 0,
+    cacheHits: 0,
+    refinements: 0,
+    startedAt: Date.now(),
+};
+
+function printSessionStats() {
+    const uptime = Math.round((Date.now() - sessionStats.startedAt) / 1000);
+    const lines = [
+        '',
+        '╔══════════════════════════════════════════╗',
+        '║        📊 SESSION CUMULATIVE STATS       ║',
+        '╠══════════════════════════════════════════╣',
+        `║ Resumes generated:  ${String(sessionStats.totalResumes).padStart(18)} ║`,
+        `║ Cache hits:         ${String(sessionStats.cacheHits).padStart(18)} ║`,
+        `║ Refinements needed: ${String(sessionStats.refinements).padStart(18)} ║`,
+        `║ Total input tokens: ${String(sessionStats.totalInputTokens.toLocaleString()).padStart(18)} ║`,
+        `║ Total output tokens:${String(sessionStats.totalOutputTokens.toLocaleString()).padStart(18)} ║`,
+        `║ Cache read tokens:  ${String(sessionStats.totalCacheReadTokens.toLocaleString()).padStart(18)} ║`,
+        `║ Cache write tokens: ${String(sessionStats.totalCacheWriteTokens.toLocaleString()).padStart(18)} ║`,
+        `║ Total cost:        $${sessionStats.totalCost.toFixed(5).padStart(17)} ║`,
+        `║ Avg cost/resume:   $${(sessionStats.totalResumes > 0 ? sessionStats.totalCost / sessionStats.totalResumes : 0).toFixed(5).padStart(17)} ║`,
+        `║ Uptime:            ${String(uptime + 's').padStart(18)} ║`,
+        '╚══════════════════════════════════════════╝',
+        '',
+    ];
+    console.log(lines.join('\n'));
+}
+// ────────────────────────────────────────────────────────────────────
+
+/**
+ * Validate generation input. Returns an error message, or null when valid.
+ */
+function validateGenerationInput({ jobDescription, masterResume, pageLimit, fabricationPolicy, outputFormat, template } = {}) {
+    if (!jobDescription || jobDescription.trim().length < 50) {
+        return 'Job description is too short or missing.';
+    }
+    if (!masterResume || masterResume.trim().length < 100) {
+        return 'Master resume is missing or too short.';
+    }
+    const pageLimitResult = parsePageLimit(pageLimit);
+    if (pageLimitResult.error) {
+        return pageLimitResult.error;
+    }
+    const policyResult = parseFabricationPolicy(fabricationPolicy);
+    if (policyResult.error) {
+        return policyResult.error;
+    }
+    const formatResult = parseOutputFormat(outputFormat);
+    if (formatResult.error) {
+        return formatResult.error;
+    }
+    const templateResult = parseTemplate(template);
+    if (templateResult.error) {
+        return templateResult.error;
+    }
+    return null;
+}
+
+/**
+ * Run the full generation pipeline: LLM call → LaTeX extraction → compile
+ * with page guard. Progress is reported through sendProgress(requestId).
+ *
+ * Resolves with { pdfBuffer, latex, resume, outputFormat, template, pageCount, fromCache, cost, usage,
+ * fixesApplied, refined, layoutAdjustments, expanded, lastPageFill, fabricationWarnings, atsReport,
+ * durationMs, profile }, or with { compilationFailed: true, latex, error, fabricationWarnings, cost, usage,
+ * profile } when only the source could be produced. Rejects with GenerationError for expected failures.
+ *
+ * input.profile ({ owner, id, version }, from resolveProfileInput) marks the
+ * master resume as a stored profile version.
+ */
+async function generateResume(input, { requestId = null, clientId = null } = {}) {
+    setRequestClient(requestId, clientId);
+    setProgressOwner(requestId, clientId);
+    registerRequest(requestId);
+    try {
+        const result = await runGeneration(input, requestId);
+        return { ...result, profile: input.profile ? { id: input.profile.id, version: input.profile.version } : null };
+    } catch (error) {
+        // Whatever a cancelled request fails with (aborted fetch, killed compiler), report the cancellation
+        if (isCancelled(requestId)) {
+            console.log(`🛑 Generation ${requestId} cancelled`);
+            recordResume(requestId, { outcome: 'cancelled' });
+            sendProgress(requestId, {
+                stage: 'cancelled',
+                percent: 100,
+                message: 'Generation cancelled',
+                etaSeconds: 0,
+            });
+            closeProgress(requestId);
+            throw new GenerationError('Generation cancelled.', 499, { cancelled: true });
+        }
+        if (error.status !== 400) {
+            recordResume(requestId, { outcome: 'failed', status: error.status || 500, error: error.message });
+        }
+        sendProgress(requestId, {
+            stage: 'error',
+            percent: 100,
+            message: error.message || 'Internal server error',
+        });
+        closeProgress(requestId);
+        throw error;
+    } finally {
+        unregisterRequest(requestId);
+        clearRequestClient(requestId);
+    }
+}
+
+async function runGeneration({
+    jobDescription,
+    masterResume,
+    pageLimit: requestedPageLimit,
+    fabricationPolicy: requestedPolicy,
+    outputFormat: requestedFormat,
+    template: requestedTemplate,
+    profile = null,
+} = {}, requestId) {
+    console.log('📝 Job description length:', jobDescription?.length || 0);
+    console.log('📄 Master resume length:', masterResume?.length || 0);
+    const startedAt = Date.now();
+    sendProgress(requestId, {
+        stage: 'received',
+        percent: 5,
+        message: 'Request received',
+        etaSeconds: estimateRemaining(['llm', 'compile']),
+    });
+
+    // Validation
+    const validationError = validateGenerationInput({
+        jobDescription,
+        masterResume,
+        pageLimit: requestedPageLimit,
+        fabricationPolicy: requestedPolicy,
+        outputFormat: requestedFormat,
+        template: requestedTemplate,
+    });
+    if (validationError) {
+        throw new GenerationError(validationError, 400);
+    }
+    const { pageLimit } = parsePageLimit(requestedPageLimit);
+    const { policy: fabricationPolicy } = parseFabricationPolicy(requestedPolicy);
+    const { outputFormat } = parseOutputFormat(requestedFormat);
+    const { template } = parseTemplate(requestedTemplate);
+    const adapter = createOutputAdapter(outputFormat, template);
+    console.log(`📏 Page budget: ${describePageLimit(pageLimit)} | fabrication policy: ${fabricationPolicy} | output: ${outputFormat} | template: ${template.id}`);
+
+    const generationStage = getStageConfig('generation');
+    const refinementStage = getStageConfig('refinement');
+    const systemPrompt = buildSystemPrompt({ pageLimit, outputFormat, template });
+
+    // Check cache before calling API
+    const cacheKey = getCacheKey({
+        jobDescription,
+        masterResume,
+        pageLimit,
+        fabricationPolicy,
+        outputFormat,
+        template,
+        systemPrompt,
+        generationStage,
+        refinementStage,
+    });
+    const cached = await getCachedResult(cacheKey).catch((err) => {
+        console.warn('⚠️  Resume cache lookup failed:', err.message);
+        return null;
+    });
+    if (cached) {
+        const { pdfBuffer: cachedPdf, meta } = cached;
+        const cacheElapsed = Date.now() - startedAt;
+        sessionStats.cacheHits += 1;
+        sessionStats.totalResumes += 1;
+        console.log(`✅ Cache HIT — returning cached resume (${cachedPdf.length} bytes, ${cacheElapsed}ms)`);
+        console.log(`   💰 Cost: $0.00000 (served from cache)`);
+        printSessionStats();
+        recordResume(requestId, { outcome: 'succeeded', fromCache: true, cost: 0, template: template.id, outputFormat, pageCount: meta.pageCount, durationMs: cacheElapsed });
+        sendProgress(requestId, {
+            stage: 'done',
+            percent: 100,
+            message: 'Resume ready (from cache)',
+            etaSeconds: 0,
+        });
+        closeProgress(requestId);
+        return {
+            pdfBuffer: cachedPdf,
+            latex: meta.latex,
+            resume: meta.resume,
+            outputFormat,
+            template: template.id,
+            pageCount: meta.pageCount,
+            pageLimit,
+            engine: meta.engine ?? null,
+            fromCache: true,
+            cost: 0,
+            usage: summarizeUsage([]),
+            fixesApplied: meta.fixesApplied,
+            refined: meta.refined,
+            layoutAdjustments: meta.layoutAdjustments,
+            expanded: meta.expanded,
+            lastPageFill: meta.lastPageFill,
+            fabricationWarnings: meta.fabricationWarnings,
+            atsReport: meta.atsReport,
+            durationMs: Date.now() - startedAt,
+        };
+    }
+
+    const configError = getStageConfigError(generationStage) || getStageConfigError(refinementStage);
+    if (configError) {
+        console.error(`❌ ${configError}`);
+        throw new GenerationError(configError.replace(/\.$/, ' on server.'), 500);
+    }
+    console.log('✅ API key found');
+
+    const generationModel = generationStage.model;
+    const providerLabel = generationStage.provider.label;
+    console.log(`🤖 Calling ${providerLabel} API (model: ${generationModel})...`);
+    sendProgress(requestId, {
+        stage: 'llm_start',
+        percent: 15,
+        message: 'Calling AI model...',
+        etaSeconds: estimateRemaining(['llm', 'compile']),
+    });
+
+    // The Files API variant sends the same text, so estimate from the raw inputs
+    const budgetRequest = {
+        system: systemPrompt,
+        messages: [{ role: 'user', content: `${jobDescription}\n${masterResume}` }],
+        maxTokens: 4096,
+    };
+    await ensureWithinBudget(generationStage, budgetRequest, requestId);
+
+    // Build user content (uses Files API for master resume when the provider supports it,
+    // and the fallback model too, since file_id blocks can't be sent elsewhere).
+    // Profile versions are uploaded once per version; other resumes are keyed by hash.
+    const fileOptions = {
+        resumeFile: profile ? getProfileFileRef(profile) : null,
+        promptGroup: `${outputFormat}/${template.id}/${pageLimit ?? 'none'}`,
+    };
+    const filesApiSupported = [generationStage, generationStage.fallback]
+        .every((target) => !target || target.provider.supportsFilesApi);
+    const buildContent = () => (filesApiSupported
+        ? buildUserContent(jobDescription, masterResume, generationStage.apiKey, systemPrompt, fileOptions)
+        : buildUserContent(jobDescription, masterResume, null, null));
+    let { content: userContent, usedFilesApi, systemPromptInUserMessage, fileIds } = await buildContent();
+    if (usedFilesApi) {
+        console.log('📁 Using Files API for master resume and system prompt');
+    }
+
+    const requestStart = Date.now();
+    const timeoutMs = getLlmTimeoutMs();
+    const progressId = setInterval(() => {
+        const elapsed = Math.round((Date.now() - requestStart) / 1000);
+        console.log(`⏳ Waiting for ${providerLabel} response... ${elapsed}s`);
+    }, 5000);
+
+    // Streamed output moves the bar between llm_start and llm_done
+    const streamProgress = createStreamProgress(requestId, { outputFormat, fromPercent: 15, toPercent: 60 });
+
+    let llmResult;
+    try {
+        // When Files API is used, the system prompt is included as a document
+        // in the user message, so only a lightweight reinforcement goes in
+        // the system parameter. Otherwise use the full inline prompt with
+        // ephemeral caching (ignored by providers without prompt caching).
+        const generate = () => callLLM(generationStage, {
+            system: systemPromptInUserMessage
+                ? FILE_PROMPT_REINFORCEMENT[outputFormat]
+                : systemPrompt,
+            messages: [
+                { role: 'user', content: userContent },
+            ],
+            maxTokens: 4096,
+            cacheSystem: true,
+            betas: usedFilesApi ? [FILES_API_BETA] : [],
+            signal: getCancelSignal(requestId),
+            timeoutMs,
+            onEvent: trackLlmEvents('generation', budgetRequest, requestId),
+            onText: streamProgress.onText,
+        });
+        try {
+            llmResult = await generate();
+        } catch (err) {
+            // A cached file_id deleted upstream: forget it, upload again and retry once
+            const missingIds = findMissingFileIds(err, fileIds);
+            if (missingIds.length === 0) throw err;
+            console.warn(`⚠️  Files API file(s) ${missingIds.join(', ')} no longer exist; re-uploading`);
+            await forgetFileIds(missingIds);
+            ({ content: userContent, usedFilesApi, systemPromptInUserMessage, fileIds } = await buildContent());
+            llmResult = await generate();
+        }
+        const elapsed = Math.round((Date.now() - requestStart) / 1000);
+        console.log(`✅ ${providerLabel} responded in ${elapsed}s`);
+        updateAverage('llm', elapsed);
+        streamProgress.finish(llmResult.usage?.outputTokens);
+        sendProgress(requestId, {
+            stage: 'llm_done',
+            percent: 60,
+            message: 'AI response received',
+            etaSeconds: estimateRemaining(['compile']),
+        });
+    } catch (err) {
+        if (err && err.name === 'AbortError' && isCancelled(requestId)) {
+            throw new CancelledError();
+        }
+        if (err && err.name === 'TimeoutError') {
+            throw new GenerationError(`${providerLabel} API timed out after ${Math.round(timeoutMs / 1000)}s.`, 504);
+        }
+        if (err instanceof LLMProviderError) {
+            console.error(`❌ ${providerLabel} API error:`, err.status);
+            console.error('Error body:', err.body);
+            throw new GenerationError(err.message, 500);
+        }
+        throw err;
+    } finally {
+        clearInterval(progressId);
+    }
+
+    // ── Verbose LLM cost logging ──
+    let requestCost = 0;
+    const genCost = llmResult.cost;
+    requestCost += genCost.totalCost;
+    const llmCalls = [describeLlmCall('generation', llmResult, requestId)];
+    console.log(formatCostLog('🤖 Generation LLM Call', genCost, `${llmResult.provider}/${llmResult.model}`, llmResult.durationMs));
+
+    const content = llmResult.text;
+    console.log(`📝 Response: ${content?.length || 0} chars | stop_reason: ${llmResult.stopReason || 'unknown'}`);
+    let latex;
+    let resume = null;
+    if (outputFormat === 'json') {
+        const parsed = await parseGeneratedResumeJson(content, generationStage, template, requestId);
+        requestCost += parsed.cost;
+        if (parsed.call) llmCalls.push(parsed.call);
+        ({ latex, resume } = parsed);
+    } else {
+        latex = extractLatexFromResponse(content);
+        console.log(`📄 LaTeX extracted: ${latex ? 'Yes' : 'No'}`);
+
+        if (!latex) {
+            throw new GenerationError('LLM did not return valid LaTeX.', 500, {
+                rawContent: content ? content.substring(0, 500) : '',
+            });
+        }
+    }
+
+    // Verify every employer, title, date, metric and technology against the master resume
+    let fabrication = checkFabrication(latex, masterResume);
+    if (fabrication.warnings.length > 0) {
+        console.warn(`🕵️  Fabrication guard: ${fabrication.warnings.length} unsupported claim(s)\n${formatWarnings(fabrication.warnings)}`);
+        if (fabricationPolicy === 'block') {
+            throw new GenerationError('Generated resume contains claims not found in the master resume.', 422, {
+                fabricationWarnings: fabrication.warnings,
+            });
+        }
+        if (fabricationPolicy === 'regenerate') {
+            sendProgress(requestId, {
+                stage: 'fabrication_fix',
+                percent: 62,
+                message: `Removing ${fabrication.warnings.length} unsupported claim(s)...`,
+                etaSeconds: estimateRemaining(['refine', 'compile']),
+            });
+            const fixResult = await removeUnsupportedClaims({ latex, resume }, adapter, masterResume, fabrication.warnings, generationStage, requestId);
+            requestCost += fixResult.cost;
+            llmCalls.push(fixResult.call);
+            ({ latex, resume } = fixResult);
+            fabrication = checkFabrication(latex, masterResume);
+            console.log(`🕵️  After correction: ${fabrication.warnings.length} unsupported claim(s) remain`);
+        }
+    } else {
+        console.log('🕵️  Fabrication guard: all claims found in master resume');
+    }
+
+    // Compile LaTeX to PDF with page guard
+    checkCancelled(requestId);
+    console.log('🔨 Compiling LaTeX to PDF...');
+    sendProgress(requestId, {
+        stage: 'compile_start',
+        percent: 75,
+        message: 'Compiling LaTeX to PDF...',
+        etaSeconds: estimateRemaining(['compile']),
+    });
+    let guardResult;
+    try {
+        guardResult = await compileWithPageGuard({ latex, resume }, adapter, refinementStage, requestId, pageLimit);
+    } catch (compilationError) {
+        // Spend caps hit before refinement are reported as such, not as a compile failure
+        if (compilationError instanceof GenerationError || isCancelled(requestId)) throw compilationError;
+        // A document that tries to read files or escape to the shell is not returned for download
+        if (compilationError instanceof LatexSecurityError) {
+            console.warn(`🛡️  ${compilationError.message}`);
+            throw new GenerationError(compilationError.message, 422, { violations: compilationError.violations });
+        }
+        // If compilation fails, return LaTeX source
+        console.warn('⚠️  LaTeX compilation failed:', compilationError.message);
+        sendProgress(requestId, {
+            stage: 'error',
+            percent: 100,
+            message: 'LaTeX compilation failed. Returning source code.',
+        });
+        closeProgress(requestId);
+        recordResume(requestId, { outcome: 'compilation_failed', fromCache: false, cost: requestCost, template: template.id, outputFormat, durationMs: Date.now() - startedAt });
+        return {
+            compilationFailed: true,
+            latex,
+            resume,
+            outputFormat,
+            template: template.id,
+            error: 'LaTeX compilation failed. Returning source code.',
+            fabricationWarnings: fabrication.warnings,
+            cost: requestCost,
+            usage: summarizeUsage(llmCalls),
+            durationMs: Date.now() - startedAt,
+        };
+    }
+
+    const { refineCost, layoutAdjustments } = guardResult;
+    llmCalls.push(...guardResult.llmCalls);
+    if (refineCost) {
+        requestCost += refineCost;
+        sessionStats.refinements += 1;
+    }
+
+    // Pull more relevant content from the master resume if the last page is short
+    const fillResult = await expandUnderfilledResume(guardResult, adapter, {
+        jobDescription,
+        masterResume,
+        refinementStage,
+        requestId,
+        pageLimit,
+    });
+    const { pdfBuffer, finalLatex, finalResume, pageCount, engine, lastPageFill, expandCost } = fillResult;
+    if (expandCost) {
+        requestCost += expandCost;
+    }
+    llmCalls.push(...fillResult.llmCalls);
+    const fixesApplied = [...new Set([...guardResult.fixesApplied, ...fillResult.fixesApplied])];
+    // Refinement and expansion rewrite content too, so report on the final text
+    const { warnings: fabricationWarnings } = checkFabrication(finalLatex, masterResume);
+    const atsReport = await runAtsCheck(pdfBuffer, finalLatex, jobDescription);
+    checkCancelled(requestId);
+    console.log(`✅ PDF compiled successfully (${pageCount} pages), size: ${pdfBuffer.length} bytes`);
+
+    // Save a copy to backend/output
+    const outputDir = path.join(__dirname, '..', 'output');
+    await fs.mkdir(outputDir, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const outputPath = path.join(outputDir, `resume-${timestamp}.pdf`);
+    await fs.writeFile(outputPath, pdfBuffer);
+    console.log('💾 Saved PDF to:', outputPath);
+
+    // Cache the result for future identical requests. Results from a fallback
+    // model are not cached: the key names the primary models.
+    if (llmCalls.some((call) => call.fallbackFrom)) {
+        console.log('🗄️  Not caching: produced with a fallback model');
+    } else {
+        try {
+            await storeResult(cacheKey, pdfBuffer, {
+                latex: finalLatex,
+                resume: finalResume,
+                outputFormat,
+                template: template.id,
+                pageCount,
+                pageLimit,
+                engine,
+                originalCost: requestCost,
+                fixesApplied,
+                refined: !!refineCost,
+                layoutAdjustments,
+                expanded: fillResult.expanded,
+                lastPageFill,
+                fabricationWarnings,
+                atsReport,
+            });
+        } catch (err) {
+            console.warn('⚠️  Could not cache resume:', err.message);
+        }
+    }
+
+    const totalElapsed = Math.round((Date.now() - startedAt) / 1000);
+
+    // ── Final per-request cost summary ──
+    sessionStats.totalResumes += 1;
+    sessionStats.totalCost += requestCost;
+    sessionStats.totalInputTokens += genCost.totalInputTokens;
+    sessionStats.totalOutputTokens += genCost.outputTokens;
+    sessionStats.totalCacheReadTokens += genCost.cacheReadTokens;
+    sessionStats.totalCacheWriteTokens += genCost.cacheCreationTokens;
+
+    const summaryLines = [
+        '',
+        '┏━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━┓',
+        '┃     📋 RESUME GENERATION COMPLETE           ┃',
+        '┣━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━┫',
+        `┃ Total time:        ${String(totalElapsed + 's').padStart(21)} ┃`,
+        `┃ Pages:             ${String(pageCount).padStart(21)} ┃`,
+        `┃ PDF size:          ${String((pdfBuffer.length / 1024).toFixed(1) + ' KB').padStart(21)} ┃`,
+        `┃ LaTeX engine:      ${String(engine || 'unknown').padStart(21)} ┃`,
+        `┃ Provider:          ${String(llmResult.provider).padStart(21)} ┃`,
+        `┃ Model:             ${String(llmResult.model.replace('claude-', '')).padStart(21)} ┃`,
+        `┃ Files API:         ${String(usedFilesApi ? 'Yes' : 'No').padStart(21)} ┃`,
+        `┃ Prompt via file:   ${String(systemPromptInUserMessage && usedFilesApi ? 'Yes' : 'No (inline)').padStart(21)} ┃`,
+        `┃ Prompt cached:     ${String(genCost.cacheReadTokens > 0 ? 'Yes ✓' : 'No (cold)').padStart(21)} ┃`,
+        `┃ Layout tuned:      ${String(layoutAdjustments.length > 0 ? `Yes (${layoutAdjustments.length})` : 'No').padStart(21)} ┃`,
+        `┃ Refinement needed: ${String(refineCost ? 'Yes' : 'No').padStart(21)} ┃`,
+        `┃ Content expanded:  ${String(fillResult.expanded ? 'Yes' : 'No').padStart(21)} ┃`,
+        `┃ Unsupported claims:${String(fabricationWarnings.length).padStart(21)} ┃`,
+        `┃ ATS checks passed: ${String(atsReport ? `${Math.round(atsReport.score * 100)}%` : 'n/a').padStart(21)} ┃`,
+        `┃ Last page fill:    ${String(lastPageFill == null ? 'n/a' : `${Math.round(lastPageFill * 100)}%`).padStart(21)} ┃`,
+        `┃ Gen input tokens:  ${String(genCost.totalInputTokens.toLocaleString()).padStart(21)} ┃`,
+        `┃ Gen output tokens: ${String(genCost.outputTokens.toLocaleString()).padStart(21)} ┃`,
+        `┃ Generation cost:   ${String('$' + genCost.totalCost.toFixed(5)).padStart(21)} ┃`,
+        refineCost ? `┃ Refinement cost:   ${String('$' + refineCost.toFixed(5)).padStart(21)} ┃` : null,
+        expandCost ? `┃ Expansion cost:    ${String('$' + expandCost.toFixed(5)).padStart(21)} ┃` : null,
+        `┃─────────────────────────────────────────────┃`,
+        `┃ 💰 TOTAL COST:     ${String('$' + requestCost.toFixed(5)).padStart(21)} ┃`,
+        '┗━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━┛',
+    ].filter(Boolean);
+    console.log(summaryLines.join('\n'));
+    printSessionStats();
+    recordResume(requestId, {
+        outcome: 'succeeded',
+        fromCache: false,
+        cost: requestCost,
+        refined: !!refineCost,
+        expanded: fillResult.expanded,
+        template: template.id,
+        outputFormat,
+        pageCount,
+        engine,
+        durationMs: Date.now() - startedAt,
+    });
+
+    sendProgress(requestId, {
+        stage: 'done',
+        percent: 100,
+        message: `Resume ready (took ${totalElapsed}s)`,
+        etaSeconds: 0,
+    });
+    closeProgress(requestId);
+
+    return {
+        pdfBuffer,
+        latex: finalLatex,
+        resume: finalResume,
+        outputFormat,
+        template: template.id,
+        pageCount,
+        pageLimit,
+        engine,
+        fromCache: false,
+        cost: requestCost,
+        usage: summarizeUsage(llmCalls),
+        fixesApplied,
+        refined: !!refineCost,
+        layoutAdjustments,
+        expanded: fillResult.expanded,
+        lastPageFill,
+        fabricationWarnings,
+        atsReport,
+        durationMs: Date.now() - startedAt,
+    };
+}
+
+/**
+ * Compile LaTeX (with auto-fix retries and the template guard) and count the
+ * resulting pages. Cancelling the request kills the compiler. While the
+ * compile pool is busy, the queue position is reported as progress.
+ */
+async function compileAndCount(latex, template, requestId) {
+    const onQueue = ({ ahead, concurrency }) => {
+        sendProgress(requestId, {
+            stage: 'compile_queued',
+            message: ahead > 0 ? `Waiting for compiler (${ahead} ahead)...` : 'Waiting for a free compiler...',
+            etaSeconds: Math.round(estimateRemaining(['compile']) * ((ahead + 1) / concurrency + 1)),
+            compilersAhead: ahead,
+        });
+    };
+    const compileResult = await compileLatexWithRetry(latex, undefined, { template, signal: getCancelSignal(requestId), onQueue });
+    if (compileResult.fixesApplied.length > 0) {
+        console.log(`  🔧 Fixes applied during compilation: ${compileResult.fixesApplied.join(', ')}`);
+    }
+    return {
+        pdfBuffer: compileResult.pdfBuffer,
+        latex: compileResult.latex,
+        pageCount: compileResult.pageCount,
+        fixesApplied: compileResult.fixesApplied,
+        engine: compileResult.engine,
+    };
+}
+
+function isLayoutTunerEnabled() {
+    return (process.env.LAYOUT_TUNER || 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * Compile, and while the PDF exceeds pageLimit, first try the deterministic
+ * layout tuner, then compress via the refinement model and recompile.
+ * A null pageLimit compiles once with no page check.
+ */
+async function compileWithPageGuard(initialDoc, adapter, refinementStage, requestId, pageLimit) {
+    let { latex, resume } = initialDoc;
+    const maxAttempts = pageLimit == null ? 1 : 2;
+    const budget = describePageLimit(pageLimit);
+    let refineCost = null;
+    const llmCalls = [];
+    const fixesApplied = [];
+    const compile = async (candidate) => {
+        const compiled = await compileAndCount(candidate, adapter.template, requestId);
+        fixesApplied.push(...compiled.fixesApplied);
+        return compiled;
+    };
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+        sendProgress(requestId, {
+            stage: 'compile_pass',
+            percent: 75,
+            message: `Compiling PDF (pass ${attempt}/${maxAttempts})...`,
+            etaSeconds: estimateRemaining(['compile']),
+        });
+        const compileStart = Date.now();
+        const compileResult = await compile(latex);
+        const { pdfBuffer, pageCount, engine } = compileResult;
+        latex = compileResult.latex; // may have been sanitized/fixed
+        const compileDuration = Date.now() - compileStart;
+        updateAverage('compile', Math.round(compileDuration / 1000));
+        console.log(`📄 Compile pass ${attempt}: ${pageCount} pages (${(compileDuration / 1000).toFixed(1)}s)`);
+
+        if (pageLimit == null || pageCount <= pageLimit) {
+            return { pdfBuffer, finalLatex: latex, finalResume: resume, pageCount, engine, refineCost, layoutAdjustments: [], llmCalls, fixesApplied };
+        }
+
+        // Small overflows can usually be absorbed by tightening spacing
+        if (isLayoutTunerEnabled()) {
+            const tuned = await tuneLayoutToFit(latex, {
+                pageLimit,
+                pageCount,
+                compile,
+                onStep: (step, total) => sendProgress(requestId, {
+                    stage: 'layout_tune',
+                    percent: 72,
+                    message: `Tightening layout to fit ${budget} (step ${step}/${total})...`,
+                    etaSeconds: estimateRemaining(['compile']),
+                }),
+            });
+            if (tuned) {
+                console.log(`📐 Layout tuner fit the resume into ${budget} (${tuned.adjustments.length} adjustment(s))`);
+                return {
+                    pdfBuffer: tuned.pdfBuffer,
+                    finalLatex: tuned.latex,
+                    finalResume: resume,
+                    pageCount: tuned.pageCount,
+                    engine: tuned.engine,
+                    refineCost,
+                    layoutAdjustments: tuned.adjustments,
+                    llmCalls,
+                    fixesApplied,
+                };
+            }
+        }
+
+        if (attempt === maxAttempts) {
+            throw new Error(`PDF still exceeds ${budget} after ${maxAttempts} attempts.`);
+        }
+
+        console.log(`✂️  Page count ${pageCount} > ${pageLimit} — triggering refinement...`);
+        sendProgress(requestId, {
+            stage: 'refine_start',
+            percent: 65,
+            message: `Compressing content to fit ${budget}...`,
+            etaSeconds: estimateRemaining(['refine', 'compile']),
+        });
+        const refineStart = Date.now();
+        const refineResult = await refineToPageLimit({ latex, resume }, adapter, refinementStage, pageLimit, requestId);
+        ({ latex, resume } = refineResult);
+        refineCost = refineResult.cost;
+        llmCalls.push(refineResult.call);
+
+        // Track refinement tokens in session
+        if (refineResult.costDetails) {
+            sessionStats.totalInputTokens += refineResult.costDetails.totalInputTokens;
+            sessionStats.totalOutputTokens += refineResult.costDetails.outputTokens;
+        }
+
+        updateAverage('refine', Math.round((Date.now() - refineStart) / 1000));
+        sendProgress(requestId, {
+            stage: 'refine_done',
+            percent: 70,
+            message: 'Compression complete. Recompiling...',
+            etaSeconds: estimateRemaining(['compile']),
+        });
+    }
+
+    throw new Error(`Unexpected error while enforcing ${budget} limit.`);
+}
+
+async function refineToPageLimit(doc, adapter, refinementStage, pageLimit, requestId) {
+    const budget = describePageLimit(pageLimit);
+    const system = `You are a ${adapter.editorRole}. Your job is to compress a resume to fit exactly ${budget} WITHOUT abrupt cuts or loss of quality.
+Rules:
+- Preserve meaning and impact. Prefer rewriting and merging bullets over deleting.
+- Shorten wording, remove filler, merge closely related bullets.
+- Keep the same overall template and section order.
+- Only drop content if absolutely necessary after compression.
+- ${adapter.outputRule}`;
+
+    const user = `Compress the following resume so it compiles to exactly ${budget}. Keep it high-quality and professional.
+
+${adapter.sourceLabel}:
+${adapter.source(doc)}`;
+
+    const request = { system, messages: [{ role: 'user', content: user }], maxTokens: 4096 };
+    await ensureWithinBudget(refinementStage, request, requestId);
+    const refineResult = await callLLM(refinementStage, llmOptions('refinement', request, requestId));
+
+    // ── Verbose refinement cost logging ──
+    const refCost = refineResult.cost;
+    console.log(formatCostLog('✂️  Refinement LLM Call', refCost, `${refineResult.provider}/${refineResult.model}`, refineResult.durationMs));
+
+    const refined = adapter.parse(refineResult.text, 'Refinement');
+    return { ...refined, cost: refCost.totalCost, costDetails: refCost, call: describeLlmCall('refinement', refineResult, requestId) };
+}
+
+/**
+ * Parse the generation response as a JSON resume and render it to LaTeX.
+ * If validation fails, the model gets one chance to fix the listed errors.
+ */
+async function parseGeneratedResumeJson(content, stageConfig, template, requestId) {
+    let parsed = parseResumeJson(content);
+    let cost = 0;
+    let call = null;
+    if (!parsed.resume) {
+        console.warn(`⚠️  JSON resume invalid (${parsed.errors.length} error(s)) — asking the model to repair it...`);
+        const request = {
+            system: 'You fix JSON Resume documents. Output ONLY the corrected JSON object (no markdown, no commentary). Do not change any content except what is needed to fix the listed errors.',
+            messages: [{
+                role: 'user',
+                content: `Validation errors:\n${parsed.errors.map((e) => `- ${e}`).join('\n')}\n\nJSON resume:\n${content}`,
+            }],
+            maxTokens: 4096,
+        };
+        await ensureWithinBudget(stageConfig, request, requestId);
+        const repairResult = await callLLM(stageConfig, llmOptions('json_repair', request, requestId));
+        console.log(formatCostLog('🧩 JSON Repair LLM Call', repairResult.cost, `${repairResult.provider}/${repairResult.model}`, repairResult.durationMs));
+        cost = repairResult.cost.totalCost;
+        call = describeLlmCall('json_repair', repairResult, requestId);
+        parsed = parseResumeJson(repairResult.text);
+    }
+    if (!parsed.resume) {
+        throw new GenerationError('LLM did not return a valid JSON resume.', 500, {
+            validationErrors: parsed.errors.slice(0, 20),
+            rawContent: content ? content.substring(0, 500) : '',
+        });
+    }
+    console.log(`🧩 JSON resume validated (${(parsed.resume.work || []).length} roles, ${(parsed.resume.projects || []).length} projects) — rendering LaTeX`);
+    return { resume: parsed.resume, latex: renderResumeLatex(parsed.resume, { template }), cost, call };
+}
+
+/**
+ * Run the ATS parseability check on the final PDF. Returns null when the
+ * check is disabled (ATS_CHECK=false) or the text layer cannot be read.
+ */
+async function runAtsCheck(pdfBuffer, latex, jobDescription) {
+    if ((process.env.ATS_CHECK || 'true').toLowerCase() === 'false') return null;
+    try {
+        const report = await analyzeAtsParseability(pdfBuffer, { latex, jobDescription });
+        if (report.issues.length > 0) {
+            console.warn(`🤖 ATS check: ${report.issues.length} issue(s)\n${report.issues.map((i) => `- ${i}`).join('\n')}`);
+        } else {
+            console.log('🤖 ATS check: all checks passed');
+        }
+        return report;
+    } catch (err) {
+        console.warn('⚠️  ATS check failed:', err.message);
+        return null;
+    }
+}
+
+function getUnderfillThreshold() {
+    const value = parseFloat(process.env.UNDERFILL_THRESHOLD || '0.6');
+    return Number.isFinite(value) ? value : 0.6;
+}
+
+// Pages used, counting the last page by how full it is (e.g. 1.35)
+function filledPages(pageCount, lastPageFill) {
+    return pageCount - 1 + lastPageFill;
+}
+
+/**
+ * Measure the last page and, when it is less than UNDERFILL_THRESHOLD full,
+ * run one expansion pass that adds relevant master-resume content. The
+ * expanded version is only kept if it recompiles within the limit and
+ * actually fills more of the budget.
+ */
+async function expandUnderfilledResume(guardResult, adapter, { jobDescription, masterResume, refinementStage, requestId, pageLimit }) {
+    const { pdfBuffer, finalLatex, finalResume, pageCount, engine } = guardResult;
+    const unchanged = { pdfBuffer, finalLatex, finalResume, pageCount, engine, lastPageFill: null, expandCost: null, expanded: false, llmCalls: [], fixesApplied: [] };
+
+    let fill;
+    try {
+        fill = await measureLastPageFill(pdfBuffer);
+    } catch (err) {
+        console.warn('⚠️  Could not measure last page fill:', err.message);
+        return unchanged;
+    }
+    if (!fill) return unchanged;
+    unchanged.lastPageFill = fill.lastPageFill;
+
+    const threshold = getUnderfillThreshold();
+    console.log(`📐 Last page fill: ${Math.round(fill.lastPageFill * 100)}% (${pageCount} page(s))`);
+
+    // Content was just squeezed to fit; growing it again would undo that work.
+    // A last page that is full enough is left alone even below pageLimit: an
+    // expansion would have to spill onto a new, mostly empty page.
+    const wasShrunk = guardResult.refineCost || guardResult.layoutAdjustments.length > 0;
+    if ((process.env.CONTENT_EXPANSION || 'true').toLowerCase() === 'false'
+        || pageLimit == null
+        || wasShrunk
+        || fill.lastPageFill >= threshold) {
+        return unchanged;
+    }
+
+    const budget = describePageLimit(pageLimit);
+    console.log(`📈 Resume under-fills ${budget} — running expansion pass...`);
+    sendProgress(requestId, {
+        stage: 'expand_start',
+        percent: 85,
+        message: `Last page is only ${Math.round(fill.lastPageFill * 100)}% full. Adding relevant content...`,
+        etaSeconds: estimateRemaining(['refine', 'compile']),
+    });
+
+    try {
+        const expandStart = Date.now();
+        const expandResult = await expandFromMaster({ latex: finalLatex, resume: finalResume }, adapter, masterResume, jobDescription, refinementStage, pageLimit, requestId);
+        updateAverage('refine', Math.round((Date.now() - expandStart) / 1000));
+        if (expandResult.costDetails) {
+            sessionStats.totalInputTokens += expandResult.costDetails.totalInputTokens;
+            sessionStats.totalOutputTokens += expandResult.costDetails.outputTokens;
+        }
+
+        sendProgress(requestId, {
+            stage: 'expand_compile',
+            percent: 90,
+            message: 'Recompiling expanded resume...',
+            etaSeconds: estimateRemaining(['compile']),
+        });
+        const compiled = await compileAndCount(expandResult.latex, adapter.template, requestId);
+        const expandedFill = await measureLastPageFill(compiled.pdfBuffer);
+        const before = filledPages(pageCount, fill.lastPageFill);
+        const after = expandedFill ? filledPages(compiled.pageCount, expandedFill.lastPageFill) : 0;
+
+        if (compiled.pageCount > pageLimit || after <= before) {
+            console.log(`  ↩️  Discarding expansion (${compiled.pageCount} pages, ${after.toFixed(2)} vs ${before.toFixed(2)} pages filled)`);
+            return { ...unchanged, expandCost: expandResult.cost, llmCalls: [expandResult.call] };
+        }
+
+        console.log(`  ✅ Expansion kept: ${compiled.pageCount} pages, last page ${Math.round(expandedFill.lastPageFill * 100)}% full`);
+        return {
+            pdfBuffer: compiled.pdfBuffer,
+            finalLatex: compiled.latex,
+            finalResume: expandResult.resume,
+            pageCount: compiled.pageCount,
+            engine: compiled.engine,
+            lastPageFill: expandedFill.lastPageFill,
+            expandCost: expandResult.cost,
+            expanded: true,
+            llmCalls: [expandResult.call],
+            fixesApplied: compiled.fixesApplied,
+        };
+    } catch (err) {
+        if (isCancelled(requestId)) throw err;
+        // The un-expanded resume is still a valid result
+        console.warn('⚠️  Expansion pass failed, keeping original:', err.message);
+        return unchanged;
+    }
+}
+
+async function expandFromMaster(doc, adapter, masterResume, jobDescription, refinementStage, pageLimit, requestId) {
+    const budget = describePageLimit(pageLimit);
+    const system = `You are a ${adapter.editorRole}. The resume below is too short for its ${budget} budget. Extend it using ONLY material from the candidate's master resume.
+Rules:
+- Every added bullet, project, skill, metric, date and employer must come from the master resume. Never invent or embellish.
+- Prefer the content most relevant to the job description: restore dropped bullets, projects or skills first.
+- Do not remove or reorder existing content, and keep the same template, preamble and section order.
+- Add only enough to fill ${budget}; do not overflow it.
+- ${adapter.outputRule}`;
+
+    const user = `Job description:
+${jobDescription}
+
+Master resume (the only allowed source of new content):
+${masterResume}
+
+Current resume (${adapter.sourceLabel}):
+${adapter.source(doc)}`;
+
+    const request = { system, messages: [{ role: 'user', content: user }], maxTokens: 4096 };
+    await ensureWithinBudget(refinementStage, request, requestId);
+    const expandResult = await callLLM(refinementStage, llmOptions('expansion', request, requestId));
+
+    const expandCost = expandResult.cost;
+    console.log(formatCostLog('📈 Expansion LLM Call', expandCost, `${expandResult.provider}/${expandResult.model}`, expandResult.durationMs));
+
+    const expanded = adapter.parse(expandResult.text, 'Expansion');
+    return { ...expanded, cost: expandCost.totalCost, costDetails: expandCost, call: describeLlmCall('expansion', expandResult, requestId) };
+}
+
+/**
+ * Ask the model to drop or correct claims the fabrication guard could not
+ * find in the master resume.
+ */
+async function removeUnsupportedClaims(doc, adapter, masterResume, warnings, stageConfig, requestId) {
+    const system = `You are a ${adapter.editorRole} fixing factual accuracy. Some claims in the resume are not supported by the candidate's master resume.
+Rules:
+- For each listed claim, replace it with the matching fact from the master resume, or remove it if there is none.
+- Never invent numbers, percentages, employers, titles, dates, degrees or technologies.
+- Change nothing else: keep the same template, preamble, section order and wording.
+- ${adapter.outputRule}`;
+
+    const user = `Unsupported claims:
+${formatWarnings(warnings)}
+
+Master resume (the source of truth):
+${masterResume}
+
+Resume to correct (${adapter.sourceLabel}):
+${adapter.source(doc)}`;
+
+    const request = { system, messages: [{ role: 'user', content: user }], maxTokens: 4096 };
+    await ensureWithinBudget(stageConfig, request, requestId);
+    const fixResult = await callLLM(stageConfig, llmOptions('fabrication_fix', request, requestId));
+
+    const fixCost = fixResult.cost;
+    console.log(formatCostLog('🕵️  Fabrication Fix LLM Call', fixCost, `${fixResult.provider}/${fixResult.model}`, fixResult.durationMs));
+    sessionStats.totalInputTokens += fixCost.totalInputTokens;
+    sessionStats.totalOutputTokens += fixCost.outputTokens;
+
+    let fixed;
+    try {
+        fixed = adapter.parse(fixResult.text, 'Fabrication correction');
+    } catch (err) {
+        throw new GenerationError(err.message, 500);
+    }
+    return { ...fixed, cost: fixCost.totalCost, call: describeLlmCall('fabrication_fix', fixResult, requestId) };
+}
+
+/**
+ * Generation details that accompany the PDF in JSON responses.
+ */
+function buildResultMetadata(result) {
+    return {
+        pageCount: result.pageCount ?? null,
+        pageLimit: result.pageLimit ?? null,
+        engine: result.engine ?? null,
+        template: result.template ?? null,
+        outputFormat: result.outputFormat ?? null,
+        fromCache: !!result.fromCache,
+        compilationFailed: !!result.compilationFailed,
+        refined: !!result.refined,
+        layoutAdjustments: result.layoutAdjustments || [],
+        fixesApplied: result.fixesApplied || [],
+        expanded: !!result.expanded,
+        lastPageFill: result.lastPageFill ?? null,
+        fabricationWarnings: result.fabricationWarnings ?? null,
+        atsReport: result.atsReport ?? null,
+        cost: result.cost ?? null,
+        usage: result.usage ?? null,
+        durationMs: result.durationMs ?? null,
+        profile: result.profile ?? null,
+    };
+}
+
+module.exports = {
+    generateResume,
+    validateGenerationInput,
+    buildResultMetadata,
+    GenerationError,
+};
@@ -0,0 +1,51 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Root for all persisted backend state (jobs, caches, ledgers).
+// Mount this as a volume in production so it survives restarts.
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+// Makes temp file names unique when writes land in the same millisecond
+let tmpCounter = 0;
+
+function dataPath(...segments) {
+    return path.join(DATA_DIR, ...segments);
+}
+
+async function ensureDir(dir) {
+    await fs.mkdir(dir, { recursive: true });
+    return dir;
+}
+
+/**
+ * Read and parse a JSON file. Returns `fallback` when the file is missing
+ * or unreadable.
+ */
+async function readJson(filePath, fallback = null) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.warn(`⚠️  Could not read ${filePath}: ${err.message}`);
+        }
+        return fallback;
+    }
+}
+
+/**
+ * Write JSON via a temp file + rename so readers never see a partial file.
+ */
+async function writeJsonAtomic(filePath, value) {
+    await ensureDir(path.dirname(filePath));
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.${++tmpCounter}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(value, null, 2), 'utf8');
+    await fs.rename(tmpPath, filePath);
+}
+
+module.exports = {
+    DATA_DIR,
+    dataPath,
+    ensureDir,
+    readJson,
+    writeJsonAtomic,
+};
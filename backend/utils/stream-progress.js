@@ -0,0 +1,119 @@
+const { sendProgress, estimateRemaining } = require('./progress');
+
+// ── Streaming generation progress ───────────────────────────────────
+// Turns the streamed generation output into progress events between
+// llm_start and llm_done: output tokens against the usual output length,
+// the resume sections written so far, an ETA from the observed tokens/s and
+// (unless STREAM_PREVIEW=false) the tail of the output as a live preview.
+
+const CHARS_PER_TOKEN = 3.5;
+const EMIT_INTERVAL_MS = 500;
+const PREVIEW_CHARS = 600;
+
+// Typical generation output per format in tokens, refined as resumes finish
+const outputAverages = {
+    latex: 3000,
+    json: 1800,
+};
+
+const JSON_SECTION_LABELS = {
+    basics: 'Header',
+    work: 'Experience',
+    education: 'Education',
+    projects: 'Projects',
+    skills: 'Skills',
+    awards: 'Awards',
+    certificates: 'Certificates',
+    publications: 'Publications',
+};
+const JSON_SECTION_PATTERN = new RegExp(`"(${Object.keys(JSON_SECTION_LABELS).join('|')})"\\s*:\\s*[[{]`, 'g');
+const LATEX_SECTION_PATTERN = /\\section\*?\{([^}]*)\}/g;
+
+function isPreviewEnabled() {
+    return (process.env.STREAM_PREVIEW || 'true').toLowerCase() !== 'false';
+}
+
+/**
+ * Sections started so far, in order, and whether the output is complete.
+ */
+function detectSections(text, outputFormat) {
+    if (outputFormat === 'json') {
+        const names = [...text.matchAll(JSON_SECTION_PATTERN)].map((m) => JSON_SECTION_LABELS[m[1]]);
+        return { names, finished: false };
+    }
+    const names = [...text.matchAll(LATEX_SECTION_PATTERN)].map((m) => m[1].replace(/\\&/g, '&').trim());
+    return { names, finished: text.includes('\\end{document}') };
+}
+
+function describeProgress(completed, current, finished) {
+    const done = `${completed.length} section${completed.length === 1 ? '' : 's'}`;
+    if (finished) return `Finished writing ${done}...`;
+    if (!current) return 'Writing resume...';
+    return `Writing ${current}${completed.length ? ` (${done} done)` : ''}...`;
+}
+
+function updateOutputAverage(outputFormat, outputTokens) {
+    if (!outputTokens || outputTokens <= 0 || !outputAverages[outputFormat]) return;
+    outputAverages[outputFormat] = Math.round(outputAverages[outputFormat] * 0.7 + outputTokens * 0.3);
+}
+
+/**
+ * Progress tracker for one streamed generation call.
+ *
+ * onText(textSoFar) is passed to callLLM; finish(outputTokens) records the
+ * actual output length for later estimates.
+ */
+function createStreamProgress(requestId, { outputFormat, fromPercent, toPercent }) {
+    let startedAt = null;
+    let lastLength = 0;
+    let lastEmitAt = 0;
+    let lastCompletedCount = 0;
+
+    function onText(text) {
+        const now = Date.now();
+        if (startedAt === null || text.length < lastLength) {
+            // First token, or a retry started the response over
+            startedAt = now;
+            lastCompletedCount = 0;
+        }
+        lastLength = text.length;
+
+        // Emit at most every EMIT_INTERVAL_MS, and right away when a section completes
+        const { names, finished } = detectSections(text, outputFormat);
+        const completed = finished ? names : names.slice(0, -1);
+        const current = finished ? null : names[names.length - 1] || null;
+        if (completed.length <= lastCompletedCount && now - lastEmitAt < EMIT_INTERVAL_MS) return;
+        lastEmitAt = now;
+        lastCompletedCount = completed.length;
+
+        const outputTokens = Math.round(text.length / CHARS_PER_TOKEN);
+        const expectedTokens = Math.max(outputAverages[outputFormat] || 0, Math.round(outputTokens * 1.1));
+        const fraction = outputTokens / expectedTokens;
+        const elapsedSeconds = (now - startedAt) / 1000;
+        const tokensPerSecond = elapsedSeconds >= 1 ? outputTokens / elapsedSeconds : null;
+        const etaSeconds = tokensPerSecond
+            ? Math.round((expectedTokens - outputTokens) / tokensPerSecond) + estimateRemaining(['compile'])
+            : estimateRemaining(['llm', 'compile']);
+
+        sendProgress(requestId, {
+            stage: 'llm_stream',
+            percent: Math.min(toPercent - 1, Math.round(fromPercent + (toPercent - fromPercent) * fraction)),
+            message: describeProgress(completed, current, finished),
+            etaSeconds,
+            outputTokens,
+            expectedTokens,
+            tokensPerSecond: tokensPerSecond && Math.round(tokensPerSecond),
+            sections: { completed, current },
+            ...(isPreviewEnabled() ? { preview: text.slice(-PREVIEW_CHARS) } : {}),
+        });
+    }
+
+    return {
+        onText,
+        finish: (outputTokens) => updateOutputAverage(outputFormat, outputTokens),
+    };
+}
+
+module.exports = {
+    createStreamProgress,
+};
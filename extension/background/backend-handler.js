@@ -1,28 +1,172 @@
+/**
+ * Read a JSON-valued response header, or null if it is missing or malformed
+ */
+function parseJsonHeader(response, name) {
+    const value = response.headers.get(name);
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Summarize fabrication warnings for a status line, e.g. '2 unverified claims: "40%", "Rust"'
+ */
+function describeFabricationWarnings(warnings) {
+    if (!Array.isArray(warnings) || warnings.length === 0) return '';
+    const examples = warnings.slice(0, 3).map((w) => `"${w.value}"`).join(', ');
+    const more = warnings.length > 3 ? ', …' : '';
+    return `${warnings.length} unverified claim${warnings.length === 1 ? '' : 's'}: ${examples}${more}`;
+}
+
+/**
+ * Summarize a failing ATS report, e.g. 'ATS: 4/6 checks passed'
+ */
+function describeAtsReport(report) {
+    if (!report || report.passed) return '';
+    const checks = Object.values(report.checks || {});
+    const passed = checks.filter((c) => c.passed).length;
+    return `ATS: ${passed}/${checks.length} checks passed${report.issues?.[0] ? ` (${report.issues[0]})` : ''}`;
+}
+
+const HISTORY_KEY = 'resumeHistory';
+const HISTORY_LIMIT = 20;
+
+/**
+ * Format a USD cost for status lines, e.g. '$0.0123'
+ */
+function formatCost(cost) {
+    return typeof cost === 'number' ? `$${cost.toFixed(4)}` : '';
+}
+
+/**
+ * Prepend a generated resume to the local history (newest first, capped).
+ * The LaTeX source is kept so the .tex can be downloaded again later.
+ */
+async function saveHistoryEntry(entry) {
+    const stored = await chrome.storage.local.get([HISTORY_KEY]);
+    const history = Array.isArray(stored[HISTORY_KEY]) ? stored[HISTORY_KEY] : [];
+    history.unshift(entry);
+    await chrome.storage.local.set({ [HISTORY_KEY]: history.slice(0, HISTORY_LIMIT) });
+}
+
+/**
+ * Short label for a history entry: the first line of the job description.
+ */
+function describeJob(jobDescription) {
+    const firstLine = String(jobDescription || '').trim().split('\n')[0];
+    return firstLine.length > 80 ? `${firstLine.slice(0, 77)}...` : firstLine;
+}
+
+async function downloadPdf(dataUrl, downloadOptions) {
+    const filenameBase = 'job-tailored-resume.pdf';
+    const safeSubfolder = (downloadOptions.subfolder || '').replace(/^[\\/]+|[\\/]+$/g, '');
+    const filename = safeSubfolder ? `${safeSubfolder}/${filenameBase}` : filenameBase;
+    const saveAs = downloadOptions.saveAs !== false;
+
+    return new Promise((resolve, reject) => {
+        chrome.downloads.download(
+            {
+                url: dataUrl,
+                filename,
+                saveAs,
+            },
+            (id) => (chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(id))
+        );
+    });
+}
+
+/**
+ * Ask the backend to stop the generation started with requestId
+ */
+async function cancelGenerationViaBackend(backendUrl, requestId, apiToken = '') {
+    try {
+        const headers = {};
+        if (apiToken) {
+            headers.Authorization = `Bearer ${apiToken}`;
+        }
+        const response = await fetch(`${backendUrl}/api/cancel/${encodeURIComponent(requestId)}`, {
+            method: 'POST',
+            headers,
+        });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            return { success: false, error: errorData.error || `Backend error: ${response.status}` };
+        }
+        return { success: true };
+    } catch (error) {
+        return {
+            success: false,
+            error: `Failed to connect to backend: ${error.message}`,
+        };
+    }
+}
+
 /**
  * Handle resume generation via backend API
  */
-async function handleGenerateResumeViaBackend(backendUrl, jobDescription, masterResume, downloadOptions = {}) {
+async function handleGenerateResumeViaBackend(backendUrl, jobDescription, masterResume, downloadOptions = {}, generationOptions = {}, apiToken = '') {
     try {
         const headers = {
             'Content-Type': 'application/json',
         };
+        if (apiToken) {
+            headers.Authorization = `Bearer ${apiToken}`;
+        }
         if (downloadOptions.requestId) {
             headers['X-Request-Id'] = downloadOptions.requestId;
         }
-        const response = await fetch(`${backendUrl}/api/generate-resume`, {
+        const generate = (resumeFields) => fetch(`${backendUrl}/api/generate-resume`, {
             method: 'POST',
             headers,
             body: JSON.stringify({
                 jobDescription,
-                masterResume,
+                ...resumeFields,
+                pageLimit: generationOptions.pageLimit,
+                fabricationPolicy: generationOptions.fabricationPolicy,
+                template: generationOptions.template,
+                responseFormat: 'json',
             }),
         });
 
+        // Send the synced backend profile's id instead of the full text when it matches
+        const profile = await MasterResume.getResumeProfile(masterResume).catch(() => null);
+        let response = await generate(profile ? { profileId: profile.id, profileVersion: profile.version } : { masterResume });
+        if (profile && response.status === 404) {
+            // Profile deleted on the backend; forget it and send the text
+            await MasterResume.clearResumeProfile();
+            response = await generate({ masterResume });
+        }
+
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
+            // 401: missing/revoked token, 402: backend-wide spend cap,
+            // 429: this client's spend cap or rate limit, 499: cancelled by the user
+            if (response.status === 499) {
+                return { success: false, cancelled: true, error: errorData.error || 'Generation cancelled.' };
+            }
+            if (response.status === 401) {
+                return {
+                    success: false,
+                    error: errorData.error || 'Backend rejected the API token. Check it in Options.',
+                };
+            }
+            if (response.status === 402 || response.status === 429) {
+                return {
+                    success: false,
+                    limitReached: true,
+                    error: errorData.error || 'Usage limit reached. Try again later.',
+                    budget: errorData.budget,
+                    rateLimit: errorData.rateLimit,
+                };
+            }
+            const claims = describeFabricationWarnings(errorData.fabricationWarnings);
             return {
                 success: false,
-                error: errorData.error || `Backend error: ${response.status}`,
+                error: (errorData.error || `Backend error: ${response.status}`) + (claims ? ` (${claims})` : ''),
+                fabricationWarnings: errorData.fabricationWarnings,
             };
         }
 
@@ -30,7 +174,7 @@ async function handleGenerateResumeViaBackend(backendUrl, jobDescription, master
         const contentType = response.headers.get('Content-Type');
 
         if (contentType && contentType.includes('application/pdf')) {
-            // Backend returned PDF directly
+            // Older backends ignore responseFormat and return the PDF directly
             const blob = await response.blob();
             const reader = new FileReader();
             const dataUrl = await new Promise((resolve, reject) => {
@@ -38,32 +182,59 @@ async function handleGenerateResumeViaBackend(backendUrl, jobDescription, master
                 reader.onerror = () => reject(new Error('Failed to read blob'));
                 reader.readAsDataURL(blob);
             });
+            const downloadId = await downloadPdf(dataUrl, downloadOptions);
 
-            const filenameBase = 'job-tailored-resume.pdf';
-            const safeSubfolder = (downloadOptions.subfolder || '').replace(/^[\\/]+|[\\/]+$/g, '');
-            const filename = safeSubfolder ? `${safeSubfolder}/${filenameBase}` : filenameBase;
-            const saveAs = downloadOptions.saveAs !== false;
-
-            const downloadId = await new Promise((resolve, reject) => {
-                chrome.downloads.download(
-                    {
-                        url: dataUrl,
-                        filename,
-                        saveAs,
-                    },
-                    (id) => (chrome.runtime.lastError ? reject(chrome.runtime.lastError) : resolve(id))
-                );
-            });
-
+            const fabricationWarnings = parseJsonHeader(response, 'X-Resume-Fabrication-Warnings') || [];
+            const atsReport = parseJsonHeader(response, 'X-Resume-Ats-Report');
+            const warnings = [describeFabricationWarnings(fabricationWarnings), describeAtsReport(atsReport)].filter(Boolean);
             return {
                 success: true,
                 downloadId,
+                fabricationWarnings,
+                atsReport,
+                warning: warnings.join('; '),
+            };
+        }
+
+        const data = await response.json();
+        if (data.compilationFailed) {
+            // Only the LaTeX source could be produced; let the caller offer it
+            return {
+                success: false,
+                downloadTex: true,
+                latex: data.latex,
+                error: data.error || 'LaTeX compilation failed.',
             };
-        } else {
-            // Backend returned JSON (likely LaTeX source due to compilation failure)
-            const data = await response.json();
+        }
+        if (!data.pdf) {
             return data;
         }
+
+        const downloadId = await downloadPdf(`data:application/pdf;base64,${data.pdf}`, downloadOptions);
+        const metadata = data.metadata || {};
+        const warnings = [describeFabricationWarnings(metadata.fabricationWarnings), describeAtsReport(metadata.atsReport)].filter(Boolean);
+
+        await saveHistoryEntry({
+            id: downloadOptions.requestId || `${Date.now()}`,
+            createdAt: new Date().toISOString(),
+            job: describeJob(jobDescription),
+            pageCount: metadata.pageCount ?? null,
+            template: metadata.template ?? null,
+            cost: metadata.cost ?? null,
+            latex: data.latex || null,
+        }).catch((err) => console.warn('Could not save resume history:', err));
+
+        return {
+            success: true,
+            downloadId,
+            latex: data.latex || null,
+            metadata,
+            cost: metadata.cost ?? null,
+            costLabel: formatCost(metadata.cost),
+            fabricationWarnings: metadata.fabricationWarnings || [],
+            atsReport: metadata.atsReport || null,
+            warning: warnings.join('; '),
+        };
     } catch (error) {
         return {
             success: false,
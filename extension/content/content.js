@@ -147,6 +147,30 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
 #resume-gen-progress .meta {
   color: #cbd5f5;
 }
+#resume-gen-progress .sections {
+  margin-top: 4px;
+  color: #9ca3af;
+  font-size: 11px;
+}
+#resume-gen-progress .sections:empty,
+#resume-gen-progress .preview:empty {
+  display: none;
+}
+#resume-gen-progress .preview {
+  margin: 8px 0 0;
+  max-height: 120px;
+  overflow: hidden;
+  white-space: pre-wrap;
+  word-break: break-word;
+  background: #111827;
+  border-radius: 6px;
+  padding: 6px 8px;
+  color: #9ca3af;
+  font: 10px/1.35 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+}
+#resume-gen-progress .preview.hidden {
+  display: none;
+}
 #resume-gen-progress .actions {
   margin-top: 8px;
   display: flex;
@@ -274,14 +298,45 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
       <div class="title">Generating resume…</div>
       <div class="bar"><div class="bar-fill"></div></div>
       <div class="meta">Starting…</div>
+      <div class="sections"></div>
+      <pre class="preview hidden"></pre>
       <div class="actions">
         <button id="resume-gen-hide">Hide</button>
+        <button id="resume-gen-cancel">Cancel</button>
+        <button id="resume-gen-preview">Show preview</button>
       </div>
     `;
     document.body.appendChild(panel);
     panel.querySelector('#resume-gen-hide')?.addEventListener('click', () => {
       panel.classList.remove('show');
     });
+    panel.querySelector('#resume-gen-cancel')?.addEventListener('click', cancelGeneration);
+    panel.querySelector('#resume-gen-preview')?.addEventListener('click', (evt) => {
+      const hidden = panel.querySelector('.preview').classList.toggle('hidden');
+      evt.target.textContent = hidden ? 'Show preview' : 'Hide preview';
+    });
+  }
+
+  // The Cancel button only applies while a generation is running
+  function setCancelVisible(visible) {
+    const button = document.getElementById('resume-gen-cancel');
+    if (button) {
+      button.style.display = visible ? '' : 'none';
+      button.disabled = false;
+    }
+  }
+
+  function cancelGeneration() {
+    if (!progressRequestId) return;
+    const button = document.getElementById('resume-gen-cancel');
+    if (button) button.disabled = true;
+    updateProgressPanel(100, 'Cancelling...');
+    chrome.runtime.sendMessage({ action: 'cancelGeneration', requestId: progressRequestId }, (response) => {
+      if (!response?.success) {
+        showToast(`❌ Could not cancel: ${response?.error || 'Unknown error'}`, 'error');
+        if (button) button.disabled = false;
+      }
+    });
   }
 
   function showProgressPanel() {
@@ -298,17 +353,36 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
     if (meta) meta.textContent = message || 'Working...';
   }
 
-  async function getBackendUrl() {
+  // Sections written so far and the tail of the streamed output
+  function updateStreamDetails(sections, preview) {
+    const panel = document.getElementById('resume-gen-progress');
+    if (!panel) return;
+    const list = panel.querySelector('.sections');
+    if (list) {
+      const done = (sections?.completed || []).map((name) => `✓ ${name}`);
+      const current = sections?.current ? [`… ${sections.current}`] : [];
+      list.textContent = done.concat(current).join('  ');
+    }
+    const pre = panel.querySelector('.preview');
+    if (pre) {
+      pre.textContent = preview || '';
+      pre.scrollTop = pre.scrollHeight;
+    }
+  }
+
+  async function getBackendSettings() {
     return new Promise((resolve) => {
-      chrome.storage.local.get(['backendUrl'], (result) => {
-        resolve(result.backendUrl || '');
+      chrome.storage.local.get(['backendUrl', 'apiToken'], (result) => {
+        resolve({ backendUrl: result.backendUrl || '', apiToken: result.apiToken || '' });
       });
     });
   }
 
-  function startProgressStream(backendUrl, requestId) {
+  function startProgressStream(backendUrl, apiToken, requestId) {
     const base = backendUrl.replace(/\/+$/, '');
-    const url = base + '/api/progress/' + encodeURIComponent(requestId);
+    // EventSource cannot send headers, so the client token goes in the query
+    const url = base + '/api/progress/' + encodeURIComponent(requestId) +
+      (apiToken ? '?token=' + encodeURIComponent(apiToken) : '');
     const source = new EventSource(url);
     source.addEventListener('progress', (evt) => {
       try {
@@ -316,6 +390,9 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
         const eta = typeof data.etaSeconds === 'number' ? ` • ETA ~${data.etaSeconds}s` : '';
         const msg = data.message ? `${data.message}${eta}` : 'Working...';
         updateProgressPanel(data.percent ?? 0, msg);
+        if (data.stage === 'llm_stream') {
+          updateStreamDetails(data.sections, data.preview);
+        }
       } catch (_) {
         updateProgressPanel(10, 'Working...');
       }
@@ -364,7 +441,7 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
       return;
     }
 
-    const backendUrl = await getBackendUrl();
+    const { backendUrl, apiToken } = await getBackendSettings();
     if (!backendUrl) {
       showToast('❌ Backend URL not configured. Set it in Options.', 'error');
       return;
@@ -374,6 +451,8 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
     ensureProgressPanel();
     showProgressPanel();
     updateProgressPanel(5, 'Starting...');
+    updateStreamDetails(null, '');
+    setCancelVisible(true);
 
     progressRequestId = (globalThis.crypto && crypto.randomUUID)
       ? crypto.randomUUID()
@@ -383,7 +462,7 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
       progressSource.close();
       progressSource = null;
     }
-    progressSource = startProgressStream(backendUrl, progressRequestId);
+    progressSource = startProgressStream(backendUrl, apiToken, progressRequestId);
 
     // Send to background script for processing
     chrome.runtime.sendMessage(
@@ -394,8 +473,16 @@ chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
         requestId: progressRequestId,
       },
       (response) => {
-        if (response && response.success) {
-          updateProgressPanel(100, 'Download started.');
+        const costNote = response?.costLabel ? ` Cost: ${response.costLabel}.` : '';
+        setCancelVisible(false);
+        if (response?.cancelled) {
+          updateProgressPanel(100, 'Generation cancelled.');
+          showToast('🛑 Generation cancelled', 'info');
+        } else if (response && response.success && response.warning) {
+          updateProgressPanel(100, `Download started.${costNote} ⚠️ ${response.warning}`);
+          showToast(`⚠️ Resume generated with ${response.warning}`, 'info');
+        } else if (response && response.success) {
+          updateProgressPanel(100, `Download started.${costNote}`);
           showToast('✅ Resume generated successfully!', 'success');
         } else {
           const error = response?.error || 'Unknown error';
@@ -6,6 +6,8 @@
   'use strict';
 
   const STORAGE_KEY = 'masterResume';
+  const PROFILE_KEY = 'resumeProfile';
+  const PROFILE_NAME = 'Chrome extension master resume';
   const DEFAULT_URL = chrome?.runtime?.getURL
     ? chrome.runtime.getURL('assets/master-resume.txt')
     : '';
@@ -68,9 +70,91 @@
     });
   }
 
+  async function hashResume(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode((text || '').trim()));
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function setProfileRef(value) {
+    return new Promise((resolve) => {
+      if (value) {
+        chrome.storage.local.set({ [PROFILE_KEY]: value }, resolve);
+      } else {
+        chrome.storage.local.remove(PROFILE_KEY, resolve);
+      }
+    });
+  }
+
+  /**
+   * Store the master resume as a backend profile (one per install; changed
+   * text adds a version) so generation can send its id instead of the text.
+   * @param {string} backendUrl
+   * @param {string} apiToken
+   * @param {string} text
+   * @returns {Promise<{id: string, version: number, hash: string}>}
+   */
+  async function syncResumeProfile(backendUrl, apiToken, text) {
+    const base = backendUrl.replace(/\/+$/, '');
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiToken) headers.Authorization = `Bearer ${apiToken}`;
+    const stored = await new Promise((resolve) => {
+      chrome.storage.local.get([PROFILE_KEY], (result) => resolve(result[PROFILE_KEY] || null));
+    });
+
+    let response = null;
+    if (stored?.id) {
+      response = await fetch(`${base}/api/profiles/${encodeURIComponent(stored.id)}`, {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ masterResume: text }),
+      });
+    }
+    // No profile yet, or it is gone (other backend, other token, deleted)
+    if (!response || response.status === 404) {
+      response = await fetch(`${base}/api/profiles`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ name: PROFILE_NAME, masterResume: text }),
+      });
+    }
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Backend error: ${response.status}`);
+
+    const ref = { id: data.profile.id, version: data.profile.currentVersion, hash: await hashResume(text) };
+    await setProfileRef(ref);
+    return ref;
+  }
+
+  /**
+   * The synced profile for this resume text, or null when the text changed
+   * since the last sync (the text must then be sent inline).
+   * @param {string} text
+   * @returns {Promise<{id: string, version: number}|null>}
+   */
+  async function getResumeProfile(text) {
+    const stored = await new Promise((resolve) => {
+      chrome.storage.local.get([PROFILE_KEY], (result) => resolve(result[PROFILE_KEY] || null));
+    });
+    if (!stored?.id || stored.hash !== (await hashResume(text))) return null;
+    return { id: stored.id, version: stored.version };
+  }
+
+  function clearResumeProfile() {
+    return setProfileRef(null);
+  }
+
+  const api = {
+    getMasterResume,
+    fetchDefaultResume,
+    getStoredResume,
+    saveMasterResume,
+    syncResumeProfile,
+    getResumeProfile,
+    clearResumeProfile,
+  };
   if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { getMasterResume, fetchDefaultResume, getStoredResume, saveMasterResume };
+    module.exports = api;
   } else {
-    global.MasterResume = { getMasterResume, fetchDefaultResume, getStoredResume, saveMasterResume };
+    global.MasterResume = api;
   }
 })(typeof globalThis !== 'undefined' ? globalThis : typeof window !== 'undefined' ? window : this);
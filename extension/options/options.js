@@ -2,8 +2,14 @@
   'use strict';
 
   const backendUrlEl = document.getElementById('backendUrl');
+  const apiTokenEl = document.getElementById('apiToken');
   const downloadSaveAsEl = document.getElementById('downloadSaveAs');
   const downloadSubfolderEl = document.getElementById('downloadSubfolder');
+  const pageLimitEl = document.getElementById('pageLimit');
+  const fabricationPolicyEl = document.getElementById('fabricationPolicy');
+  const templateEl = document.getElementById('template');
+  const templatePreviewEl = document.getElementById('templatePreview');
+  const templateHintEl = document.getElementById('templateHint');
   const masterResumeEl = document.getElementById('masterResume');
   const btnUseDefault = document.getElementById('btnUseDefault');
   const btnSave = document.getElementById('btnSave');
@@ -17,6 +23,53 @@
     setTimeout(() => { saveStatusEl.textContent = ''; }, 3000);
   }
 
+  let templates = [];
+
+  function updateTemplatePreview() {
+    const backendUrl = backendUrlEl.value.trim().replace(/\/+$/, '');
+    const selected = templates.find((t) => t.id === templateEl.value) || templates.find((t) => t.default);
+    if (!selected) {
+      templatePreviewEl.hidden = true;
+      return;
+    }
+    templateHintEl.textContent = selected.description;
+    if (selected.previewUrl) {
+      // <img> cannot send headers, so the client token goes in the query
+      const apiToken = apiTokenEl.value.trim();
+      templatePreviewEl.src = `${backendUrl}${selected.previewUrl}${apiToken ? `?token=${encodeURIComponent(apiToken)}` : ''}`;
+      templatePreviewEl.hidden = false;
+    } else {
+      templatePreviewEl.hidden = true;
+    }
+  }
+
+  // Template choices come from the backend registry (GET /api/templates)
+  async function loadTemplates(selectedId) {
+    const backendUrl = backendUrlEl.value.trim().replace(/\/+$/, '');
+    templateEl.replaceChildren(new Option('Server default', ''));
+    try {
+      const apiToken = apiTokenEl.value.trim();
+      const response = await fetch(`${backendUrl}/api/templates`, {
+        headers: apiToken ? { Authorization: `Bearer ${apiToken}` } : {},
+      });
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || `Backend error: ${response.status}`);
+      templates = Array.isArray(data.templates) ? data.templates : [];
+    } catch (error) {
+      console.warn('Could not load templates:', error);
+      templates = [];
+      templateHintEl.textContent = `Could not load templates from the backend: ${error.message}`;
+    }
+    for (const template of templates) {
+      templateEl.add(new Option(template.default ? `${template.name} (default)` : template.name, template.id));
+    }
+    if (selectedId && !templates.some((t) => t.id === selectedId)) {
+      templateEl.add(new Option(selectedId, selectedId));
+    }
+    templateEl.value = selectedId || '';
+    updateTemplatePreview();
+  }
+
   async function load() {
     try {
       console.log('Options page loading...');
@@ -29,18 +82,22 @@
       }
 
       const result = await new Promise((resolve) => {
-        chrome.storage.local.get(['backendUrl', 'downloadSaveAs', 'downloadSubfolder'], (r) => {
+        chrome.storage.local.get(['backendUrl', 'apiToken', 'downloadSaveAs', 'downloadSubfolder', 'pageLimit', 'fabricationPolicy', 'template'], (r) => {
           if (chrome.runtime.lastError) console.error(chrome.runtime.lastError);
           resolve(r);
         });
       });
       const backendUrl = result.backendUrl || DEFAULT_BACKEND_URL;
       backendUrlEl.value = backendUrl;
+      apiTokenEl.value = result.apiToken || '';
       if (!result.backendUrl) {
         chrome.storage.local.set({ backendUrl });
       }
       downloadSaveAsEl.checked = result.downloadSaveAs !== false;
       downloadSubfolderEl.value = result.downloadSubfolder || '';
+      pageLimitEl.value = result.pageLimit || '2';
+      fabricationPolicyEl.value = result.fabricationPolicy || '';
+      await loadTemplates(result.template || '');
 
       const masterResume = await (typeof MasterResume !== 'undefined' ? MasterResume.getStoredResume() : null);
       const defaultResume = await (typeof MasterResume !== 'undefined' ? MasterResume.fetchDefaultResume() : '');
@@ -59,11 +116,15 @@
 
   async function save() {
     const backendUrl = backendUrlEl.value.trim();
+    const apiToken = apiTokenEl.value.trim();
     const downloadSaveAs = !!downloadSaveAsEl.checked;
     const downloadSubfolder = (downloadSubfolderEl.value || '').trim();
+    const pageLimit = pageLimitEl.value || '2';
+    const fabricationPolicy = fabricationPolicyEl.value || '';
+    const template = templateEl.value || '';
     const masterResume = masterResumeEl.value.trim();
 
-    chrome.storage.local.set({ backendUrl, downloadSaveAs, downloadSubfolder }, () => {
+    chrome.storage.local.set({ backendUrl, apiToken, downloadSaveAs, downloadSubfolder, pageLimit, fabricationPolicy, template }, () => {
       if (chrome.runtime.lastError) {
         showSaveStatus('Error saving settings.');
         return;
@@ -73,10 +134,24 @@
     if (typeof MasterResume !== 'undefined') {
       try {
         await MasterResume.saveMasterResume(masterResume);
-        showSaveStatus('Saved.');
       } catch (error) {
         console.error('Error saving master resume:', error);
         showSaveStatus('Error: Resume too large or storage quota exceeded.');
+        return;
+      }
+      if (!masterResume || !backendUrl) {
+        await MasterResume.clearResumeProfile();
+        showSaveStatus('Saved.');
+        return;
+      }
+      // Keep a backend profile in sync so requests send its id, not the text
+      try {
+        const profile = await MasterResume.syncResumeProfile(backendUrl, apiToken, masterResume);
+        showSaveStatus(`Saved (backend profile v${profile.version}).`);
+      } catch (error) {
+        console.warn('Could not sync master resume profile:', error);
+        await MasterResume.clearResumeProfile();
+        showSaveStatus('Saved. Profile sync failed; the resume will be sent with each request.');
       }
     } else {
       chrome.storage.local.set({ masterResume }, () => {
@@ -143,6 +218,9 @@
 
   btnUseDefault?.addEventListener('click', useDefaultResume);
   btnSave?.addEventListener('click', save);
+  templateEl?.addEventListener('change', updateTemplatePreview);
+  backendUrlEl?.addEventListener('change', () => loadTemplates(templateEl.value));
+  apiTokenEl?.addEventListener('change', () => loadTemplates(templateEl.value));
   resumeUpload?.addEventListener('change', handleFileSelect);
 
   load();
@@ -8,8 +8,17 @@
   const manualSection = document.getElementById('manualSection');
   const jobDescInput = document.getElementById('jobDescInput');
   const btnGenerate = document.getElementById('btnGenerate');
+  const btnCancel = document.getElementById('btnCancel');
+  const pageLimitSelect = document.getElementById('pageLimitSelect');
+  const resultActions = document.getElementById('resultActions');
+  const resultCost = document.getElementById('resultCost');
+  const btnDownloadTex = document.getElementById('btnDownloadTex');
+  const historySection = document.getElementById('historySection');
+  const historyList = document.getElementById('historyList');
 
   let currentJobDescription = '';
+  let lastLatex = null;
+  let activeRequestId = null;
 
   function showStatus(message, type = 'info') {
     statusEl.textContent = message;
@@ -40,6 +49,57 @@
     });
   }
 
+  function downloadTex(latex) {
+    chrome.runtime.sendMessage({ action: 'downloadTex', latex });
+  }
+
+  function showResult(result) {
+    lastLatex = result.latex || null;
+    resultCost.textContent = result.costLabel ? `Cost: ${result.costLabel}` : '';
+    btnDownloadTex.disabled = !lastLatex;
+    resultActions.classList.toggle('hidden', !lastLatex && !result.costLabel);
+  }
+
+  // Resumes generated from this browser, saved by the background worker
+  function loadHistory() {
+    chrome.storage.local.get(['resumeHistory'], (result) => {
+      const history = Array.isArray(result.resumeHistory) ? result.resumeHistory : [];
+      historyList.replaceChildren();
+      for (const entry of history) {
+        const item = document.createElement('li');
+        const job = document.createElement('span');
+        job.className = 'history-job';
+        job.textContent = entry.job || 'Resume';
+        job.title = `${new Date(entry.createdAt).toLocaleString()}${entry.template ? ` · ${entry.template}` : ''}`;
+        const meta = document.createElement('span');
+        meta.className = 'history-meta';
+        meta.textContent = [
+          entry.pageCount ? `${entry.pageCount}p` : '',
+          typeof entry.cost === 'number' ? `$${entry.cost.toFixed(4)}` : '',
+        ].filter(Boolean).join(' · ');
+        item.append(job, meta);
+        if (entry.latex) {
+          const link = document.createElement('a');
+          link.href = '#';
+          link.textContent = '.tex';
+          link.addEventListener('click', (e) => {
+            e.preventDefault();
+            downloadTex(entry.latex);
+          });
+          item.append(link);
+        }
+        historyList.append(item);
+      }
+      historySection.classList.toggle('hidden', history.length === 0);
+    });
+  }
+
+  function loadPageLimit() {
+    chrome.storage.local.get(['pageLimit'], (result) => {
+      if (pageLimitSelect) pageLimitSelect.value = result.pageLimit || '2';
+    });
+  }
+
   async function extractFromCurrentTab() {
     showStatus('Extracting job description...', 'info');
     btnExtract.disabled = true;
@@ -145,16 +205,33 @@
 
     showStatus('Generating resume with AI...', 'info');
     btnGenerate.disabled = true;
+    // The request id lets the Cancel button stop this generation on the backend
+    activeRequestId = crypto.randomUUID();
+    btnCancel.disabled = false;
+    btnCancel.classList.remove('hidden');
 
     try {
       const result = await chrome.runtime.sendMessage({
         action: 'generateResume',
         jobDescription: currentJobDescription.trim(),
-        masterResume
+        masterResume,
+        pageLimit: pageLimitSelect?.value,
+        requestId: activeRequestId
       });
 
+      const costNote = result?.costLabel ? ` (${result.costLabel})` : '';
+      if (result?.cancelled) {
+        showStatus('Generation cancelled.', 'info');
+        return;
+      }
       if (result?.success) {
-        showStatus('PDF download started!', 'success');
+        showResult(result);
+        loadHistory();
+      }
+      if (result?.success && result.warning) {
+        showStatus(`PDF download started${costNote}. ⚠️ ${result.warning}`, 'info');
+      } else if (result?.success) {
+        showStatus(`PDF download started!${costNote}`, 'success');
       } else if (result?.downloadTex) {
         chrome.runtime.sendMessage({ action: 'downloadTex', latex: result.latex }, () => {
           showStatus('LaTeX compilation failed. Downloaded .tex file instead.', 'info');
@@ -165,11 +242,24 @@
     } catch (e) {
       showStatus(e?.message || 'Generation failed.', 'error');
     } finally {
+      activeRequestId = null;
+      btnCancel.classList.add('hidden');
       btnGenerate.disabled = false;
       updateGenerateButton();
     }
   }
 
+  async function cancelGeneration() {
+    if (!activeRequestId) return;
+    btnCancel.disabled = true;
+    showStatus('Cancelling...', 'info');
+    const result = await chrome.runtime.sendMessage({ action: 'cancelGeneration', requestId: activeRequestId });
+    if (!result?.success) {
+      showStatus(`Could not cancel: ${result?.error || 'Unknown error'}`, 'error');
+      btnCancel.disabled = false;
+    }
+  }
+
   jobDescInput?.addEventListener('input', () => {
     currentJobDescription = jobDescInput.value;
     updateGenerateButton();
@@ -186,10 +276,16 @@
   btnLoadFile?.addEventListener('click', () => fileInput.click());
   fileInput?.addEventListener('change', handleFileSelect);
   btnGenerate?.addEventListener('click', generateResume);
+  btnCancel?.addEventListener('click', cancelGeneration);
+  btnDownloadTex?.addEventListener('click', () => {
+    if (lastLatex) downloadTex(lastLatex);
+  });
 
   manualSection?.classList.remove('hidden');
   const optLink = document.getElementById('optionsLink');
   if (optLink) optLink.href = chrome.runtime.getURL('options/options.html');
   updateGenerateButton();
+  loadPageLimit();
   loadLastJobDescription();
+  loadHistory();
 })();